@@ -64,6 +64,12 @@ const int enablePins[5] = {robic_enable_pin_back, robic_enable_pin_right, robic_
 enum Motor { BACK, RIGHT, LEFT, DOWN, FRONT };
 
 String currentGame = "";
+
+// Emergency stop: a "stop" request cuts the arm and magnet power and ends the move in progress;
+// commands are refused until the next "switch" powers the game again
+bool stopped = false;
+// A move is in progress; only "stop" is accepted meanwhile (see waitStep)
+bool moving = false;
 WebSocketsServer webSocket = WebSocketsServer(80);
 
 // Function declarations
@@ -81,6 +87,8 @@ void shoot();
 void rotateSteps(int steps);
 void setGameRelays();
 void resetCurrentGame();
+void emergencyStop();
+bool waitStep(int delayTime);
 void webSocketEvent(uint8_t num, WStype_t type, uint8_t* payload, size_t length);
 
 void setGameRelays() {
@@ -120,6 +128,21 @@ void setup() {
   Serial.println("WebSocket server started");
 }
 
+void emergencyStop() {
+  stopped = true;
+  digitalWrite(armRelayPin, HIGH);
+  digitalWrite(magnetRelayPin, HIGH);
+  Serial.println("Emergency stop");
+}
+
+// Waits between the steps of a move while still serving the WebSocket, so that a "stop"
+// arrives mid-move. Returns true when the move has to end.
+bool waitStep(int delayTime) {
+  delay(delayTime);
+  webSocket.loop();
+  return stopped;
+}
+
 void resetCurrentGame() {
   if (currentGame == "ARM") play_arm("180,0,0,0,0");
   else if (currentGame == "SHOOTER") play_shooter("90 90");
@@ -150,6 +173,15 @@ void webSocketEvent(uint8_t num, WStype_t type, uint8_t* payload, size_t length)
         return;
       }
       String action = doc["action"];
+      if (action == "stop") {
+        emergencyStop();
+        webSocket.sendTXT(num, "{\"success\": true, \"message\": \"Stopped\"}");
+        return;
+      }
+      if (moving) {
+        webSocket.sendTXT(num, "{\"success\": false, \"message\": \"Busy moving\"}");
+        return;
+      }
       if (action == "switch") {
         if (!doc.containsKey("game")) {
           webSocket.sendTXT(num, "{\"success\": false, \"message\": \"Missing 'game' in request\"}");
@@ -158,6 +190,10 @@ void webSocketEvent(uint8_t num, WStype_t type, uint8_t* payload, size_t length)
         String newGame = doc["game"];
         newGame.toUpperCase();
         if (newGame == "ARM" || newGame == "RUBIK" || newGame == "SHOOTER") {
+          if (stopped) {
+            stopped = false;
+            setGameRelays();
+          }
           if (currentGame != newGame) {
             if (currentGame != "") resetCurrentGame();
             currentGame = newGame;
@@ -181,6 +217,10 @@ void webSocketEvent(uint8_t num, WStype_t type, uint8_t* payload, size_t length)
           webSocket.sendTXT(num, "{\"success\": false, \"message\": \"No game selected\"}");
           return;
         }
+        if (stopped) {
+          webSocket.sendTXT(num, "{\"success\": false, \"message\": \"Stopped, switch the game to resume\"}");
+          return;
+        }
         if (!doc.containsKey("command")) {
           webSocket.sendTXT(num, "{\"success\": false, \"message\": \"Missing 'command' in request\"}");
           return;
@@ -229,11 +269,13 @@ bool play_arm(String command) {
     targetAngle3 = constrain(targetAngle3, 0, 180);
 
     digitalWrite(magnetRelayPin, magnet_state ? LOW : HIGH);
+    moving = true;
     smoothMoveSync(arm_servo1, currentAngle1, targetAngle1,
                    arm_servo2, currentAngle2, targetAngle2,
                    arm_servo3, currentAngle3, targetAngle3, 10, arm_pickSig);
+    moving = false;
     arm_flg--;
-    return true;
+    return !stopped;
   }
   return false;
 }
@@ -242,25 +284,27 @@ void smoothMoveSync(Servo& s1, int& curr1, int target1, Servo& s2, int& curr2, i
   int diff1 = abs(target1 - curr1), diff2 = abs(target2 - curr2), diff3 = abs(target3 - curr3);
   int maxDiff = max(diff1, max(diff2, diff3));
   if (maxDiff == 0) return;
+  // The current angles follow the steps, so a stopped move resumes from where it ended
+  int start1 = curr1, start2 = curr2, start3 = curr3;
   if (pickSig % 2 == 0) {
     for (int step = 1; step <= maxDiff; ++step) {
-      if (diff2) s2.write(curr2 + ((target2 - curr2) * step) / maxDiff);
-      delay(delayTime);
+      if (diff2) s2.write(curr2 = start2 + ((target2 - start2) * step) / maxDiff);
+      if (waitStep(delayTime)) return;
     }
     for (int step = 1; step <= maxDiff; ++step) {
-      if (diff1) s1.write(curr1 + ((target1 - curr1) * step) / maxDiff);
-      if (diff3) s3.write(curr3 + ((target3 - curr3) * step) / maxDiff);
-      delay(delayTime);
+      if (diff1) s1.write(curr1 = start1 + ((target1 - start1) * step) / maxDiff);
+      if (diff3) s3.write(curr3 = start3 + ((target3 - start3) * step) / maxDiff);
+      if (waitStep(delayTime)) return;
     }
   } else {
     for (int step = 1; step <= maxDiff; ++step) {
-      if (diff1) s1.write(curr1 + ((target1 - curr1) * step) / maxDiff);
-      if (diff3) s3.write(curr3 + ((target3 - curr3) * step) / maxDiff);
-      delay(delayTime);
+      if (diff1) s1.write(curr1 = start1 + ((target1 - start1) * step) / maxDiff);
+      if (diff3) s3.write(curr3 = start3 + ((target3 - start3) * step) / maxDiff);
+      if (waitStep(delayTime)) return;
     }
     for (int step = 1; step <= maxDiff; ++step) {
-      if (diff2) s2.write(curr2 + ((target2 - curr2) * step) / maxDiff);
-      delay(delayTime);
+      if (diff2) s2.write(curr2 = start2 + ((target2 - start2) * step) / maxDiff);
+      if (waitStep(delayTime)) return;
     }
   }
   s1.write(target1);
@@ -1383,13 +1383,46 @@ class MemoryMatching:
             # Set context on websocket for from_to function
             setattr(websocket, 'game_version_context', self.mode)
             
-            if self.mode == "yolo":
-                await run_yolo_game(websocket)
-            else: # Default to color
-                await run_color_game(websocket)
+            runner = run_yolo_game if self.mode == "yolo" else run_color_game # Default to color
+            game_task = asyncio.create_task(runner(websocket))
+            command_task = asyncio.create_task(self._receive_commands(websocket, game_task))
+            try:
+                await game_task
+            except asyncio.CancelledError:
+                pass
+            finally:
+                command_task.cancel()
             
             self.running = False
             self.game_state["running"] = False
+
+    async def _receive_commands(self, websocket: WebSocket, game_task):
+        """The game loops never read from the client; this handles {"action": "emergency_stop"}"""
+        try:
+            while True:
+                message = await websocket.receive()
+                if message["type"] == "websocket.disconnect":
+                    return
+                try:
+                    command = json.loads(message.get("text") or "null")
+                except json.JSONDecodeError:
+                    continue
+                if isinstance(command, dict) and command.get("action") == "emergency_stop":
+                    await self.emergency_stop()
+                    # Replied before the game is cancelled, run_game cancels this task once it ends
+                    if websocket.client_state == WebSocketState.CONNECTED:
+                        await websocket.send_json({"type": "stopped", "payload": "Emergency stop: arm halted, game ended."})
+                    game_task.cancel()
+                    return
+        except (WebSocketDisconnect, RuntimeError):
+            pass
+
+    async def emergency_stop(self):
+        """Stop the arm mid-move and end the game"""
+        if self.esp32_client is not None:
+            await self.esp32_client.emergency_stop()
+        self.stop()
+        logging.info(f"[{self.mode.upper()}] Emergency stop")
     
     def stop(self):
         """Called when the WebSocket disconnects"""
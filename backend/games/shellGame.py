@@ -33,7 +33,31 @@ class VideoStream:
         self.thread.join()
         self.cap.release()
 
-# --- Hardcoded IP camera URL ---
+# --- Frames pushed by the browser (snapshot-polled IP cameras) ---
+class ClientFrameStream:
+    """Same interface as VideoStream, but holds the latest JPEG frame sent over the WebSocket."""
+    def __init__(self):
+        self.frame = None
+        self.lock = threading.Lock()
+
+    def push(self, frame_bytes):
+        frame = cv2.imdecode(np.frombuffer(frame_bytes, np.uint8), cv2.IMREAD_COLOR)
+        if frame is None:
+            return False
+        with self.lock:
+            self.frame = frame
+        return True
+
+    def read(self):
+        with self.lock:
+            if self.frame is None:
+                return False, None
+            return True, self.frame.copy()
+
+    def release(self):
+        pass
+
+# --- Default IP camera URL, used when the frontend does not send one ---
 IPCAM_URL = "http://192.168.49.1:4747/video"  # <-- Change to your webcam's IP
 
 # Define flexible color range for green cups in HSV (for black background)
@@ -76,8 +100,10 @@ def create_multitracker():
     raise RuntimeError("MultiTracker not available in your OpenCV installation.")
 
 class ShellGame:
-    def __init__(self, esp32_client=None):
+    def __init__(self, esp32_client=None, camera_url=None, client_frames=False):
         self.esp32_client = esp32_client  # Store the ESP32 client if provided
+        self.camera_url = camera_url or IPCAM_URL
+        self.client_frames = client_frames  # Frames come from the browser instead of the camera
         self.ball_position = None
         self.ball_under_cup = None
         self.last_nearest_cup = None
@@ -94,12 +120,13 @@ class ShellGame:
         self.last_moved_cup_idx = None
         self.last_ball_under_cup_idx = None
         self.stopped = False
-        self.video_stream = VideoStream(IPCAM_URL)
+        self.video_stream = ClientFrameStream() if client_frames else VideoStream(self.camera_url)
         self.frame_queue = queue.Queue(maxsize=100)  # For HTTP streaming
         self.arm_command_sent = False
         self.last_sent_cup = None
         self.switch_command_sent = False  # Add flag to track if switch command was sent
         self.pending_arm_sequence = None  # Store pending arm sequence
+        self.arm_halted = False  # Set by an emergency stop; no further arm commands go out
         time.sleep(1)  # Give the IP camera time to initialize
 
         # Schedule the switch command task during initialization
@@ -149,7 +176,7 @@ class ShellGame:
         if self.stopped:
             return None
         if not self.video_stream:
-            self.video_stream = VideoStream(IPCAM_URL)
+            self.video_stream = ClientFrameStream() if self.client_frames else VideoStream(self.camera_url)
             time.sleep(1)
         ret, frame = self.video_stream.read()
         if not ret or frame is None or frame.size == 0:
@@ -256,6 +283,12 @@ class ShellGame:
         return (x + w/2 > 0 and y + h/2 > 0 and 
                 x + w/2 < frame_width and y + h/2 < frame_height)
 
+    def push_frame(self, frame_bytes):
+        """Store a JPEG frame sent by the browser; ignored unless the game uses client frames."""
+        if not self.client_frames or self.video_stream is None:
+            return False
+        return self.video_stream.push(frame_bytes)
+
     def process_frame(self, frame_bytes=None):
         # Use persistent cap object
         frame = self.get_ipcam_frame()
@@ -476,7 +509,7 @@ class ShellGame:
                     cup_pos = None
                     lift_pos = None
 
-                if cup_pos and lift_pos:
+                if cup_pos and lift_pos and not self.arm_halted:
                     # Store the arm sequence coroutine instead of creating a task directly
                     self.pending_arm_sequence = (cup_pos, lift_pos)
                     self.arm_command_sent = True
@@ -521,41 +554,33 @@ class ShellGame:
         if not client or not client.connected:
             print("ESP32 client not connected, cannot send arm commands.")
             return
-        # Send properly formatted JSON commands instead of raw strings
-        await client.send_json({
-            "action": "command",
-            "command": f"{cup_pos},0,0"
-        })
-        await asyncio.sleep(2.0)
-        await client.send_json({
-            "action": "command",
-            "command": f"{cup_pos},1,0"
-        })
-        await asyncio.sleep(2.0)
-        await client.send_json({
-            "action": "command", 
-            "command": f"{lift_pos},1,0"
-        })
-        await asyncio.sleep(2.0)
-        await client.send_json({
-            "action": "command",
-            "command": f"{cup_pos},1,0"
-        })
-        await asyncio.sleep(2.0)
-        await client.send_json({
-            "action": "command",
-            "command": f"{cup_pos},0,0"
-        })
-        await asyncio.sleep(2.0)
-        await client.send_json({
-            "action": "command",
-            "command": f"{lift_pos},0,0"
-        })
-        await client.send_json({
-            "action": "command",
-            "command": "180,0,0,0,0"
-        })
-        await asyncio.sleep(2.0)
+        # (command, seconds to wait after it); an emergency stop ends the sequence between steps
+        steps = [
+            (f"{cup_pos},0,0", 2.0),
+            (f"{cup_pos},1,0", 2.0),
+            (f"{lift_pos},1,0", 2.0),
+            (f"{cup_pos},1,0", 2.0),
+            (f"{cup_pos},0,0", 2.0),
+            (f"{lift_pos},0,0", 0),
+            ("180,0,0,0,0", 2.0),
+        ]
+        for command, wait in steps:
+            if self.arm_halted:
+                print("Arm sequence ended by the emergency stop.")
+                return
+            # Send properly formatted JSON commands instead of raw strings
+            await client.send_json({"action": "command", "command": command})
+            if wait:
+                await asyncio.sleep(wait)
+
+    async def emergency_stop(self):
+        """Stop the arm mid-move and send no further arm sequences in this session"""
+        self.arm_halted = True
+        self.pending_arm_sequence = None
+        if self.esp32_client is not None:
+            await self.esp32_client.emergency_stop()
+        print("[ShellGame] Emergency stop")
+        return {"type": "stopped", "payload": "Emergency stop: arm halted, no further arm moves."}
 
     async def send_livefeed_ws(self, websocket):
         """
@@ -4,6 +4,7 @@ import cv2
 import numpy as np
 import base64
 import time
+import json
 import asyncio
 from tensorflow.keras.models import load_model
 from .utils import detections, imutils
@@ -30,6 +31,20 @@ class GameSession:
         self.board = Tic()
         self.history = {}
         self.previous_state = [None] * 9
+        self.last_robot_move = None  # Cell of the robot's latest O
+        self.ai_considering = None  # Cell the AI picked while the arm is still playing it
+        # Operator corrections (cell -> value), kept over the camera until it sees the same
+        self.locked_cells = {}
+        # Latest thresholded paper, grid and detections, for the cell images of corrections
+        self.last_paper_thresh = None
+        self.last_grid = None
+        self.last_detection = [None] * 9
+        self.paper_detected = False
+        self.status_text = "Paper not detected"
+        self.corrections_dir = os.path.join(os.path.dirname(os.path.abspath(__file__)), "data", "corrections")
+        # Board corners set by the operator (top-left, top-right, bottom-right, bottom-left),
+        # relative to the received frame; replace the zoom and the automatic paper detection
+        self.calibration = None
         self.last_check_time = time.time()
         self.move_detected_in_last_cycle = False
         self.paper_detection_threshold = 170
@@ -38,6 +53,8 @@ class GameSession:
         # ESP32 WebSocket client
         self.esp32_client = esp32_client
         self.switch_command_sent = False
+        self.robot_task = None  # Arm sequence of the AI's last move
+        self.halted = False  # Set by an emergency stop; the AI plays no further moves
         
         # Servo position mapping
         self.angle_map = {
@@ -145,6 +162,33 @@ class GameSession:
 
         return paper, corners
 
+    def calibrated_paper(self, frame):
+        """Bird's eye view of the board through the operator's corners."""
+        height, width = frame.shape[:2]
+        corners = self.calibration * np.array([width, height], dtype=np.float32)
+        try:
+            paper = imutils.four_point_transform(frame, corners)
+        except Exception as e:
+            print(f"Error in calibrated four_point_transform: {e}")
+            return None, None
+        if paper is None or paper.size == 0:
+            return None, None
+        return paper, corners
+
+    def set_calibration(self, corners):
+        """Sets the board corners, four [x, y] pairs in 0..1 in the order of
+        imutils.order_points, or clears them with None. Returns the homography from the
+        relative frame coordinates to the unit square, or None."""
+        if corners is None:
+            self.calibration = None
+            return None
+        points = np.array(corners, dtype=np.float32)
+        if points.shape != (4, 2) or (points < 0).any() or (points > 1).any():
+            raise ValueError(f"Expected four [x, y] corners between 0 and 1, got {corners}")
+        self.calibration = points
+        unit_square = np.array([[0, 0], [1, 0], [1, 1], [0, 1]], dtype=np.float32)
+        return cv2.getPerspectiveTransform(points, unit_square)
+
     def find_shape(self, cell):
         """Classify the shape in a cell (X, O, or None)."""
         if cell is None or cell.size == 0 or self.model is None:
@@ -325,6 +369,140 @@ class GameSession:
                 print(f"[ERROR] Failed emergency return: {emergency_e}")
             return False
 
+    async def play_robot_move(self, position):
+        """Play the AI's move with the arm, then clear `ai_considering` (set when the move was picked)"""
+        try:
+            await self.move_robot_arm(position)
+        finally:
+            if self.ai_considering == position:
+                self.ai_considering = None
+
+    def crop_cell(self, thresh, bbox):
+        """The cell at `bbox` in the thresholded paper, or None when it is (almost) outside"""
+        paper_h, paper_w = thresh.shape[:2]
+        xi, yi, wi, hi = map(int, bbox)
+        x1_clip, y1_clip = max(0, xi), max(0, yi)
+        x2_clip = min(paper_w, xi + wi)
+        y2_clip = min(paper_h, yi + hi)
+        if x2_clip - x1_clip <= 5 or y2_clip - y1_clip <= 5:
+            return None
+        return thresh[y1_clip:y2_clip, x1_clip:x2_clip]
+
+    def make_ai_move(self, grid=None):
+        """Pick the AI's reply, play it on the board and start the arm; returns the cell or None"""
+        if self.halted:
+            return None
+        computer_move = determine(self.board, 'O')
+        if computer_move is None or computer_move not in self.board.available_moves():
+            return None
+        self.board.make_move(computer_move, 'O')
+        self.history[computer_move] = {'shape': 'O', 'bbox': grid[computer_move] if grid else None}
+        self.last_robot_move = computer_move
+        self.ai_considering = computer_move
+        self.robot_task = asyncio.create_task(self.play_robot_move(computer_move))
+        self.previous_state = [self.history.get(i, {}).get('shape') for i in range(9)]
+        return computer_move
+
+    def get_game_state(self, board_status=None, debug_msg=""):
+        if board_status is None:
+            board_status = "complete" if self.board.complete() else "waiting"
+        return {
+            "board": self.board.squares,
+            "paper_detected": self.paper_detected,
+            "status_text": self.status_text,
+            "board_status": board_status,
+            "debug": debug_msg,
+            "winner": self.board.winner() if self.board.complete() else None,
+            "last_robot_move": self.last_robot_move,
+            "ai_considering": self.ai_considering,
+            "locked_cells": sorted(self.locked_cells),
+        }
+
+    def log_correction(self, cell, previous, value):
+        """Append the correction to data/corrections/corrections.jsonl with the cell image the
+        classifier saw, named after the operator's label, so it can be added to the training set"""
+        os.makedirs(self.corrections_dir, exist_ok=True)
+        stamp = time.strftime("%Y%m%d-%H%M%S")
+        image_name = None
+        if self.last_paper_thresh is not None and self.last_grid:
+            crop = self.crop_cell(self.last_paper_thresh, self.last_grid[cell])
+            if crop is not None:
+                image_name = f"{stamp}-cell{cell}-{value or 'blank'}.png"
+                cv2.imwrite(os.path.join(self.corrections_dir, image_name), crop)
+        entry = {
+            "time": time.strftime("%Y-%m-%dT%H:%M:%S"),
+            "cell": cell,
+            "previous": previous,
+            "detected": self.last_detection[cell],
+            "value": value,
+            "image": image_name,
+        }
+        with open(os.path.join(self.corrections_dir, "corrections.jsonl"), "a") as log:
+            log.write(json.dumps(entry) + "\n")
+        return entry
+
+    async def emergency_stop(self):
+        """Stop the arm mid-move and play no further moves in this session"""
+        self.halted = True
+        if self.esp32_client is not None:
+            await self.esp32_client.emergency_stop()
+        if self.robot_task is not None and not self.robot_task.done():
+            self.robot_task.cancel()
+        self.ai_considering = None
+        print("[TTT] Emergency stop")
+        return {"type": "stopped", "payload": "Emergency stop: arm halted, the robot plays no further moves."}
+
+    def process_command(self, command):
+        """Operator commands:
+        - {"action": "correct_board", "cell": 0-8, "value": "X" | "O" | null}: the cell keeps
+          the value until the camera sees the same; a missed X lets the AI answer.
+        - {"action": "calibrate", "corners": [[x, y] * 4] | null}: see set_calibration.
+        - {"action": "emergency_stop"}: see emergency_stop; returns its coroutine, which
+          main.maybe_await awaits."""
+        action = command.get("action") if isinstance(command, dict) else None
+        if action == "emergency_stop":
+            return self.emergency_stop()
+        if action == "calibrate":
+            try:
+                homography = self.set_calibration(command.get("corners"))
+            except (TypeError, ValueError) as e:
+                return {"status": "error", "message": f"Invalid calibration: {e}"}
+            print(f"[TTT] Calibration {'set' if homography is not None else 'cleared'}")
+            return {
+                "type": "calibration",
+                "payload": {
+                    "corners": command.get("corners"),
+                    "homography": homography.tolist() if homography is not None else None,
+                },
+            }
+        if action != "correct_board":
+            return {"status": "error", "message": f"Unknown command: {command}"}
+        cell, value = command.get("cell"), command.get("value")
+        if not isinstance(cell, int) or not 0 <= cell <= 8 or value not in ("X", "O", None):
+            return {"status": "error", "message": f"Invalid board correction: {command}"}
+
+        previous = self.board.squares[cell]
+        self.board.squares[cell] = value
+        if value is None:
+            self.history.pop(cell, None)
+        else:
+            self.history[cell] = {'shape': value, 'bbox': self.last_grid[cell] if self.last_grid else None}
+        self.previous_state = [self.history.get(i, {}).get('shape') for i in range(9)]
+        self.locked_cells[cell] = value
+        if self.last_robot_move == cell and value != 'O':
+            self.last_robot_move = None
+        entry = self.log_correction(cell, previous, value)
+        print(f"[TTT] Operator set cell {cell}: {previous} -> {value}")
+
+        ai_move = None
+        squares = self.board.squares
+        if not self.board.complete() and squares.count('X') > squares.count('O'):
+            ai_move = self.make_ai_move(self.last_grid)
+        return {
+            "type": "board_corrected",
+            "payload": {"correction": entry, "ai_move": ai_move, "game_state": self.get_game_state()},
+        }
+
     async def process_frame(self, frame_bytes):
         # Send the switch command on the first frame if not sent already
         if not self.switch_command_sent and self.esp32_client is not None:
@@ -335,15 +513,18 @@ class GameSession:
         if frame is None:
             return {"status": "error", "message": "Invalid frame"}
 
-        # Apply zoom if configured
-        if self.zoom > 1.0:
+        # Apply zoom if configured; calibrated corners are relative to the frame as received
+        if self.zoom > 1.0 and self.calibration is None:
             frame = self.zoom_frame(frame, self.zoom)
             
         # Paper detection
         gray = cv2.cvtColor(frame, cv2.COLOR_BGR2GRAY)
         blurred_gray = cv2.GaussianBlur(gray, (7, 7), 0)
         _, thresh_paper_detect = cv2.threshold(blurred_gray, self.paper_detection_threshold, 255, cv2.THRESH_BINARY)
-        paper, corners = self.find_sheet_paper(frame, thresh_paper_detect, add_margin=True)
+        if self.calibration is not None:
+            paper, corners = self.calibrated_paper(frame)
+        else:
+            paper, corners = self.find_sheet_paper(frame, thresh_paper_detect, add_margin=True)
         
         # Draw corners on processed frame
         vis_frame = frame.copy()
@@ -363,6 +544,7 @@ class GameSession:
             paper_gray_blurred = cv2.GaussianBlur(paper_gray, (5, 5), 0)
             _, paper_thresh = cv2.threshold(paper_gray_blurred, self.grid_detection_threshold, 255, cv2.THRESH_BINARY_INV)
             grid = self.get_board_template(paper_thresh)
+            self.last_paper_thresh, self.last_grid = paper_thresh, grid
             
             paper_display = paper.copy()
             bird_view_display = paper_display
@@ -391,32 +573,26 @@ class GameSession:
                     human_player = 'X'
                     ai_player = 'O'
                     current_state_detection = [None] * 9
-                    available_indices = [i for i in range(9) if i not in self.history]
+                    # Corrected cells are read too, to tell when the camera agrees, but
+                    # can't be moves until then
+                    empty_indices = [i for i in range(9) if i not in self.history]
+                    checked_indices = empty_indices + [i for i in self.locked_cells if i not in empty_indices]
+                    available_indices = [i for i in empty_indices if i not in self.locked_cells]
                     
-                    if available_indices and paper_thresh is not None:
-                        paper_h, paper_w = paper_thresh.shape[:2]
-                        
+                    if checked_indices and paper_thresh is not None:
                         # Check each empty cell for a potential move
-                        for i in available_indices:
+                        for i in checked_indices:
                             if not grid: 
                                 continue
-                            x, y, w, h = grid[i]
-                            xi, yi, wi, hi = map(int, (x, y, w, h))
-                            
-                            # Ensure coordinates are within bounds
-                            x1_clip, y1_clip = max(0, xi), max(0, yi)
-                            x2_clip = min(paper_w, xi + wi)
-                            y2_clip = min(paper_h, yi + hi)
-                            clipped_w, clipped_h = x2_clip - x1_clip, y2_clip - y1_clip
-                            
-                            if clipped_w <= 5 or clipped_h <= 5:
-                                current_state_detection[i] = None
-                                continue
-                                
                             # Extract cell and detect shape
-                            cell = paper_thresh[y1_clip:y2_clip, x1_clip:x2_clip]
-                            shape_in_cell = self.find_shape(cell)
-                            current_state_detection[i] = shape_in_cell
+                            cell = self.crop_cell(paper_thresh, grid[i])
+                            current_state_detection[i] = self.find_shape(cell) if cell is not None else None
+                        self.last_detection = current_state_detection
+                        
+                        for i, value in list(self.locked_cells.items()):
+                            if current_state_detection[i] == value:
+                                del self.locked_cells[i]
+                                debug_msg += f" | Camera agrees with correction at {i}"
                         
                         # Find new player moves
                         comparison_state = [self.history.get(i, {}).get('shape') for i in range(9)]
@@ -452,23 +628,16 @@ class GameSession:
                             else:
                                 # Computer's turn
                                 debug_msg += " | Computer thinking..."
-                                computer_move = determine(self.board, ai_player)
+                                # Plays it on the board and sends it to the ESP32 if available
+                                computer_move = self.make_ai_move(grid)
                                 
-                                if computer_move is not None and computer_move in self.board.available_moves():
+                                if computer_move is not None:
                                     debug_msg += f" | Computer O at {computer_move}"
-                                    self.board.make_move(computer_move, ai_player)
-                                    self.history[computer_move] = {'shape': ai_player, 'bbox': grid[computer_move]}
                                     
                                     # Draw computer's move
                                     xi, yi, wi, hi = map(int, grid[computer_move])
                                     bird_view_display = self.draw_shape(bird_view_display, ai_player, (xi, yi, wi, hi))
                                     
-                                    # Send move to ESP32 if available
-                                    asyncio.create_task(self.move_robot_arm(computer_move))
-                                    
-                                    # Update state tracking
-                                    self.previous_state = [self.history.get(i, {}).get('shape') for i in range(9)]
-                                    
                                     if self.board.complete():
                                         debug_msg += " | Game over!"
                                         board_status = "complete"
@@ -481,6 +650,9 @@ class GameSession:
                             if current_confirmed_state != self.previous_state:
                                 self.previous_state = current_confirmed_state
                 
+        self.paper_detected = paper is not None
+        self.status_text = status_text
+        
         # Encode frames for frontend
         _, vis_jpg = cv2.imencode('.jpg', vis_frame)
         vis_b64 = base64.b64encode(vis_jpg).decode("utf-8")
@@ -501,12 +673,5 @@ class GameSession:
             "status": "ok",
             "processed_frame": vis_b64,
             "bird_view_frame": bird_view_b64,
-            "game_state": {
-                "board": self.board.squares,
-                "paper_detected": paper is not None,
-                "status_text": status_text,
-                "board_status": board_status,
-                "debug": debug_msg,
-                "winner": self.board.winner() if self.board.complete() else None
-            }
+            "game_state": self.get_game_state(board_status, debug_msg),
         }
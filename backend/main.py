@@ -7,12 +7,14 @@ import os
 import json
 import inspect
 import asyncio
+import time
 from typing import Optional, Dict, Any
 
 # Import memory matching backend for color/yolo WebSocket endpoints
 from games.rubiks_cube_game import RubiksCubeGame
 from fastapi.responses import StreamingResponse
 from utils.esp32_client import esp32_client
+from utils.frame_transport import BinaryFrameWebSocket
 from games.memory_matching_backend import MemoryMatching
 
 app = FastAPI()
@@ -106,6 +108,71 @@ async def shell_game_debug():
         return {"status": "error", "message": "Shell game not running"}
     return shell_game_session.get_latest_debug_state()
 
+# Health summary for the frontend's preflight check. connect_esp32 retries the ESP32
+# connection first, so the answer reflects whether it can be reached right now.
+@app.get("/status")
+async def backend_status(connect_esp32: bool = False):
+    if connect_esp32 and not esp32_client.connected:
+        await esp32_client.connect()
+    return {
+        "esp32": {"connected": esp32_client.connected, "uri": esp32_client.esp_uri},
+        "games": list(GAME_MODULES),
+    }
+
+# Relay modes of esp32_webserver.ino
+ESP32_GAMES = {"ARM", "SHOOTER", "RUBIK"}
+
+# Registered before /ws/{game_id}, which would otherwise take "hardware" as a game id
+@app.websocket("/ws/hardware")
+async def hardware_console(websocket: WebSocket):
+    """
+    Operator console (/hardware page). Relays switch and command requests to the ESP32
+    as they are and forwards every ESP32 reply while the console is connected.
+    """
+    await websocket.accept()
+
+    async def send_status():
+        await websocket.send_json({
+            "type": "esp32_status",
+            "payload": {"connected": esp32_client.connected, "uri": esp32_client.esp_uri},
+        })
+
+    async def forward_reply(message):
+        try:
+            reply = json.loads(message)
+        except json.JSONDecodeError:
+            reply = {"success": False, "message": message}
+        # Errors must not reach the ESP32 receiver loop, it reconnects on any exception
+        try:
+            await websocket.send_json({"type": "esp32_reply", "payload": reply})
+        except Exception as e:
+            print(f"Hardware console: could not forward ESP32 reply: {e}")
+
+    esp32_client.add_message_handler(forward_reply)
+    try:
+        await send_status()
+        while True:
+            text = await websocket.receive_text()
+            try:
+                request = json.loads(text)
+            except json.JSONDecodeError:
+                request = None
+            action = request.get("action") if isinstance(request, dict) else None
+            if action == "switch" and request.get("game") in ESP32_GAMES:
+                command = {"action": "switch", "game": request["game"]}
+            elif action == "command" and isinstance(request.get("command"), str) and request["command"]:
+                command = {"action": "command", "command": request["command"]}
+            else:
+                await websocket.send_json({"type": "error", "payload": f"Invalid hardware request: {text}"})
+                continue
+            sent = await esp32_client.send_json(command)
+            await websocket.send_json({"type": "command_sent", "payload": {"request": command, "sent": sent}})
+            await send_status()
+    except WebSocketDisconnect:
+        print("Hardware console disconnected")
+    finally:
+        esp32_client.remove_message_handler(forward_reply)
+
 @app.websocket("/ws/{game_id}")
 async def websocket_endpoint(websocket: WebSocket, game_id: str):
     """
@@ -122,6 +189,9 @@ async def websocket_endpoint(websocket: WebSocket, game_id: str):
     """
     global target_shooter_session, shell_game_session, memory_game_instances
     await websocket.accept()
+    # Clients asking for binary frames get them as binary messages instead of base64 JSON fields
+    if websocket.query_params.get("frames") == "binary":
+        websocket = BinaryFrameWebSocket(websocket)
     game_session = None
     module_path = GAME_MODULES.get(game_id)
 
@@ -130,6 +200,12 @@ async def websocket_endpoint(websocket: WebSocket, game_id: str):
         await websocket.close(code=http_status.WS_1003_UNSUPPORTED_DATA)
         return
 
+    # Preflight check: confirms the endpoint answers without starting a game session
+    if websocket.query_params.get("preflight") == "1":
+        await websocket.send_json({"status": "preflight", "game_id": game_id})
+        await websocket.close()
+        return
+
     try:
         # --- GAME INITIALIZATION LOGIC ---
         
@@ -200,11 +276,34 @@ async def websocket_endpoint(websocket: WebSocket, game_id: str):
         # Shell game
         elif game_id == "shell-game":
             game_module = importlib.import_module(module_path)
-            shell_game_session = game_module.ShellGame(esp32_client=esp32_client)
+            # Optional config: {"ip_camera_url": ..., "frame_source": "camera" | "client"}.
+            # Older clients send nothing, so don't wait long for it.
+            config = {}
+            first_frame = None
+            try:
+                first_message = await asyncio.wait_for(websocket.receive(), timeout=1.0)
+                if first_message["type"] == "websocket.disconnect":
+                    print("WebSocket disconnected for game_id: shell-game before the game started")
+                    return
+                if first_message.get("text"):
+                    config = json.loads(first_message["text"]) or {}
+                elif first_message.get("bytes"):
+                    # A client sending frames without a config
+                    first_frame = first_message["bytes"]
+            except (asyncio.TimeoutError, json.JSONDecodeError):
+                config = {}
+            shell_game_session = game_module.ShellGame(
+                esp32_client=esp32_client,
+                camera_url=config.get("ip_camera_url"),
+                client_frames=config.get("frame_source") == "client" or first_frame is not None,
+            )
             game_session = shell_game_session
             ACTIVE_GAME_SESSIONS[websocket] = game_session
+            if first_frame is not None:
+                await asyncio.to_thread(shell_game_session.push_frame, first_frame)
             # Start livefeed task and store in the session object
             shell_game_session.livefeed_task = asyncio.create_task(shell_game_session.send_livefeed_ws(websocket))
+            shell_game_session.receive_task = asyncio.create_task(receive_shell_game_messages(websocket, shell_game_session))
             
             # Send initial status to the client
             await websocket.send_json({"status": "connected", "message": "Shell game started"})
@@ -382,17 +481,22 @@ async def websocket_endpoint(websocket: WebSocket, game_id: str):
                 
             # Handle frame data (video frames)
             elif "bytes" in data:
+                started = time.perf_counter()
                 if game_id == "rubiks":
                     result = await game_session.process_frame(data["bytes"])
                 elif hasattr(game_session, "process_frame"):
                     result = await maybe_await(game_session.process_frame, data["bytes"])
                 else:
                     result = {"status": "error", "message": "Game does not support frame processing"}
+                # Lets the frontend tell backend time from network time (adaptive frame streaming)
+                if isinstance(result, dict):
+                    result["processing_ms"] = round((time.perf_counter() - started) * 1000, 1)
             
             # Handle text commands for non-Rubik's games
             elif "text" in data and game_id != "rubiks":
                 command_content = data["text"]
                 parsed_command = None
+                result = None  # Still holds the reply to the last frame otherwise
                 try: 
                     parsed_command = json.loads(command_content)
                 except json.JSONDecodeError:
@@ -440,6 +544,14 @@ async def websocket_endpoint(websocket: WebSocket, game_id: str):
             target_shooter_session = None
             print("Cleared global target_shooter_session")
             
+        # Stop the shell game's background tasks (game_session is the same object as the global)
+        if game_id == "shell-game" and game_session:
+            for task_name in ("livefeed_task", "receive_task"):
+                task = getattr(game_session, task_name, None)
+                if task:
+                    task.cancel()
+            await asyncio.sleep(0.1)  # Short delay to allow task cancellation to take effect
+
         if game_id == "shell-game" and shell_game_session is game_session:
             shell_game_session = None
             print("Cleared global shell_game_session")
@@ -473,14 +585,6 @@ async def websocket_endpoint(websocket: WebSocket, game_id: str):
                 except Exception as e: 
                     print(f"Error cleaning up game {game_id}: {e}")
         
-        # Clean up shell game livefeed task
-        if game_id == "shell-game" and shell_game_session and hasattr(shell_game_session, 'livefeed_task'):
-            try:
-                shell_game_session.livefeed_task.cancel()
-                await asyncio.sleep(0.1)  # Short delay to allow task cancellation to take effect
-            except Exception as e:
-                print(f"Error cancelling livefeed task: {e}")
-                
         # Close the websocket if it's still open
         try:
             if not websocket.client_state.name.startswith("DISCONNECTED"):
@@ -490,6 +594,29 @@ async def websocket_endpoint(websocket: WebSocket, game_id: str):
                 
         print(f"Cleaned up game session for {game_id}")
 
+# The shell game loop never reads from the client, this does: JPEG frames sent by the browser
+# (snapshot-polled IP cameras) and the emergency stop
+async def receive_shell_game_messages(websocket: WebSocket, session):
+    try:
+        while True:
+            message = await websocket.receive()
+            if message.get("type") == "websocket.disconnect":
+                break
+            if message.get("bytes"):
+                if not session.client_frames:
+                    continue
+                # Decoding the JPEG would block the event loop
+                await asyncio.to_thread(session.push_frame, message["bytes"])
+            elif message.get("text"):
+                try:
+                    command = json.loads(message["text"])
+                except json.JSONDecodeError:
+                    continue
+                if isinstance(command, dict) and command.get("action") == "emergency_stop":
+                    await websocket.send_json(await session.emergency_stop())
+    except (WebSocketDisconnect, RuntimeError):
+        pass
+
 # Helper to support both sync and async process_frame/process_command
 async def maybe_await(func, *args, **kwargs):
     res = func(*args, **kwargs)
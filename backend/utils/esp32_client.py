@@ -60,6 +60,21 @@ class ESP32Client:
     async def send_json(self, data: Dict[str, Any]):
         """Send JSON data to the ESP32"""
         return await self.send_command(json.dumps(data))
+
+    async def emergency_stop(self):
+        """Stop the ESP32 mid-move: it cuts the arm and magnet power and refuses commands
+        until the next switch. Sent at once, without the delay of send_command, and without
+        reconnecting first (a disconnected ESP32 gets no commands from us anyway)."""
+        if not self.connected:
+            logger.warning("Emergency stop: not connected to ESP32")
+            return False
+        try:
+            await self.websocket.send(json.dumps({"action": "stop"}))
+            logger.info("Sent emergency stop to ESP32")
+            return True
+        except Exception as e:
+            logger.error(f"Failed to send emergency stop to ESP32: {e}")
+            return False
     
     async def _receive_messages(self):
         """Background task to receive messages from ESP32"""
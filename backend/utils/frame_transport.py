@@ -0,0 +1,97 @@
+import asyncio
+import base64
+import binascii
+import logging
+
+logger = logging.getLogger("frame_transport")
+
+# Binary frame message, see src/utils/frameTransport.js:
+#   byte 0        format version
+#   byte 1        length N of the view id
+#   bytes 2..N+1  view id, ASCII
+#   rest          JPEG
+FRAME_FORMAT_VERSION = 1
+
+# Base64 JSON field -> view id
+FRAME_FIELD_VIEWS = {
+    "processed_frame": "processed",
+    "raw_frame": "raw",
+    "bird_view_frame": "bird_view",
+    "transformed_frame": "transformed",
+    "frame": "frame",  # memory matching frame_update
+}
+
+
+def encode_frame(view: str, jpeg: bytes) -> bytes:
+    """Builds a binary frame message for one view"""
+    view_id = view.encode("ascii")
+    return bytes([FRAME_FORMAT_VERSION, len(view_id)]) + view_id + jpeg
+
+
+def _take_frame_fields(message: dict, frames: list) -> dict:
+    """Moves the base64 frame fields of a message into `frames`, returns the rest"""
+    rest = {}
+    for key, value in message.items():
+        if key in FRAME_FIELD_VIEWS:
+            if isinstance(value, str) and value:
+                frames.append((FRAME_FIELD_VIEWS[key], value))
+        else:
+            rest[key] = value
+    return rest
+
+
+def split_frames(data):
+    """
+    Separates the base64 frames from a message the games would send as JSON.
+    Returns (frames, rest): frames as (view, base64) pairs, rest the message without
+    them plus a `frames` list of the views, or None if nothing but frames was left.
+    """
+    frames = []
+    if not isinstance(data, dict):
+        return frames, data
+
+    if data.get("type") == "livefeed":
+        if isinstance(data.get("payload"), str) and data["payload"]:
+            frames.append(("livefeed", data["payload"]))
+        return frames, None
+
+    if isinstance(data.get("type"), str) and isinstance(data.get("payload"), dict):
+        payload = _take_frame_fields(data["payload"], frames)
+        if frames and not payload:
+            return frames, None
+        rest = {**data, "payload": payload}
+    else:
+        rest = _take_frame_fields(data, frames)
+
+    rest["frames"] = [view for view, _ in frames]
+    return frames, rest
+
+
+class BinaryFrameWebSocket:
+    """
+    Wraps a game WebSocket so the frames in outgoing JSON messages are sent as binary
+    messages, followed by the JSON without them. Used when the client connects with
+    `?frames=binary`; the games keep calling send_json with base64 frames either way.
+    Everything else is passed through to the wrapped socket.
+    """
+
+    def __init__(self, websocket):
+        self._websocket = websocket
+        # The shell game's livefeed task shares the socket with the game loop
+        self._send_lock = asyncio.Lock()
+
+    def __getattr__(self, name):
+        return getattr(self._websocket, name)
+
+    async def send_json(self, data, mode: str = "text"):
+        frames, rest = split_frames(data)
+        async with self._send_lock:
+            for view, frame_b64 in frames:
+                try:
+                    jpeg = base64.b64decode(frame_b64)
+                except (binascii.Error, ValueError) as e:
+                    logger.warning(f"Dropping {view} frame that is not valid base64: {e}")
+                    continue
+                await self._websocket.send_bytes(encode_frame(view, jpeg))
+            if rest is not None:
+                await self._websocket.send_json(rest, mode=mode)
@@ -0,0 +1,770 @@
+// mock-backend/games.mjs
+// Scripted stand-ins for the backend games. Each factory gets a context
+// `{ send, close, frames, speed, log }` and returns a session with optional
+// `onText(message)`, `onBinary(buffer)`, `getDebugState()`, `getStreamFrame()` and `stop()`.
+// Message shapes follow backend/games/*; timings are scaled by `speed`.
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+// Time a frame spends in "inference" before the reply, in unscaled ms
+const inferenceTime = () => 40 + Math.random() * 80;
+
+/**
+ * setInterval/setTimeout that are all cleared when the session stops
+ */
+function createTimers(speed) {
+    const handles = new Set();
+    return {
+        every(ms, fn) {
+            const handle = setInterval(fn, ms / speed);
+            handles.add(handle);
+            return handle;
+        },
+        after(ms, fn) {
+            const handle = setTimeout(() => {
+                handles.delete(handle);
+                fn();
+            }, ms / speed);
+            handles.add(handle);
+            return handle;
+        },
+        clear(handle) {
+            clearInterval(handle);
+            handles.delete(handle);
+        },
+        clearAll() {
+            handles.forEach((handle) => clearInterval(handle));
+            handles.clear();
+        },
+    };
+}
+
+// --- Tic-tac-toe (backend/games/tic-tac-toe/tictactoe.py) ---
+
+const WINNING_LINES = [
+    [0, 1, 2], [3, 4, 5], [6, 7, 8],
+    [0, 3, 6], [1, 4, 7], [2, 5, 8],
+    [0, 4, 8], [2, 4, 6],
+];
+
+function tttWinner(board) {
+    for (const [a, b, c] of WINNING_LINES) {
+        if (board[a] && board[a] === board[b] && board[a] === board[c]) return board[a];
+    }
+    return null;
+}
+
+// Wins if it can, blocks if it must, otherwise takes the center, a corner or anything
+function tttComputerMove(board) {
+    const free = board.map((v, i) => (v ? null : i)).filter((i) => i !== null);
+    for (const player of ["O", "X"]) {
+        for (const i of free) {
+            const next = [...board];
+            next[i] = player;
+            if (tttWinner(next) === player) return i;
+        }
+    }
+    if (free.includes(4)) return 4;
+    const corners = free.filter((i) => [0, 2, 6, 8].includes(i));
+    return corners.length ? pick(corners) : pick(free);
+}
+
+function createTicTacToe({ send, frames, speed, log }) {
+    const timers = createTimers(speed);
+    const board = Array(9).fill(null);
+    let paperDetected = false;
+    let debug = "";
+    let configured = false;
+    let lastRobotMove = null;
+    let aiConsidering = null;
+    // Set by emergency_stop: the player keeps drawing, the computer plays no further moves
+    let halted = false;
+    // Operator corrections; the "camera" agrees with each one 4s after it was made
+    const lockedCells = new Set();
+
+    const gameOver = () => !!tttWinner(board) || !board.includes(null);
+
+    // The computer answers once the arm has "played" its O, 1.5s later; returns its cell
+    const answer = () => {
+        if (halted) return null;
+        if (gameOver()) {
+            debug += " | Game over!";
+            return null;
+        }
+        const computerMove = tttComputerMove(board);
+        aiConsidering = computerMove;
+        debug += " | Computer thinking...";
+        timers.after(1500, () => {
+            if (halted) return;
+            board[computerMove] = "O";
+            lastRobotMove = computerMove;
+            aiConsidering = null;
+            debug += ` | Computer O at ${computerMove}`;
+            if (gameOver()) debug += " | Game over!";
+        });
+        return computerMove;
+    };
+
+    // A finished game is wiped off the paper after 8s, so a match series can be played
+    let wipePending = false;
+    const wipe = () => {
+        board.fill(null);
+        lockedCells.clear();
+        lastRobotMove = null;
+        debug = "New game";
+        wipePending = false;
+    };
+
+    // Paper shows up after 2s, then the "player" draws an X every 5s
+    timers.after(2000, () => {
+        paperDetected = true;
+    });
+    timers.every(5000, () => {
+        if (aiConsidering !== null || !paperDetected) return;
+        if (gameOver()) {
+            if (!wipePending) timers.after(8000, wipe);
+            wipePending = true;
+            return;
+        }
+        const free = board.map((v, i) => (v || lockedCells.has(i) ? null : i)).filter((i) => i !== null);
+        if (!free.length) return;
+        const playerMove = pick(free);
+        board[playerMove] = "X";
+        debug = `Player X at ${playerMove}`;
+        answer();
+    });
+
+    const gameState = () => ({
+        board: [...board],
+        paper_detected: paperDetected,
+        status_text: paperDetected ? "Paper detected" : "Paper not detected",
+        board_status: gameOver() ? "complete" : "waiting",
+        debug,
+        winner: gameOver() ? tttWinner(board) : null,
+        last_robot_move: lastRobotMove,
+        ai_considering: aiConsidering,
+        locked_cells: [...lockedCells].sort((a, b) => a - b),
+    });
+
+    function replyToFrame(buffer, processingMs) {
+        send({
+            status: "ok",
+            processing_ms: processingMs,
+            processed_frame: buffer.toString("base64"),
+            bird_view_frame: paperDetected ? frames.next() : null,
+            game_state: gameState(),
+        });
+    }
+
+    function correctBoard({ cell, value }) {
+        if (!Number.isInteger(cell) || cell < 0 || cell > 8 || !["X", "O", null].includes(value)) {
+            return send({ status: "error", message: `Invalid board correction: ${JSON.stringify({ cell, value })}` });
+        }
+        const previous = board[cell];
+        board[cell] = value;
+        lockedCells.add(cell);
+        timers.after(4000, () => lockedCells.delete(cell));
+        if (lastRobotMove === cell && value !== "O") lastRobotMove = null;
+        debug = `Operator set cell ${cell}: ${previous} -> ${value}`;
+        const correction = { time: new Date().toISOString(), cell, previous, detected: previous, value, image: null };
+        log("correction", JSON.stringify(correction));
+        // A missed X leaves the computer to move
+        const xs = board.filter((v) => v === "X").length;
+        const os = board.filter((v) => v === "O").length;
+        const aiMove = aiConsidering === null && xs > os ? answer() : null;
+        send({ type: "board_corrected", payload: { correction, ai_move: aiMove, game_state: gameState() } });
+    }
+
+    // The mock has no frames to warp; it acknowledges the corners like the backend, without
+    // the homography, and calibrated paper is always "detected"
+    function calibrate({ corners = null }) {
+        const valid = corners === null || (Array.isArray(corners) && corners.length === 4
+            && corners.every((point) => Array.isArray(point) && point.length === 2
+                && point.every((value) => typeof value === "number" && value >= 0 && value <= 1)));
+        if (!valid) return send({ status: "error", message: `Invalid calibration: ${JSON.stringify(corners)}` });
+        if (corners) paperDetected = true;
+        log("calibration", JSON.stringify(corners));
+        send({ type: "calibration", payload: { corners, homography: null } });
+    }
+
+    return {
+        onText(text) {
+            // The first message is the game config (model, zoom, check_interval)
+            if (!configured) {
+                configured = true;
+                log("config", text);
+                return;
+            }
+            let command;
+            try {
+                command = JSON.parse(text);
+            } catch {
+                return send({ status: "error", message: "Game does not support command processing" });
+            }
+            if (command.action === "correct_board") return correctBoard(command);
+            if (command.action === "calibrate") return calibrate(command);
+            if (command.action === "emergency_stop") {
+                halted = true;
+                aiConsidering = null;
+                return send({ type: "stopped", payload: "Emergency stop: arm halted, the robot plays no further moves." });
+            }
+            send({ status: "error", message: `Unknown command: ${JSON.stringify(command)}` });
+        },
+        onBinary(buffer) {
+            const processing = inferenceTime();
+            timers.after(processing, () => replyToFrame(buffer, Math.round(processing / speed)));
+        },
+        stop: () => timers.clearAll(),
+    };
+}
+
+// --- Rubik's cube (backend/games/rubiks_cube_game.py) ---
+
+const CALIBRATION_COLORS = ["W", "R", "G", "Y", "O", "B"];
+const MOCK_SOLUTION = "R U R' U' F2 D L2 B' U2 R' F D2 L U' B2 R2 D' F' L2 U";
+const MOCK_SCRAMBLE = "F' L2 U B2 R D' F2 L' U2 R' B D2";
+
+function createRubiks({ send, speed }) {
+    const timers = createTimers(speed);
+    const state = {
+        mode: "idle",
+        status_message: "Ready",
+        error_message: null,
+        calibration_step: 0,
+        scan_index: 0,
+        solve_move_index: 0,
+        total_solve_moves: 0,
+        solution: null,
+    };
+    let job = null;
+
+    // get_state() clears the error once it was reported
+    const getState = () => {
+        const error = state.error_message;
+        state.error_message = null;
+        return {
+            mode: state.mode,
+            status_message: state.status_message,
+            error_message: error,
+            calibration_step: state.calibration_step,
+            current_color_calibrating: state.mode === "calibrating" && state.calibration_step < 6
+                ? CALIBRATION_COLORS[state.calibration_step]
+                : null,
+            scan_index: state.scan_index,
+            solve_move_index: state.solve_move_index,
+            total_solve_moves: state.total_solve_moves,
+            solution_preview: state.solution && state.solution.length > 30
+                ? `${state.solution.slice(0, 30)}...`
+                : state.solution,
+            serial_connected: true,
+            zoom_crop_factor: 1.0,
+            relative_detection_distance: 1.0,
+            effective_min_contour_area: 1000,
+            effective_max_contour_area: 150000,
+        };
+    };
+    const pushState = () => send(getState());
+
+    const stopJob = () => {
+        if (job) timers.clear(job);
+        job = null;
+    };
+
+    const startScanning = () => {
+        stopJob();
+        state.mode = "scanning";
+        state.scan_index = 0;
+        state.status_message = "Scanning initiated. Present cube to camera.";
+        job = timers.every(1500, () => {
+            if (state.mode === "scanning") {
+                state.scan_index += 1;
+                state.status_message = state.scan_index < 12
+                    ? `Scan ${state.scan_index} done. Rotating...`
+                    : "All scans done. Finalizing...";
+                if (state.scan_index === 12) {
+                    state.solution = MOCK_SOLUTION;
+                    state.total_solve_moves = MOCK_SOLUTION.split(" ").length;
+                    state.solve_move_index = 0;
+                    state.mode = "solving";
+                    state.status_message = `Solution (${state.total_solve_moves}m). Sending...`;
+                }
+            } else if (state.mode === "solving") {
+                state.solve_move_index += 1;
+                if (state.solve_move_index >= state.total_solve_moves) {
+                    stopJob();
+                    state.mode = "idle";
+                    state.status_message = "Solution command sent. ESP32 processing (assumed complete after its delay).";
+                    state.scan_index = 0;
+                }
+            }
+            pushState();
+        });
+    };
+
+    const scramble = () => {
+        stopJob();
+        state.mode = "scrambling";
+        state.status_message = `Scrambling: ${MOCK_SCRAMBLE.slice(0, 30)}...`;
+        job = timers.after(4000, () => {
+            job = null;
+            state.mode = "idle";
+            state.status_message = "Scramble completed.";
+            pushState();
+        });
+    };
+
+    const stopOperation = () => {
+        stopJob();
+        state.mode = "idle";
+        state.status_message = "Operation stopped by user.";
+        state.scan_index = 0;
+    };
+
+    let configured = false;
+
+    return {
+        onText(text) {
+            let command;
+            try {
+                command = JSON.parse(text);
+            } catch {
+                return send({ error_message: "Invalid command (not JSON).", mode: state.mode });
+            }
+            // The first message is the config; the backend answers it with the initial state
+            if (!configured) {
+                configured = true;
+                return pushState();
+            }
+
+            if ("mode" in command) {
+                const busy = ["solving", "scrambling"].includes(state.mode);
+                if (busy && !["idle", "error"].includes(command.mode)) {
+                    state.error_message = `Busy (${state.mode}). Cannot change mode now.`;
+                } else if (command.mode === "calibrating") {
+                    stopJob();
+                    state.mode = "calibrating";
+                    state.calibration_step = 0;
+                    state.status_message = `Calibration: Aim ${CALIBRATION_COLORS[0]} at box.`;
+                } else if (command.mode === "scanning") {
+                    startScanning();
+                } else if (command.mode === "scrambling") {
+                    scramble();
+                } else if (command.mode === "idle") {
+                    stopOperation();
+                    state.status_message = "Mode: Idle.";
+                } else {
+                    state.mode = command.mode;
+                }
+            } else if (command.action === "calibrate" || command.action === "calibrate_color") {
+                if (state.mode !== "calibrating") {
+                    state.error_message = "Not in calibration mode to capture color.";
+                } else {
+                    const color = CALIBRATION_COLORS[state.calibration_step];
+                    state.calibration_step += 1;
+                    if (state.calibration_step >= CALIBRATION_COLORS.length) {
+                        state.mode = "idle";
+                        state.status_message = "Calibration complete & saved.";
+                    } else {
+                        state.status_message = `Calibrated ${color}. Next: ${CALIBRATION_COLORS[state.calibration_step]}`;
+                    }
+                }
+            } else if (command.action === "scramble_cube") {
+                if (["idle", "error"].includes(state.mode)) scramble();
+                else state.error_message = "Can only scramble from idle/error mode.";
+            } else if (command.action === "stop" || command.action === "stop_operation") {
+                stopOperation();
+            }
+            pushState();
+        },
+        onBinary(buffer) {
+            configured = true; // A frame first means the default config
+            const processing = inferenceTime();
+            timers.after(processing, () => send({
+                ...getState(),
+                processed_frame: buffer.toString("base64"),
+                processing_ms: Math.round(processing / speed),
+            }));
+        },
+        stop: () => timers.clearAll(),
+    };
+}
+
+// --- Shell game (backend/games/shellGame.py) ---
+
+const CUP_NAMES = ["left", "middle", "right"];
+
+function createShellGame({ send, frames, speed, log }) {
+    const timers = createTimers(speed);
+    const startedAt = Date.now();
+    let clientFrames = false;
+    let lastClientFrame = null;
+    let latest = null;
+    let debugState = {};
+    const ballCup = Math.floor(Math.random() * 3);
+    const resultCup = pick([0, 1, 2]);
+
+    const currentFrame = () => lastClientFrame || frames.next();
+
+    // The backend waits up to 1s for an optional config before starting
+    const start = () => {
+        send({ status: "connected", message: "Shell game started" });
+        timers.every(100, () => {
+            send({ type: "livefeed", payload: currentFrame() });
+        });
+        timers.every(100, () => {
+            const elapsed = ((Date.now() - startedAt) * speed) / 1000;
+            const frame = currentFrame();
+            latest = frame;
+            let result;
+            if (elapsed < 3) {
+                result = { status: "waiting", message: "Detecting cups...", raw_frame: frame, processed_frame: frame };
+            } else {
+                // Cups swap places along a sine for ~10s, then the game ends
+                const ended = elapsed > 13;
+                const phase = ended ? 0 : Math.sin((elapsed - 3) * 2);
+                const cups = [0, 1, 2].map((i) => ({
+                    center: [Math.round(110 + i * 210 + (i === 1 ? 0 : phase * (i === 0 ? 100 : -100))), 300],
+                    axes: [60, 80],
+                    angle: 0,
+                }));
+                result = {
+                    status: ended ? "ended" : "ok",
+                    ball_position: elapsed < 4 ? [110 + ballCup * 210, 360] : null,
+                    ball_under_cup: elapsed < 4 ? null : ballCup,
+                    cups,
+                    raw_frame: frame,
+                    processed_frame: frame,
+                    cup_name_result: ended ? CUP_NAMES[resultCup] : null,
+                };
+            }
+            const { processed_frame: _processed, ...debug } = result;
+            debugState = debug;
+            send(result);
+        });
+    };
+
+    let started = false;
+    const startOnce = () => {
+        if (started) return;
+        started = true;
+        start();
+    };
+    timers.after(1000 * speed, startOnce); // Not scaled: the backend's wait is fixed
+
+    return {
+        onText(text) {
+            if (started) {
+                // The mock has no arm to halt; the tracking goes on, like the backend
+                try {
+                    if (JSON.parse(text)?.action === "emergency_stop") {
+                        send({ type: "stopped", payload: "Emergency stop: arm halted, no further arm moves." });
+                    }
+                } catch {
+                    // Other text is ignored once the game runs
+                }
+                return;
+            }
+            try {
+                const config = JSON.parse(text) || {};
+                clientFrames = config.frame_source === "client";
+                log("config", config);
+            } catch {
+                // Invalid config falls back to the backend camera, like the backend
+            }
+            startOnce();
+        },
+        onBinary(buffer) {
+            // A frame before any config means the client sends frames, like the backend
+            if (!started) {
+                clientFrames = true;
+                startOnce();
+            }
+            if (clientFrames) lastClientFrame = buffer.toString("base64");
+        },
+        getDebugState: () => debugState,
+        getStreamFrame: () => latest,
+        stop: () => timers.clearAll(),
+    };
+}
+
+// --- Memory matching (backend/games/memory_matching_backend.py) ---
+
+const CARD_COUNT = 8;
+const MEMORY_OBJECTS = {
+    color: ["red", "yellow", "green", "blue"],
+    yolo: ["orange", "apple", "cat", "car"],
+};
+const runningMemoryGames = new Set();
+
+function createMemoryGame(mode) {
+    return ({ send, close, frames, speed }) => {
+        if (runningMemoryGames.has(mode)) {
+            send({ type: "error", payload: `${mode[0].toUpperCase()}${mode.slice(1)} game is busy. Please try again later.` });
+            close();
+            return {};
+        }
+        runningMemoryGames.add(mode);
+
+        const timers = createTimers(speed);
+        const objects = [...MEMORY_OBJECTS[mode], ...MEMORY_OBJECTS[mode]].sort(() => Math.random() - 0.5);
+        const cardStates = Object.fromEntries(
+            objects.map((_, i) => [i, { isFlippedBefore: false, object: null, isMatched: false }])
+        );
+        let pairsFound = 0;
+        let currentFlipped = [];
+        const steps = [];
+
+        const sendState = (message) => {
+            send({ type: "game_state", payload: { card_states: cardStates, pairs_found: pairsFound, current_flipped: currentFlipped } });
+            if (message) send({ type: "message", payload: message });
+        };
+        const armStatus = (src, dest, cardId, success = true) => send({
+            type: "arm_status",
+            payload: { status: "finished", success, action: `${src}_to_${dest}`, card_id: cardId },
+        });
+
+        // Plays like the backend: flip an unknown card, then its known twin or another unknown one
+        const planTurn = () => {
+            const open = objects.map((_, i) => i).filter((i) => !cardStates[i].isMatched);
+            const first = open.find((i) => !cardStates[i].isFlippedBefore) ?? open[0];
+            const twin = open.find((i) => i !== first && cardStates[i].isFlippedBefore && objects[i] === objects[first]);
+            const second = twin ?? open.find((i) => i !== first && !cardStates[i].isFlippedBefore) ?? open.find((i) => i !== first);
+            for (const id of [first, second]) {
+                steps.push(() => {
+                    armStatus("card", "temp1", id);
+                    cardStates[id].isFlippedBefore = true;
+                    cardStates[id].object = objects[id];
+                    currentFlipped.push(id);
+                    sendState(`Card ${id} is ${objects[id]}.`);
+                });
+            }
+            steps.push(() => {
+                if (objects[first] === objects[second]) {
+                    armStatus("card", "trash", first);
+                    armStatus("card", "trash", second);
+                    cardStates[first].isMatched = true;
+                    cardStates[second].isMatched = true;
+                    pairsFound += 1;
+                    currentFlipped = [];
+                    sendState(`Match found: ${objects[first]}!`);
+                } else {
+                    armStatus("temp1", "card", first);
+                    armStatus("temp1", "card", second);
+                    currentFlipped = [];
+                    send({ type: "cards_hidden", payload: [first, second] });
+                    sendState();
+                }
+            });
+        };
+
+        const label = mode === "yolo" ? "YOLO Game Started (Board Detect Mode)" : "Color Game Started";
+        send({ type: "game_state", payload: { card_states: cardStates, pairs_found: 0, current_flipped_cards: [] } });
+        send({ type: "message", payload: `${label}. Initializing arm...` });
+        timers.after(1500, () => {
+            armStatus("home", "home", -1);
+            send({ type: "message", payload: "Arm ready. Starting game." });
+        });
+        timers.every(200, () => {
+            send({ type: "frame_update", payload: { frame: frames.next(), transformed_frame: frames.current() } });
+        });
+        const loop = timers.every(2000, () => {
+            if (pairsFound >= CARD_COUNT / 2) {
+                timers.clear(loop);
+                send({ type: "game_over", payload: "All pairs found!" });
+                return;
+            }
+            if (!steps.length) planTurn();
+            steps.shift()();
+        });
+
+        const stop = () => {
+            timers.clearAll();
+            runningMemoryGames.delete(mode);
+        };
+
+        return {
+            // emergency_stop is the only command; it ends the game
+            onText(text) {
+                let command;
+                try {
+                    command = JSON.parse(text);
+                } catch {
+                    return;
+                }
+                if (command?.action !== "emergency_stop") return;
+                stop();
+                send({ type: "stopped", payload: "Emergency stop: arm halted, game ended." });
+                close();
+            },
+            stop,
+        };
+    };
+}
+
+// --- Target shooter (backend/games/target_shooter_game.py) ---
+
+function createTargetShooter({ send, frames, speed }) {
+    const timers = createTimers(speed);
+    const state = {
+        pan: 90,
+        tilt: 90,
+        depth_cm: 0,
+        target_color: "yellow",
+        shot_angles_count: 0,
+        game_over_timeout: false,
+        game_requested_stop: false,
+        focal_length: 580,
+        laser_offset_cm_x: 4,
+        laser_offset_cm_y: 18,
+        kp_x: 0.05,
+        kp_y: 0.05,
+        no_balloon_timeout_setting: 10,
+        conf_threshold: 0.5,
+    };
+    let latest = frames.next();
+    let ended = false;
+    let tracking = null;
+
+    const endGame = (message) => {
+        ended = true;
+        if (tracking) timers.clear(tracking);
+        send({ status: "ended", message, processed_frame: null, game_state: { ...state } });
+    };
+
+    // Aims at a balloon, fires every few seconds and times out after the configured delay
+    const startTracking = () => {
+        let lastShotAt = Date.now();
+        tracking = timers.every(500, () => {
+            latest = frames.next();
+            state.pan = Math.round((90 + Math.sin(Date.now() / 900) * 30) * 10) / 10;
+            state.tilt = Math.round((80 + Math.cos(Date.now() / 1300) * 15) * 10) / 10;
+            state.depth_cm = Math.round((150 + Math.random() * 40) * 10) / 10;
+            if ((Date.now() - lastShotAt) * speed > 4000) {
+                state.shot_angles_count += 1;
+                lastShotAt = Date.now();
+            }
+            if (state.shot_angles_count >= 3 && (Date.now() - lastShotAt) * speed > state.no_balloon_timeout_setting * 1000) {
+                state.game_over_timeout = true;
+                return endGame("Game ended: Timeout.");
+            }
+            const message = state.shot_angles_count >= 3
+                ? `No ${state.target_color} balloon in view.`
+                : `Tracking ${state.target_color} balloon.`;
+            send({ status: "ok", message, game_state: { ...state } });
+        });
+    };
+
+    const applyParams = (command) => {
+        for (const key of ["focal_length", "laser_offset_cm_x", "laser_offset_cm_y", "kp_x", "kp_y"]) {
+            if (command[key] !== undefined) state[key] = Number(command[key]);
+        }
+        if (command.target_color) state.target_color = command.target_color;
+        if (command.no_balloon_timeout !== undefined) state.no_balloon_timeout_setting = Number(command.no_balloon_timeout);
+    };
+
+    let configured = false;
+
+    return {
+        onText(text) {
+            let command;
+            try {
+                command = JSON.parse(text);
+            } catch {
+                return send({ status: "error", message: "Game does not support command processing" });
+            }
+            // The first message is the config the session is created with; it gets no reply
+            if (!configured) {
+                configured = true;
+                applyParams(command);
+                startTracking();
+                return;
+            }
+            let message;
+            if (command.action === "initial_config" || command.action === "update_params") {
+                applyParams(command);
+                message = `Parameters updated. FL:${state.focal_length}, OffsetX:${state.laser_offset_cm_x}, `
+                    + `OffsetY:${state.laser_offset_cm_y}, Color:${state.target_color}, Timeout: ${state.no_balloon_timeout_setting}`;
+            } else if (command.action === "reset_shot_angles") {
+                state.shot_angles_count = 0;
+                message = "Shot angles reset.";
+            } else if (command.action === "end_game") {
+                state.game_requested_stop = true;
+                message = "Game end requested. Stopping...";
+            } else if (command.action === "emergency_stop") {
+                state.game_requested_stop = true;
+                state.pan = 90;
+                state.tilt = 90;
+                message = "Emergency stop: Hardware reset, game stopping.";
+            } else {
+                message = `Unknown command: ${command.action}`;
+            }
+            send({ status: "command_processed", message, game_state: { ...state } });
+            if (state.game_requested_stop && !ended) endGame("Game ended: User request.");
+        },
+        getStreamFrame: () => (ended ? null : latest),
+        stop: () => timers.clearAll(),
+    };
+}
+
+// --- Hardware console (/ws/hardware in backend/main.py, esp32_webserver.ino) ---
+
+const ESP32_GAMES = ["ARM", "SHOOTER", "RUBIK"];
+
+// Relay mode of the emulated ESP32, shared by all consoles like the real board
+let esp32Game = "";
+
+// The ESP32's answer to a request, following esp32_webserver.ino
+function esp32Reply(request) {
+    if (request.action === "switch") {
+        if (!ESP32_GAMES.includes(request.game)) return { success: false, message: `Invalid game: ${request.game}` };
+        esp32Game = request.game;
+        return { success: true, message: `Switched to ${esp32Game} game` };
+    }
+    if (!esp32Game) return { success: false, message: "No game selected" };
+    const { command } = request;
+    const valid = esp32Game === "RUBIK"
+        || (esp32Game === "ARM" && command.split(",").length === 5)
+        || (esp32Game === "SHOOTER" && (command.toLowerCase() === "shoot" || /^\S+ \S+$/.test(command)));
+    return valid
+        ? { success: true, message: "Command executed" }
+        : { success: false, message: `Invalid command for ${esp32Game} game` };
+}
+
+function createHardwareConsole({ send, speed, log }) {
+    const timers = createTimers(speed);
+    const sendStatus = () => send({ type: "esp32_status", payload: { connected: true, uri: "ws://mock-esp32:80" } });
+    sendStatus();
+
+    return {
+        onText(text) {
+            let request = null;
+            try {
+                request = JSON.parse(text);
+            } catch {
+                // Handled as an invalid request below
+            }
+            const valid = request && ((request.action === "switch" && ESP32_GAMES.includes(request.game))
+                || (request.action === "command" && typeof request.command === "string" && request.command));
+            if (!valid) return send({ type: "error", payload: `Invalid hardware request: ${text}` });
+            log("ESP32 <-", JSON.stringify(request));
+            // The backend's ESP32 client waits 2s after each command; the reply comes in meanwhile
+            timers.after(300, () => send({ type: "esp32_reply", payload: esp32Reply(request) }));
+            timers.after(2000, () => {
+                send({ type: "command_sent", payload: { request, sent: true } });
+                sendStatus();
+            });
+        },
+        stop: () => timers.clearAll(),
+    };
+}
+
+// Keyed by the backend's game ids (GAME_MODULES in backend/main.py), plus the hardware console
+export const MOCK_GAMES = {
+    hardware: createHardwareConsole,
+    "tic-tac-toe": createTicTacToe,
+    rubiks: createRubiks,
+    "shell-game": createShellGame,
+    color: createMemoryGame("color"),
+    yolo: createMemoryGame("yolo"),
+    "target-shooter": createTargetShooter,
+};
@@ -0,0 +1,230 @@
+// mock-backend/server.mjs
+// Stand-in for the FastAPI backend (backend/main.py) so the frontend can be developed
+// without the backend, the ESP32 or a camera:
+//   npm run mock-backend -- [--port 8000] [--host 0.0.0.0] [--speed 1] [--images <dir>]
+// Serves /ws/{game_id} (including the /ws/hardware console), /shell-game/debug, /stream/{shell-game,target-shooter},
+// /status (preflight check) and /openapi.json (used by the settings page's connection test).
+import { createServer } from "node:http";
+import { readdirSync, readFileSync, statSync } from "node:fs";
+import { join, dirname, extname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { WebSocketServer } from "ws";
+import { MOCK_GAMES } from "./games.mjs";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+
+const { values: args } = parseArgs({
+    options: {
+        port: { type: "string", default: "8000" },
+        host: { type: "string", default: "0.0.0.0" },
+        speed: { type: "string", default: "1" },
+        images: { type: "string", default: join(ROOT, "backend/games/tic-tac-toe/data/images/test") },
+    },
+});
+
+const speed = Math.max(0.1, Number(args.speed) || 1);
+
+// Every JPEG under the images directory, played in a loop as the "camera"
+function loadImages(dir) {
+    return readdirSync(dir)
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .flatMap((name) => {
+            const path = join(dir, name);
+            if (statSync(path).isDirectory()) return loadImages(path);
+            return [".jpg", ".jpeg"].includes(extname(name).toLowerCase()) ? [readFileSync(path)] : [];
+        });
+}
+
+const images = loadImages(args.images);
+if (!images.length) {
+    console.error(`No JPEG images found in ${args.images}`);
+    process.exit(1);
+}
+
+// Each session gets its own cursor into the images
+function createFrames() {
+    let index = -1;
+    return {
+        next() {
+            index = (index + 1) % images.length;
+            return images[index].toString("base64");
+        },
+        current: () => images[Math.max(index, 0)].toString("base64"),
+    };
+}
+
+// Latest session per game, like the backend's global shell/target shooter sessions
+const activeSessions = new Map();
+
+const STREAMS = ["shell-game", "target-shooter"];
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+    });
+    res.end(JSON.stringify(body));
+}
+
+// multipart/x-mixed-replace, the same framing as the backend's stream generators
+function serveStream(req, res, gameId) {
+    res.writeHead(200, {
+        "Content-Type": "multipart/x-mixed-replace; boundary=frame",
+        "Cache-Control": "no-cache, no-store, must-revalidate",
+        "Access-Control-Allow-Origin": "*",
+    });
+    const session = activeSessions.get(gameId);
+    if (!session) {
+        res.end("--frame\r\nContent-Type: image/jpeg\r\n\r\n"); // Empty stream, as the backend does
+        return;
+    }
+    const timer = setInterval(() => {
+        const frame = session.getStreamFrame?.();
+        if (!frame) return;
+        const jpeg = Buffer.from(frame, "base64");
+        res.write(`--frame\r\nContent-Type: image/jpeg\r\nContent-Length: ${jpeg.length}\r\n\r\n`);
+        res.write(jpeg);
+        res.write("\r\n");
+    }, 100 / speed);
+    req.on("close", () => clearInterval(timer));
+}
+
+const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") {
+        res.writeHead(204, {
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Methods": "*",
+            "Access-Control-Allow-Headers": "*",
+        });
+        return res.end();
+    }
+    if (pathname === "/openapi.json") {
+        return sendJson(res, 200, { openapi: "3.1.0", info: { title: "Mock backend", version: "0.1.0" }, paths: {} });
+    }
+    if (pathname === "/status") {
+        return sendJson(res, 200, {
+            esp32: { connected: true, uri: "ws://mock-esp32:80" },
+            games: Object.keys(MOCK_GAMES).filter((gameId) => gameId !== "hardware"),
+        });
+    }
+    if (pathname === "/shell-game/debug") {
+        const session = activeSessions.get("shell-game");
+        return sendJson(res, 200, session
+            ? session.getDebugState()
+            : { status: "error", message: "Shell game not running" });
+    }
+    const stream = pathname.match(/^\/stream\/([\w-]+)$/);
+    if (stream && STREAMS.includes(stream[1])) return serveStream(req, res, stream[1]);
+    sendJson(res, 404, { detail: "Not Found" });
+});
+
+const wss = new WebSocketServer({ noServer: true });
+
+server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(/^\/ws\/([\w-]+)$/);
+    if (!match) {
+        socket.destroy();
+        return;
+    }
+    const binaryFrames = url.searchParams.get("frames") === "binary";
+    const preflight = url.searchParams.get("preflight") === "1";
+    wss.handleUpgrade(req, socket, head, (ws) => handleGameSocket(ws, match[1], binaryFrames, preflight));
+});
+
+// Same split as backend/utils/frame_transport.py, for clients connecting with ?frames=binary
+const FRAME_FIELD_VIEWS = {
+    processed_frame: "processed",
+    raw_frame: "raw",
+    bird_view_frame: "bird_view",
+    transformed_frame: "transformed",
+    frame: "frame",
+};
+
+function takeFrameFields(message, frames) {
+    const rest = {};
+    Object.entries(message).forEach(([key, value]) => {
+        if (!(key in FRAME_FIELD_VIEWS)) rest[key] = value;
+        else if (typeof value === "string" && value) frames.push([FRAME_FIELD_VIEWS[key], value]);
+    });
+    return rest;
+}
+
+function splitFrames(message) {
+    const frames = [];
+    if (message.type === "livefeed") {
+        if (typeof message.payload === "string" && message.payload) frames.push(["livefeed", message.payload]);
+        return { frames, rest: null };
+    }
+    let rest;
+    if (typeof message.type === "string" && message.payload && typeof message.payload === "object"
+        && !Array.isArray(message.payload)) {
+        const payload = takeFrameFields(message.payload, frames);
+        if (frames.length && !Object.keys(payload).length) return { frames, rest: null };
+        rest = { ...message, payload };
+    } else {
+        rest = takeFrameFields(message, frames);
+    }
+    rest.frames = frames.map(([view]) => view);
+    return { frames, rest };
+}
+
+function encodeFrame(view, base64) {
+    const viewId = Buffer.from(view, "ascii");
+    return Buffer.concat([Buffer.from([1, viewId.length]), viewId, Buffer.from(base64, "base64")]);
+}
+
+function handleGameSocket(ws, gameId, binaryFrames, preflight) {
+    const log = (...parts) => console.log(`[${gameId}]`, ...parts);
+    const createGame = MOCK_GAMES[gameId];
+    if (!createGame) {
+        ws.send(JSON.stringify({ status: "error", message: "Unknown game" }));
+        ws.close(1003);
+        return;
+    }
+    if (preflight) {
+        ws.send(JSON.stringify({ status: "preflight", game_id: gameId }));
+        ws.close(1000);
+        return;
+    }
+
+    log(`connected${binaryFrames ? " (binary frames)" : ""}`);
+    const session = createGame({
+        send: (message) => {
+            if (ws.readyState !== ws.OPEN) return;
+            if (!binaryFrames) {
+                ws.send(JSON.stringify(message));
+                return;
+            }
+            const { frames, rest } = splitFrames(message);
+            frames.forEach(([view, base64]) => ws.send(encodeFrame(view, base64)));
+            if (rest) ws.send(JSON.stringify(rest));
+        },
+        close: (code = 1000) => ws.close(code),
+        frames: createFrames(),
+        speed,
+        log,
+    });
+    activeSessions.set(gameId, session);
+
+    ws.on("message", (data, isBinary) => {
+        try {
+            if (isBinary) session.onBinary?.(data);
+            else session.onText?.(data.toString());
+        } catch (e) {
+            log("error handling message:", e);
+        }
+    });
+    ws.on("close", (code) => {
+        log(`disconnected (${code})`);
+        session.stop?.();
+        if (activeSessions.get(gameId) === session) activeSessions.delete(gameId);
+    });
+}
+
+server.listen(Number(args.port), args.host, () => {
+    console.log(`Mock backend on http://${args.host}:${args.port} (${images.length} images, speed x${speed})`);
+    console.log(`Games: ${Object.keys(MOCK_GAMES).join(", ")}`);
+});
@@ -0,0 +1,26 @@
+import Link from "next/link";
+import { GAMES } from "@/games/registry";
+
+export default function GameNotFound() {
+  return (
+    <div className="flex flex-col items-center justify-center min-h-screen gap-6 bg-gradient-to-br from-blue-100 via-white to-yellow-100 p-4">
+      <span className="text-6xl">🕹️</span>
+      <h1 className="text-3xl font-bold text-blue-900">Game not found</h1>
+      <p className="text-gray-600 text-center max-w-md">There is no game at this address. Pick one of these instead:</p>
+      <div className="flex flex-wrap justify-center gap-3">
+        {GAMES.map((game) => (
+          <Link
+            key={game.id}
+            href={`/games/${game.id}`}
+            className="px-4 py-2 rounded-lg bg-white shadow border border-blue-200 hover:border-yellow-300 hover:bg-yellow-50 transition"
+          >
+            {game.emoji} {game.name}
+          </Link>
+        ))}
+      </div>
+      <Link href="/" className="text-blue-500 hover:underline">
+        ← Back to home
+      </Link>
+    </div>
+  );
+}
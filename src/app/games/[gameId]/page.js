@@ -0,0 +1,22 @@
+"use client";
+import { useCallback, useState } from "react";
+import { notFound, useParams } from "next/navigation";
+import { getGame } from "@/games/registry";
+import { PreflightGate } from "@/components/Preflight";
+
+export default function GamePage() {
+  const { gameId } = useParams();
+  // Game whose preflight check passed or was skipped
+  const [clearedId, setClearedId] = useState(null);
+  const handleContinue = useCallback(() => setClearedId(gameId), [gameId]);
+
+  const game = getGame(gameId);
+  if (!game) notFound();
+
+  // Games that run entirely in the browser have nothing to check
+  const needsPreflight = game.endpoints.length > 0 || game.hardware.length > 0;
+  if (needsPreflight && clearedId !== gameId) return <PreflightGate game={game} onContinue={handleContinue} />;
+
+  const { Page } = game;
+  return <Page />;
+}
@@ -0,0 +1,325 @@
+"use client";
+import { useRef, useState } from "react";
+import Link from "next/link";
+import { useGameSocket, SOCKET_STATUS, SOCKET_STATUS_LABELS } from "@/utils/gameSocket";
+import { HARDWARE } from "@/games/registry";
+
+const RELAY_MODES = Object.values(HARDWARE).filter((hardware) => hardware.esp32Game);
+
+// Where esp32_webserver.ino starts the arm servos
+const ARM_HOME = [180, 0, 0];
+const SHOOTER_LIMITS = { pan: [0, 180], tilt: [0, 270] };
+const JOG_STEPS = [1, 5, 10, 30];
+const MAX_LOG_ENTRIES = 200;
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+function AngleControl({ id, label, value, limits, step, disabled, onChange, onJog }) {
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor={id} className="w-20 font-medium text-gray-700">
+        {label}
+      </label>
+      <button
+        onClick={() => onJog(-step)}
+        disabled={disabled}
+        className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+      >
+        −{step}
+      </button>
+      <input
+        type="range"
+        id={id}
+        min={limits[0]}
+        max={limits[1]}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="flex-1"
+      />
+      <button
+        onClick={() => onJog(step)}
+        disabled={disabled}
+        className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+      >
+        +{step}
+      </button>
+      <span className="w-12 text-right font-mono">{value}°</span>
+    </div>
+  );
+}
+
+export default function HardwareConsolePage() {
+  const [esp32, setEsp32] = useState(null); // { connected, uri }
+  const [relayMode, setRelayMode] = useState(null); // Last mode the ESP32 confirmed
+  const [pending, setPending] = useState(null); // Request the backend is still sending
+  const [log, setLog] = useState([]);
+  const [jogStep, setJogStep] = useState(5);
+  const [armAngles, setArmAngles] = useState(ARM_HOME);
+  const [magnet, setMagnet] = useState(false);
+  const [liftFirst, setLiftFirst] = useState(true);
+  const [shooter, setShooter] = useState({ pan: 90, tilt: 90 });
+  const nextLogId = useRef(1);
+
+  const addLog = (kind, text, success = null) => {
+    const entry = { id: nextLogId.current++, time: new Date().toLocaleTimeString(), kind, text, success };
+    setLog((prev) => [entry, ...prev].slice(0, MAX_LOG_ENTRIES));
+  };
+
+  const { status: socketStatus, send, reconnectAttempt } = useGameSocket("hardware", {
+    handlers: {
+      esp32_status: (payload) => setEsp32(payload),
+      esp32_reply: ({ success, message }) => {
+        addLog("reply", message, success);
+        const switched = success && message.match(/^Switched to (\w+) game$/);
+        if (switched) setRelayMode(switched[1]);
+      },
+      command_sent: ({ request, sent }) => {
+        setPending(null);
+        if (!sent) addLog("error", `Could not reach the ESP32 for ${JSON.stringify(request)}`, false);
+      },
+      error: (message) => {
+        setPending(null);
+        addLog("error", message, false);
+      },
+    },
+    onOpen: () => {
+      setPending(null);
+      addLog("info", "Connected to the backend");
+    },
+    onClose: () => {
+      setPending(null);
+      addLog("error", "Connection to the backend closed", false);
+    },
+  });
+
+  const isOpen = socketStatus === SOCKET_STATUS.OPEN;
+  // The backend handles one request at a time and waits 2s after each
+  const canSend = isOpen && !pending;
+
+  const sendRequest = (request) => {
+    if (!canSend) return;
+    if (!send(request)) {
+      addLog("error", "Not connected to the backend", false);
+      return;
+    }
+    setPending(request);
+    addLog("sent", request.action === "switch" ? `switch → ${request.game}` : `command "${request.command}"`);
+  };
+
+  // "a1,a2,a3,magnet,pick": an even pick signal lifts (servo 2) before moving servos 1 and 3
+  const sendArm = (angles = armAngles) =>
+    sendRequest({ action: "command", command: `${angles.join(",")},${magnet ? 1 : 0},${liftFirst ? 0 : 1}` });
+
+  const jogArm = (index, delta) => {
+    const next = armAngles.map((angle, i) => (i === index ? clamp(angle + delta, [0, 180]) : angle));
+    setArmAngles(next);
+    sendArm(next);
+  };
+
+  const homeArm = () => {
+    setArmAngles(ARM_HOME);
+    sendArm(ARM_HOME);
+  };
+
+  const aimShooter = (next = shooter) => sendRequest({ action: "command", command: `${next.pan} ${next.tilt}` });
+
+  const jogShooter = (axis, delta) => {
+    const next = { ...shooter, [axis]: clamp(shooter[axis] + delta, SHOOTER_LIMITS[axis]) };
+    setShooter(next);
+    aimShooter(next);
+  };
+
+  const modeWarning = (game) =>
+    relayMode !== game && (
+      <p className="text-xs text-amber-700 mb-2">
+        Commands go to the rig the relay is switched to{relayMode ? ` (${relayMode})` : ""}; switch to {game} first.
+      </p>
+    );
+
+  const socketLabel = socketStatus === SOCKET_STATUS.RECONNECTING
+    ? `${SOCKET_STATUS_LABELS[socketStatus]} (attempt ${reconnectAttempt})`
+    : SOCKET_STATUS_LABELS[socketStatus];
+
+  return (
+    <div className="flex flex-col items-center gap-4 p-4 min-h-screen bg-gradient-to-br from-blue-100 via-white to-yellow-100">
+      <div className="w-full max-w-4xl bg-white rounded-2xl shadow-2xl p-8 mt-4 border border-gray-200">
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-3xl font-extrabold tracking-tight text-blue-900 drop-shadow">
+            Hardware Console
+          </h1>
+          <Link href="/" className="text-sm text-blue-600 hover:underline">
+            ← Games
+          </Link>
+        </div>
+
+        <div className="flex flex-wrap gap-4 mb-6 text-sm">
+          <span>
+            Backend: <span className={isOpen ? "text-green-700" : "text-red-600"}>{socketLabel}</span>
+          </span>
+          <span>
+            ESP32:{" "}
+            {esp32 ? (
+              <span className={esp32.connected ? "text-green-700" : "text-red-600"}>
+                {esp32.connected ? "connected" : "not connected"} ({esp32.uri})
+              </span>
+            ) : (
+              "–"
+            )}
+          </span>
+          {pending && <span className="text-gray-500">Sending…</span>}
+        </div>
+
+        <section className="mb-6">
+          <h2 className="text-xl font-bold text-blue-900 mb-2">Relay mode</h2>
+          <div className="flex flex-wrap gap-3">
+            {RELAY_MODES.map(({ esp32Game, label }) => (
+              <button
+                key={esp32Game}
+                onClick={() => sendRequest({ action: "switch", game: esp32Game })}
+                disabled={!canSend}
+                className={`px-5 py-2 rounded-lg font-semibold shadow transition disabled:opacity-50 ${
+                  relayMode === esp32Game ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-800 hover:bg-gray-200"
+                }`}
+              >
+                {label} <span className="font-mono text-xs opacity-75">{esp32Game}</span>
+              </button>
+            ))}
+          </div>
+        </section>
+
+        <div className="flex items-center gap-2 mb-4 text-sm">
+          <label htmlFor="jogStep" className="font-medium text-gray-700">
+            Jog step:
+          </label>
+          <select
+            id="jogStep"
+            value={jogStep}
+            onChange={(e) => setJogStep(Number(e.target.value))}
+            className="p-1 border rounded"
+          >
+            {JOG_STEPS.map((step) => (
+              <option key={step} value={step}>
+                {step}°
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+          <section className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <h2 className="text-xl font-bold text-blue-900 mb-2">🦾 Arm</h2>
+            {modeWarning("ARM")}
+            <div className="flex flex-col gap-2 mb-3">
+              {armAngles.map((angle, index) => (
+                <AngleControl
+                  key={index}
+                  id={`armServo${index + 1}`}
+                  label={`Servo ${index + 1}`}
+                  value={angle}
+                  limits={[0, 180]}
+                  step={jogStep}
+                  disabled={!canSend}
+                  onChange={(value) => setArmAngles((prev) => prev.map((a, i) => (i === index ? value : a)))}
+                  onJog={(delta) => jogArm(index, delta)}
+                />
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-4 mb-3 text-sm">
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={magnet} onChange={(e) => setMagnet(e.target.checked)} />
+                Magnet on
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={liftFirst} onChange={(e) => setLiftFirst(e.target.checked)} />
+                Move servo 2 first
+              </label>
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => sendArm()}
+                disabled={!canSend}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg shadow hover:bg-blue-700 disabled:opacity-50"
+              >
+                Move
+              </button>
+              <button
+                onClick={homeArm}
+                disabled={!canSend}
+                className="px-4 py-2 bg-gray-200 rounded-lg shadow hover:bg-gray-300 disabled:opacity-50"
+              >
+                Home ({ARM_HOME.join(", ")})
+              </button>
+            </div>
+          </section>
+
+          <section className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <h2 className="text-xl font-bold text-blue-900 mb-2">🎯 Shooter</h2>
+            {modeWarning("SHOOTER")}
+            <div className="flex flex-col gap-2 mb-3">
+              {["pan", "tilt"].map((axis) => (
+                <AngleControl
+                  key={axis}
+                  id={`shooter-${axis}`}
+                  label={axis === "pan" ? "Pan" : "Tilt"}
+                  value={shooter[axis]}
+                  limits={SHOOTER_LIMITS[axis]}
+                  step={jogStep}
+                  disabled={!canSend}
+                  onChange={(value) => setShooter((prev) => ({ ...prev, [axis]: value }))}
+                  onJog={(delta) => jogShooter(axis, delta)}
+                />
+              ))}
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => aimShooter()}
+                disabled={!canSend}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg shadow hover:bg-blue-700 disabled:opacity-50"
+              >
+                Aim
+              </button>
+              <button
+                onClick={() => sendRequest({ action: "command", command: "shoot" })}
+                disabled={!canSend}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg shadow hover:bg-red-700 disabled:opacity-50"
+              >
+                🔥 Fire
+              </button>
+            </div>
+          </section>
+        </div>
+
+        <section>
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-xl font-bold text-blue-900">Log</h2>
+            <button onClick={() => setLog([])} className="text-sm text-blue-600 hover:underline">
+              Clear
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            Every ESP32 reply is listed, including those to commands sent by a running game.
+          </p>
+          <div className="h-64 overflow-y-auto bg-gray-900 rounded-lg p-3 font-mono text-xs">
+            {log.length === 0 && <div className="text-gray-500">Nothing yet.</div>}
+            {log.map((entry) => (
+              <div
+                key={entry.id}
+                className={
+                  entry.success === true
+                    ? "text-green-400"
+                    : entry.success === false
+                    ? "text-red-400"
+                    : entry.kind === "sent"
+                    ? "text-blue-300"
+                    : "text-gray-300"
+                }
+              >
+                <span className="text-gray-500">{entry.time}</span> {entry.kind === "sent" ? "→" : "←"} {entry.text}
+              </div>
+            ))}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,7 @@
 "use client";
 import { useRouter } from "next/navigation";
-
-const games = [
-  { name: "Shell Game", id: "shell-game", emoji: "🥚" },
-  { name: "Tic Tac Toe", id: "tic-tac-toe", emoji: "❌⭕" },
-  { name: "Rubik's Game", id: "rubiks-game", emoji: "🟩🟥🟦" },
-  { name: "Memory Matching", id: "memory-matching", emoji: "🧠" },
-  { name: "Target Shooter", id: "shooting-game", emoji: "🎯" },
-];
+import Link from "next/link";
+import { GAMES, HARDWARE } from "@/games/registry";
 
 export default function Home() {
   const router = useRouter();
@@ -23,10 +17,10 @@ export default function Home() {
         </p>
       </div>
       <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 w-full max-w-2xl">
-        {games.map((game, idx) => (
+        {GAMES.map((game, idx) => (
           <button
             key={game.id}
-            className={`flex flex-col items-center justify-center px-8 py-8 rounded-2xl shadow-xl bg-white hover:bg-gradient-to-br hover:from-blue-100 hover:to-yellow-100 border-2 border-blue-200 hover:border-yellow-300 transition-all duration-200 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-400 ${idx === games.length - 1 && games.length % 2 === 1
+            className={`flex flex-col items-center justify-center px-8 py-8 rounded-2xl shadow-xl bg-white hover:bg-gradient-to-br hover:from-blue-100 hover:to-yellow-100 border-2 border-blue-200 hover:border-yellow-300 transition-all duration-200 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-400 ${idx === GAMES.length - 1 && GAMES.length % 2 === 1
                 ? "sm:col-span-2 justify-self-center w-full"
                 : ""
               }`}
@@ -34,12 +28,13 @@ export default function Home() {
           >
             <span className="text-5xl mb-2">{game.emoji}</span>
             <span className="text-2xl font-bold text-blue-900 mb-1">{game.name}</span>
-            <span className="text-sm text-gray-500">
-              {game.id === "shell-game" && "Find the ball under the cup!"}
-              {game.id === "tic-tac-toe" && "Classic game, AI never loses!"}
-              {game.id === "rubiks-game" && "Watch the robot solve the cube!"}
-              {game.id === "memory-matching" && "Test your memory with vision AI!"}
-              {game.id === "shooting-game" && "Aim and shoot with computer vision!"}
+            <span className="text-sm text-gray-500">{game.description}</span>
+            <span className="flex flex-wrap justify-center gap-1 mt-2">
+              {game.hardware.map((key) => (
+                <span key={key} className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 text-xs">
+                  {HARDWARE[key].label}
+                </span>
+              ))}
             </span>
           </button>
         ))}
@@ -48,6 +43,21 @@ export default function Home() {
         <span>
           Built with <span className="text-pink-400">♥</span> using Next.js, OpenCV, and AI. <br />
         </span>
+        <Link href="/settings" className="text-blue-500 hover:underline">
+          ⚙️ Backend settings
+        </Link>
+        {" · "}
+        <Link href="/hardware" className="text-blue-500 hover:underline">
+          🔧 Hardware console
+        </Link>
+        {" · "}
+        <Link href="/preflight" className="text-blue-500 hover:underline">
+          ✅ Preflight check
+        </Link>
+        {" · "}
+        <Link href="/stats" className="text-blue-500 hover:underline">
+          📈 Game stats
+        </Link>
       </footer>
     </div>
   );
@@ -0,0 +1,61 @@
+"use client";
+import { useMemo, useState } from "react";
+import Link from "next/link";
+import { GAMES } from "@/games/registry";
+import { PreflightChecklist } from "@/components/Preflight";
+import { usePreflight } from "@/utils/preflight";
+
+export default function PreflightPage() {
+  const [gameId, setGameId] = useState("all");
+  const games = useMemo(() => (gameId === "all" ? GAMES : GAMES.filter((game) => game.id === gameId)), [gameId]);
+  const preflight = usePreflight(games);
+  const { running, passed, run } = preflight;
+
+  return (
+    <div className="flex flex-col items-center gap-4 p-4 min-h-screen bg-gradient-to-br from-blue-100 via-white to-yellow-100">
+      <div className="w-full max-w-2xl bg-white rounded-2xl shadow-2xl p-8 mt-4 border border-gray-200">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-3xl font-extrabold tracking-tight text-blue-900 drop-shadow">
+            Preflight Check
+          </h1>
+          <Link href="/" className="text-sm text-blue-600 hover:underline">
+            ← Games
+          </Link>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <label htmlFor="preflightGame" className="font-medium">
+            Game:
+          </label>
+          <select
+            id="preflightGame"
+            value={gameId}
+            onChange={(e) => setGameId(e.target.value)}
+            className="p-2 border rounded"
+          >
+            <option value="all">All games</option>
+            {GAMES.map((game) => (
+              <option key={game.id} value={game.id}>
+                {game.emoji} {game.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => run({ connectEsp32: true })}
+            disabled={running}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg shadow hover:bg-blue-700 disabled:opacity-50"
+          >
+            {running ? "Checking…" : "Run again"}
+          </button>
+          {!running && (
+            <span className={passed ? "text-green-700 font-semibold" : "text-red-600 font-semibold"}>
+              {passed ? "Ready to play" : "Not ready"}
+            </span>
+          )}
+        </div>
+
+        <PreflightChecklist preflight={preflight} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+"use client";
+import { useState } from "react";
+import Link from "next/link";
+import {
+  DEFAULT_BACKEND_CONFIG,
+  loadBackendConfig,
+  saveBackendConfig,
+  normalizeBackendHost,
+  resetBackendConfig,
+  getBackendWsUrl,
+  getBackendHttpUrl,
+} from "@/utils/backendConfig";
+import { useClientValue } from "@/utils/clientState";
+
+export default function BackendSettingsPage() {
+  const [config, setConfig] = useClientValue(loadBackendConfig, DEFAULT_BACKEND_CONFIG);
+  const [pageHost] = useClientValue(() => window.location.hostname, "");
+  const [saved, setSaved] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+
+  // A pasted URL is cut down to its host; the URLs below and the test use that
+  const host = normalizeBackendHost(config.host);
+  const hostError = host === null ? "Enter only the host name or IP address, e.g. 192.168.1.20." : null;
+  const resolvedConfig = { ...config, host: host || "" };
+
+  const updateConfig = (changes) => {
+    setConfig((prev) => ({ ...prev, ...changes }));
+    setSaved(false);
+    setTestResult(null);
+  };
+
+  const handleSave = () => {
+    saveBackendConfig(config);
+    setConfig(loadBackendConfig());
+    setSaved(true);
+  };
+
+  const handleReset = () => {
+    resetBackendConfig();
+    setConfig(loadBackendConfig());
+    setSaved(true);
+    setTestResult(null);
+  };
+
+  // FastAPI always serves its schema, so it doubles as a reachability check
+  const handleTest = async () => {
+    const url = getBackendHttpUrl("/openapi.json", resolvedConfig);
+    setTestResult({ pending: true, message: `Contacting ${url}...` });
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 4000);
+    try {
+      const res = await fetch(url, { signal: controller.signal });
+      setTestResult(
+        res.ok
+          ? { ok: true, message: "Backend reachable." }
+          : { ok: false, message: `Backend answered with HTTP ${res.status}.` }
+      );
+    } catch (e) {
+      setTestResult({
+        ok: false,
+        message:
+          e.name === "AbortError"
+            ? "Timed out. Check the host, port and that the backend is running."
+            : `Could not reach the backend (${e.message}).`,
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-4 p-4 min-h-screen bg-gradient-to-br from-blue-100 via-white to-yellow-100">
+      <div className="w-full max-w-xl bg-white rounded-2xl shadow-2xl p-8 mt-4 border border-gray-200">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-3xl font-extrabold tracking-tight text-blue-900 drop-shadow">
+            Backend Settings
+          </h1>
+          <Link href="/" className="text-sm text-blue-600 hover:underline">
+            ← Games
+          </Link>
+        </div>
+
+        <div className="mb-4">
+          <label htmlFor="backendHost" className="block mb-1 font-medium">
+            Host:
+          </label>
+          <input
+            type="text"
+            id="backendHost"
+            value={config.host}
+            onChange={(e) => updateConfig({ host: e.target.value })}
+            placeholder={`Same as this page (${pageHost || "current host"})`}
+            className="w-full p-2 border rounded"
+          />
+          {hostError ? (
+            <small className="text-red-600">{hostError}</small>
+          ) : (
+            <small className="text-gray-500">
+              IP or hostname of the PC running the backend, e.g. 192.168.1.20
+            </small>
+          )}
+        </div>
+        <div className="mb-4">
+          <label htmlFor="backendPort" className="block mb-1 font-medium">
+            Port:
+          </label>
+          <input
+            type="number"
+            id="backendPort"
+            min="1"
+            max="65535"
+            value={config.port}
+            onChange={(e) => updateConfig({ port: e.target.value })}
+            className="w-full p-2 border rounded"
+          />
+        </div>
+        <div className="mb-4">
+          <label htmlFor="backendProtocol" className="block mb-1 font-medium">
+            Protocol:
+          </label>
+          <select
+            id="backendProtocol"
+            value={config.protocol}
+            onChange={(e) => updateConfig({ protocol: e.target.value })}
+            className="w-full p-2 border rounded"
+          >
+            <option value="auto">Automatic (wss/https when this page uses HTTPS)</option>
+            <option value="secure">Always wss:// and https://</option>
+            <option value="insecure">Always ws:// and http://</option>
+          </select>
+          <small className="text-gray-500">
+            Under HTTPS the backend must serve TLS too, e.g. start uvicorn with
+            the certificates in <code>certificates/</code>.
+          </small>
+        </div>
+
+        {/* Resolved URLs depend on window.location, so only render them on the client */}
+        {pageHost && (
+          <div className="mb-6 p-3 bg-gray-50 rounded border border-gray-200 text-xs font-mono break-all space-y-1">
+            <div>WS: {getBackendWsUrl("/ws/{game}", resolvedConfig)}</div>
+            <div>HTTP: {getBackendHttpUrl("", resolvedConfig)}</div>
+            <div>Streams: {getBackendHttpUrl("/stream/{game}", resolvedConfig)}</div>
+          </div>
+        )}
+
+        {testResult && (
+          <div
+            className={`mb-4 text-sm ${
+              testResult.pending
+                ? "text-gray-600"
+                : testResult.ok
+                ? "text-green-700"
+                : "text-red-600"
+            }`}
+          >
+            {testResult.message}
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={handleSave}
+            disabled={!!hostError}
+            className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 shadow transition disabled:opacity-50"
+          >
+            Save
+          </button>
+          <button
+            onClick={handleTest}
+            disabled={!!hostError}
+            className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 shadow transition disabled:opacity-50"
+          >
+            Test Connection
+          </button>
+          <button
+            onClick={handleReset}
+            className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 shadow transition"
+          >
+            Reset to Defaults
+          </button>
+          {saved && <span className="self-center text-sm text-green-700">Saved.</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+"use client";
+import { useMemo, useState } from "react";
+import Link from "next/link";
+import { GAMES } from "@/games/registry";
+import {
+  STATS_OUTCOME,
+  clearSessions,
+  exportCsv,
+  exportJson,
+  summarizeSessions,
+  useStatsHistory,
+} from "@/utils/gameStats";
+
+const OUTCOME_COLORS = {
+  [STATS_OUTCOME.WIN]: "#16a34a",
+  [STATS_OUTCOME.LOSS]: "#dc2626",
+  [STATS_OUTCOME.DRAW]: "#6b7280",
+  [STATS_OUTCOME.COMPLETED]: "#2563eb",
+  [STATS_OUTCOME.TIMEOUT]: "#d97706",
+  [STATS_OUTCOME.STOPPED]: "#9ca3af",
+};
+
+// Per-session charts show the latest sessions only
+const MAX_SESSION_BARS = 20;
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, "0")}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Bars of `{ key, label, value, color?, title? }`; labels are left out when there are too
+// many bars to read them, the `title` tooltip still tells each bar apart
+function BarChart({ title, bars, color = "#2563eb", formatValue = String }) {
+  const width = 320;
+  const height = 150;
+  const top = 16;
+  const bottom = 22;
+  const max = Math.max(1, ...bars.map((bar) => bar.value));
+  const slot = width / Math.max(bars.length, 1);
+  const barWidth = Math.min(36, slot * 0.7);
+  const showLabels = bars.length <= 10;
+
+  return (
+    <figure className="flex flex-col">
+      <figcaption className="text-sm font-semibold text-gray-700 mb-1">{title}</figcaption>
+      {bars.length === 0 ? (
+        <div className="text-sm text-gray-400 h-[150px] flex items-center">No data</div>
+      ) : (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label={title}>
+          <line x1={0} y1={height - bottom} x2={width} y2={height - bottom} stroke="#d1d5db" />
+          {bars.map((bar, i) => {
+            const barHeight = (bar.value / max) * (height - top - bottom);
+            const x = i * slot + (slot - barWidth) / 2;
+            const y = height - bottom - barHeight;
+            return (
+              <g key={bar.key}>
+                <title>{bar.title || `${bar.label}: ${formatValue(bar.value)}`}</title>
+                <rect x={x} y={y} width={barWidth} height={barHeight} rx={2} fill={bar.color || color} />
+                {showLabels && (
+                  <>
+                    <text x={x + barWidth / 2} y={y - 3} textAnchor="middle" fontSize={10} fill="#374151">
+                      {formatValue(bar.value)}
+                    </text>
+                    <text x={x + barWidth / 2} y={height - 7} textAnchor="middle" fontSize={10} fill="#6b7280">
+                      {bar.label}
+                    </text>
+                  </>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      )}
+    </figure>
+  );
+}
+
+function countBars(values, colors = {}) {
+  const counts = {};
+  values.forEach((value) => {
+    const key = value === undefined || value === null || value === "" ? "–" : String(value);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts).map(([label, value]) => ({ key: label, label, value, color: colors[label] }));
+}
+
+function sessionBars(sessions, getValue) {
+  return sessions.slice(-MAX_SESSION_BARS).map((session, i, latest) => ({
+    key: session.id,
+    label: `#${sessions.length - latest.length + i + 1}`,
+    value: getValue(session),
+    title: formatDate(session.startedAt),
+  })).filter((bar) => typeof bar.value === "number" && !Number.isNaN(bar.value));
+}
+
+function GameStats({ game, sessions }) {
+  const summary = summarizeSessions(sessions);
+  const finished = sessions.filter((session) => session.outcome !== STATS_OUTCOME.STOPPED);
+
+  return (
+    <section className="p-5 rounded-xl border border-gray-200 bg-gray-50">
+      <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+        <h2 className="text-xl font-bold text-gray-800">
+          {game.emoji} {game.name}
+        </h2>
+        <div className="text-sm text-gray-600">
+          {summary.count} game{summary.count === 1 ? "" : "s"} · {formatDuration(summary.totalMs)} played ·{" "}
+          {formatDuration(summary.averageMs)} on average
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <BarChart title="Outcomes" bars={countBars(sessions.map((session) => session.outcome), OUTCOME_COLORS)} />
+        <BarChart
+          title="Duration per game"
+          bars={sessionBars(sessions, (session) => session.durationMs)}
+          color="#7c3aed"
+          formatValue={formatDuration}
+        />
+        {game.metrics.map((metric) =>
+          metric.type === "category" ? (
+            <BarChart
+              key={metric.key}
+              title={metric.label}
+              bars={countBars(finished.map((session) => session.metrics?.[metric.key]))}
+              color="#0d9488"
+            />
+          ) : (
+            <BarChart
+              key={metric.key}
+              title={`${metric.label} per game`}
+              bars={sessionBars(sessions, (session) => session.metrics?.[metric.key])}
+              color="#0891b2"
+            />
+          )
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default function StatsPage() {
+  const { sessions, loading, error, reload } = useStatsHistory();
+  const [gameId, setGameId] = useState("all");
+  const [confirmClear, setConfirmClear] = useState(false);
+  const [clearError, setClearError] = useState(null);
+
+  const shown = useMemo(
+    () => (gameId === "all" ? sessions : sessions.filter((session) => session.gameId === gameId)),
+    [sessions, gameId]
+  );
+  const games = GAMES.filter((game) => gameId === "all" || game.id === gameId);
+  const stamp = new Date().toISOString().slice(0, 10);
+  const exportName = `game-stats-${gameId}-${stamp}`;
+
+  const handleClear = async () => {
+    setConfirmClear(false);
+    try {
+      await clearSessions(gameId === "all" ? undefined : gameId);
+      setClearError(null);
+    } catch (e) {
+      setClearError(e?.message || "IndexedDB is not available.");
+    }
+    reload();
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-4 p-4 min-h-screen bg-gradient-to-br from-blue-100 via-white to-yellow-100">
+      <div className="w-full max-w-5xl bg-white rounded-2xl shadow-2xl p-8 mt-4 border border-gray-200">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-3xl font-extrabold tracking-tight text-blue-900 drop-shadow">
+            Game Stats
+          </h1>
+          <Link href="/" className="text-sm text-blue-600 hover:underline">
+            ← Games
+          </Link>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <label htmlFor="statsGame" className="font-medium">
+            Game:
+          </label>
+          <select
+            id="statsGame"
+            value={gameId}
+            onChange={(e) => setGameId(e.target.value)}
+            className="p-2 border rounded"
+          >
+            <option value="all">All games</option>
+            {GAMES.map((game) => (
+              <option key={game.id} value={game.id}>
+                {game.emoji} {game.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => downloadBlob(exportJson(shown), `${exportName}.json`)}
+            disabled={!shown.length}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg shadow hover:bg-blue-700 disabled:opacity-50"
+          >
+            Export JSON
+          </button>
+          <button
+            onClick={() => downloadBlob(exportCsv(shown), `${exportName}.csv`)}
+            disabled={!shown.length}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg shadow hover:bg-blue-700 disabled:opacity-50"
+          >
+            Export CSV
+          </button>
+          {!confirmClear ? (
+            <button
+              onClick={() => setConfirmClear(true)}
+              disabled={!shown.length}
+              className="px-4 py-2 bg-gray-200 rounded-lg shadow hover:bg-gray-300 disabled:opacity-50"
+            >
+              Clear history
+            </button>
+          ) : (
+            <>
+              <span className="text-sm text-red-700">
+                Delete {shown.length} recorded game{shown.length === 1 ? "" : "s"}?
+              </span>
+              <button
+                onClick={handleClear}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg shadow hover:bg-red-700"
+              >
+                Delete
+              </button>
+              <button
+                onClick={() => setConfirmClear(false)}
+                className="px-4 py-2 bg-gray-200 rounded-lg shadow hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+            </>
+          )}
+        </div>
+
+        {error && <div className="mb-4 text-red-600">Could not read the stats: {error}</div>}
+        {clearError && <div className="mb-4 text-red-600">Could not clear the stats: {clearError}</div>}
+        {loading ? (
+          <div className="text-gray-500">Loading…</div>
+        ) : !shown.length ? (
+          <div className="text-gray-500">
+            No games recorded yet. Every game played on this browser shows up here.
+          </div>
+        ) : (
+          <div className="flex flex-col gap-6">
+            {games.map((game) => {
+              const gameSessions = shown.filter((session) => session.gameId === game.id);
+              return gameSessions.length ? <GameStats key={game.id} game={game} sessions={gameSessions} /> : null;
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React from "react";
+import { ADAPTIVE_LEVELS, ADAPTIVE_MODES } from "../utils/adaptiveStreaming";
+
+const formatMs = (value) => (value === null ? "–" : `${value} ms`);
+
+// Shows what the adaptive controller of a useAdaptiveController() hook is doing and lets the
+// operator take over. `configured` is `{ fps, quality, width, height }` as set in the camera
+// settings, the level is applied on top of it.
+export default function AdaptiveStreamingPanel({ adaptive, configured, idPrefix = "adaptive" }) {
+  const { controller, status, setMode, setLevel, setTargetLatency } = adaptive;
+  const isAuto = status.mode === ADAPTIVE_MODES.AUTO;
+  const current = controller.apply(configured);
+  const size = configured.width && configured.height
+    ? `${Math.round(configured.width * current.scale)}×${Math.round(configured.height * current.scale)}`
+    : `${Math.round(current.scale * 100)}% of source`;
+
+  return (
+    <div className="w-full p-3 mb-4 bg-gray-50 rounded-lg border border-gray-200 text-sm flex flex-col gap-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-semibold text-gray-700">Frame streaming</span>
+        <div className="flex rounded overflow-hidden border border-gray-300">
+          {[ADAPTIVE_MODES.AUTO, ADAPTIVE_MODES.MANUAL].map((mode) => (
+            <button
+              key={mode}
+              onClick={() => setMode(mode)}
+              className={`px-3 py-1 capitalize transition ${
+                status.mode === mode ? "bg-blue-600 text-white" : "bg-white text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              {mode}
+            </button>
+          ))}
+        </div>
+        <label htmlFor={`${idPrefix}-level`} className="text-gray-700">Level:</label>
+        <select
+          id={`${idPrefix}-level`}
+          value={status.level}
+          onChange={(e) => setLevel(Number(e.target.value))}
+          className="p-1 border rounded"
+        >
+          {ADAPTIVE_LEVELS.map((level, index) => (
+            <option key={level.label} value={index}>
+              {index}. {level.label}
+            </option>
+          ))}
+        </select>
+        <label htmlFor={`${idPrefix}-target`} className="text-gray-700">Target latency (ms):</label>
+        <input
+          id={`${idPrefix}-target`}
+          type="number"
+          min={50}
+          step={50}
+          value={status.targetLatency}
+          onChange={(e) => {
+            const value = Number(e.target.value);
+            if (value > 0) setTargetLatency(value);
+          }}
+          className="w-20 p-1 border rounded"
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-gray-600">
+        <span>
+          Sending {Math.round(current.fps * 10) / 10} FPS · {size} · quality {Math.round(current.quality * 100)}%
+        </span>
+        <span>
+          Latency {formatMs(status.latency)}
+          {status.latencySource && ` (${status.latencySource})`}
+        </span>
+        <span>Backend processing {formatMs(status.processing)}</span>
+        {status.bufferedAmount > 0 && <span>Queued {Math.round(status.bufferedAmount / 1024)} KB</span>}
+      </div>
+      {(!isAuto || status.reason) && (
+        <div className={isAuto ? "text-gray-500" : "text-amber-700"}>
+          {isAuto ? `Last change: ${status.reason}` : "Manual: the level is kept until switched back to auto."}
+        </div>
+      )}
+    </div>
+  );
+}
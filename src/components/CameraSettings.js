@@ -1,100 +1,598 @@
 import React, { useState, useEffect } from "react";
+import {
+  RESOLUTION_PRESETS,
+  FRAME_RATE_OPTIONS,
+  DEFAULT_CAMERA_CHOICE,
+  listVideoDevices,
+  watchVideoDevices,
+  validateCameraUrl,
+  probeCameraUrl,
+} from "../utils/cameraUtils";
+import {
+  DEFAULT_CAMERA_SETTINGS,
+  normalizeCameraSettings,
+} from "../utils/cameraSettings";
 
-function CameraSettings({ onCameraChange }) {
-  const [ipCameraAddress, setIpCameraAddress] = useState("");
-  const [useIpCamera, setUseIpCamera] = useState(false);
+// "source": IP camera toggle and URL, "device": local camera picker,
+// "stream": frames sent to the backend, "transform": crop/zoom/rotation
+export const ALL_CAMERA_SECTIONS = ["source", "device", "stream", "transform"];
+
+// Keeps the list of connected cameras up to date while mounted
+function useVideoDevices() {
+  const [devices, setDevices] = useState(null);
 
-  // Load camera settings from localStorage on initial render
   useEffect(() => {
-    const savedIpCamera = localStorage.getItem("ipCameraAddress");
-    const savedUseIpCamera = localStorage.getItem("useIpCamera") === "true";
-
-    if (savedIpCamera) setIpCameraAddress(savedIpCamera);
-    if (savedUseIpCamera) setUseIpCamera(savedUseIpCamera);
-
-    // Notify parent component of initial settings
-    if (savedUseIpCamera && savedIpCamera) {
-      onCameraChange({
-        useIpCamera: savedUseIpCamera,
-        ipCameraAddress: savedIpCamera,
-      });
-    }
-  }, [onCameraChange]);
+    let active = true;
+    listVideoDevices()
+      .then((list) => active && setDevices(list))
+      .catch(() => active && setDevices([]));
+    const unwatch = watchVideoDevices(setDevices);
+    return () => {
+      active = false;
+      unwatch();
+    };
+  }, []);
 
-  const handleIpCameraChange = (e) => {
-    const value = e.target.value;
-    setIpCameraAddress(value);
-    localStorage.setItem("ipCameraAddress", value);
+  return devices;
+}
 
-    if (useIpCamera) {
-      onCameraChange({ useIpCamera, ipCameraAddress: value });
-    }
-  };
+// Device, resolution and frame-rate selects for a local camera.
+// `value` is a camera choice ({ deviceId, width, height, frameRate }).
+export function CameraDevicePicker({ value = DEFAULT_CAMERA_CHOICE, onChange, idPrefix = "camera" }) {
+  const devices = useVideoDevices();
+  const selectedMissing =
+    devices && value.deviceId && !devices.some((d) => d.deviceId === value.deviceId);
+  const hasUnnamedDevices = devices && devices.some((d) => !d.label);
+  const resolutionIndex = Math.max(
+    0,
+    RESOLUTION_PRESETS.findIndex((p) => p.width === value.width && p.height === value.height)
+  );
 
-  // Modify the handleUseIpCameraChange to be more careful about activating the IP camera
-  const handleUseIpCameraChange = (e) => {
-    const checked = e.target.checked;
-    setUseIpCamera(checked);
-    localStorage.setItem("useIpCamera", checked.toString());
-
-    // Only send camera change when we have a valid address or we're disabling
-    if (checked && ipCameraAddress && ipCameraAddress.trim() !== "") {
-      onCameraChange({ useIpCamera: checked, ipCameraAddress });
-    } else if (!checked) {
-      onCameraChange({ useIpCamera: false, ipCameraAddress: null });
-    }
-  };
+  return (
+    <div className="flex flex-col gap-2">
+      <div>
+        <label htmlFor={`${idPrefix}-device`} className="block text-sm mb-1">
+          Camera:
+        </label>
+        <select
+          id={`${idPrefix}-device`}
+          value={value.deviceId}
+          onChange={(e) => onChange({ ...value, deviceId: e.target.value })}
+          className="w-full p-2 border rounded"
+        >
+          <option value="">Default camera</option>
+          {(devices || []).map((device, index) => (
+            <option key={device.deviceId || index} value={device.deviceId}>
+              {device.label || `Camera ${index + 1}`}
+            </option>
+          ))}
+          {selectedMissing && (
+            <option value={value.deviceId}>Saved camera (not connected)</option>
+          )}
+        </select>
+        {devices && devices.length === 0 && (
+          <small className="text-red-600">No camera found.</small>
+        )}
+        {selectedMissing && (
+          <small className="text-red-600">
+            The saved camera is unplugged, the default camera will be used.
+          </small>
+        )}
+        {hasUnnamedDevices && (
+          <small className="text-gray-500">
+            Camera names appear once camera access has been allowed.
+          </small>
+        )}
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label htmlFor={`${idPrefix}-resolution`} className="block text-sm mb-1">
+            Resolution:
+          </label>
+          <select
+            id={`${idPrefix}-resolution`}
+            value={resolutionIndex}
+            onChange={(e) => {
+              const preset = RESOLUTION_PRESETS[e.target.value];
+              onChange({ ...value, width: preset.width, height: preset.height });
+            }}
+            className="w-full p-2 border rounded"
+          >
+            {RESOLUTION_PRESETS.map((preset, index) => (
+              <option key={preset.label} value={index}>
+                {preset.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}-fps`} className="block text-sm mb-1">
+            Camera FPS:
+          </label>
+          <select
+            id={`${idPrefix}-fps`}
+            value={value.frameRate || ""}
+            onChange={(e) =>
+              onChange({ ...value, frameRate: parseInt(e.target.value, 10) || null })
+            }
+            className="w-full p-2 border rounded"
+          >
+            {FRAME_RATE_OPTIONS.map((fps) => (
+              <option key={fps || "auto"} value={fps || ""}>
+                {fps ? `${fps} fps` : "Auto"}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-  // Add a dedicated apply button to avoid immediate freezes
-  const handleApplySettings = () => {
-    if (ipCameraAddress && ipCameraAddress.trim() !== "") {
-      onCameraChange({
-        useIpCamera: true,
-        ipCameraAddress,
-      });
-    }
+// Zoom, crop and rotation sliders. `value` holds { crop, zoom, rotate };
+// `onChange` receives the changed fields.
+export function CameraTransformControls({ value, onChange, disabled = false, idPrefix = "camera" }) {
+  const crop = value.crop || DEFAULT_CAMERA_SETTINGS.crop;
+
+  // Keep the crop rectangle inside the frame
+  const handleCropChange = (key, rawValue) => {
+    let v = parseFloat(rawValue);
+    if (isNaN(v)) v = key === "width" || key === "height" ? 0.1 : 0;
+    const next = { ...crop };
+    if (key === "x") next.x = Math.max(0, Math.min(v, 1 - crop.width));
+    else if (key === "y") next.y = Math.max(0, Math.min(v, 1 - crop.height));
+    else if (key === "width") next.width = Math.max(0.1, Math.min(v, 1 - crop.x));
+    else if (key === "height") next.height = Math.max(0.1, Math.min(v, 1 - crop.y));
+    onChange({ crop: next });
   };
 
+  const cropSliders = [
+    { key: "x", label: "Crop X", min: 0 },
+    { key: "y", label: "Crop Y", min: 0 },
+    { key: "width", label: "Crop W", min: 0.1 },
+    { key: "height", label: "Crop H", min: 0.1 },
+  ];
+  const sliderClass =
+    "w-full h-2 bg-gray-300 rounded-lg appearance-none cursor-pointer accent-indigo-600";
+
   return (
-    <div className="flex flex-col p-3 bg-gray-100 rounded-md shadow-sm mb-4">
-      <div className="flex items-center mb-2">
+    <div className="space-y-3">
+      <div>
+        <label htmlFor={`${idPrefix}-zoom`} className="block text-xs font-medium text-gray-700">
+          Zoom: {Number(value.zoom).toFixed(1)}x
+        </label>
         <input
-          type="checkbox"
-          id="use-ip-camera"
-          className="mr-2"
-          checked={useIpCamera}
-          onChange={handleUseIpCameraChange}
+          type="range"
+          id={`${idPrefix}-zoom`}
+          min="1"
+          max="5"
+          step="0.1"
+          value={value.zoom}
+          onChange={(e) => onChange({ zoom: parseFloat(e.target.value) })}
+          className={sliderClass}
+          disabled={disabled}
         />
-        <label htmlFor="use-ip-camera">Use IP Camera</label>
       </div>
+      <div className="grid grid-cols-2 gap-x-3 gap-y-1">
+        {cropSliders.map(({ key, label, min }) => (
+          <div key={key}>
+            <label
+              htmlFor={`${idPrefix}-crop-${key}`}
+              className="block text-xs font-medium text-gray-700"
+            >
+              {label} ({Number(crop[key] * 100).toFixed(0)}%)
+            </label>
+            <input
+              type="range"
+              id={`${idPrefix}-crop-${key}`}
+              min={min}
+              max="1"
+              step="0.01"
+              value={crop[key]}
+              onChange={(e) => handleCropChange(key, e.target.value)}
+              className={sliderClass}
+              disabled={disabled}
+            />
+          </div>
+        ))}
+      </div>
+      <div>
+        <label htmlFor={`${idPrefix}-rotate`} className="block text-xs font-medium text-gray-700">
+          Rotation: {value.rotate}°
+        </label>
+        <input
+          type="range"
+          id={`${idPrefix}-rotate`}
+          min="0"
+          max="360"
+          step="1"
+          value={value.rotate}
+          onChange={(e) => onChange({ rotate: parseInt(e.target.value, 10) })}
+          className={sliderClass}
+          disabled={disabled}
+        />
+      </div>
+      <button
+        type="button"
+        onClick={() =>
+          onChange({
+            crop: DEFAULT_CAMERA_SETTINGS.crop,
+            zoom: DEFAULT_CAMERA_SETTINGS.zoom,
+            rotate: DEFAULT_CAMERA_SETTINGS.rotate,
+          })
+        }
+        className="w-full px-3 py-1.5 bg-slate-300 text-slate-700 text-xs rounded hover:bg-slate-400 disabled:opacity-50"
+        disabled={disabled}
+      >
+        Reset Adjustments
+      </button>
+    </div>
+  );
+}
 
-      {useIpCamera && (
-        <div className="flex flex-col">
-          <label htmlFor="ip-camera-address" className="text-sm mb-1">
-            IP Camera URL:
-          </label>
-          <input
-            type="text"
-            id="ip-camera-address"
-            value={ipCameraAddress}
-            onChange={handleIpCameraChange}
-            placeholder="e.g. http://192.168.1.100:8080/video"
-            className="px-2 py-1 border rounded"
-          />
+const CAMERA_KIND_LABELS = {
+  mjpeg: "MJPEG stream",
+  snapshot: "Snapshot (single JPEG)",
+};
+
+// Outcome of "Test connection"; offers to switch the IP camera mode when the URL
+// turns out to be the other kind
+function ProbeResult({ probe, mode, onModeChange }) {
+  if (probe.pending) {
+    return <div className="text-sm text-gray-600 mt-2">Testing camera (takes a few seconds)...</div>;
+  }
+  const details = [
+    CAMERA_KIND_LABELS[probe.kind] || (probe.ok ? "Unknown stream type" : null),
+    probe.width && probe.height ? `${probe.width}x${probe.height}` : null,
+    probe.fps != null ? `${probe.fps.toFixed(1)} fps` : null,
+  ].filter(Boolean);
+
+  return (
+    <div className="text-sm mt-2 space-y-1">
+      <div className={probe.ok ? "text-green-700" : "text-red-600"}>
+        {probe.ok ? "Camera OK" : "Camera not usable"}
+        {details.length > 0 && ` · ${details.join(" · ")}`}
+      </div>
+      {probe.problems.map((problem) => (
+        <div key={problem} className="text-red-600">
+          {problem}
+        </div>
+      ))}
+      {probe.warnings.map((warning) => (
+        <div key={warning} className="text-yellow-700">
+          {warning}
+        </div>
+      ))}
+      {probe.kind && probe.kind !== mode && (
+        <div className="text-yellow-700">
+          {probe.kind === "snapshot"
+            ? "This URL serves single pictures, poll it in snapshot mode."
+            : "This URL is an MJPEG stream, use MJPEG mode."}{" "}
           <button
-            onClick={handleApplySettings}
-            className="mt-2 bg-blue-500 text-white py-1 px-3 rounded hover:bg-blue-600"
+            type="button"
+            onClick={() => onModeChange(probe.kind)}
+            className="underline text-blue-700"
           >
-            Apply Camera
+            Switch to {CAMERA_KIND_LABELS[probe.kind]}
           </button>
-          <p className="text-xs text-gray-500 mt-1">
-            Format: http://IP:PORT/video or
-            rtsp://username:password@IP:PORT/path
-          </p>
         </div>
       )}
     </div>
   );
 }
 
+// Renders one game specific field. Supported types: text, number, select, checkbox.
+function ExtraField({ field, value, onChange, idPrefix }) {
+  const id = `${idPrefix}-${field.key}`;
+  if (field.type === "checkbox") {
+    return (
+      <div className="flex items-center mb-3">
+        <input
+          type="checkbox"
+          id={id}
+          checked={!!value}
+          onChange={(e) => onChange(e.target.checked)}
+          className="mr-2"
+        />
+        <label htmlFor={id}>{field.label}</label>
+      </div>
+    );
+  }
+  return (
+    <div className="mb-3">
+      <label htmlFor={id} className="block mb-1">
+        {field.label}:
+      </label>
+      {field.type === "select" ? (
+        <select
+          id={id}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className="w-full p-2 border rounded"
+        >
+          {field.options.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type={field.type === "number" ? "number" : "text"}
+          id={id}
+          value={value ?? ""}
+          min={field.min}
+          max={field.max}
+          step={field.step}
+          placeholder={field.placeholder}
+          onChange={(e) =>
+            onChange(field.type === "number" ? parseFloat(e.target.value) : e.target.value)
+          }
+          className="w-full p-2 border rounded"
+        />
+      )}
+      {field.help && <small className="text-gray-500">{field.help}</small>}
+    </div>
+  );
+}
+
+// Camera settings form shared by the game pages. Edits stay local until "Apply",
+// which hands the normalized settings to `onApply` (see useCameraSettings).
+// Pages choose which `sections` to show and may add `extraFields`:
+// [{ key, label, type: "text"|"number"|"select"|"checkbox", options, placeholder, help }]
+function CameraSettings({
+  value,
+  onApply,
+  sections = ALL_CAMERA_SECTIONS,
+  extraFields = [],
+  applyLabel = "Apply Settings",
+  idPrefix = "camera",
+}) {
+  const [draft, setDraft] = useState(value);
+  const [urlError, setUrlError] = useState(null);
+  const [probe, setProbe] = useState(null);
+  const show = (section) => sections.includes(section);
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const updateUrl = (ipCameraAddress) => {
+    update({ ipCameraAddress });
+    setUrlError(null);
+    setProbe(null);
+  };
+
+  const handleApply = () => {
+    if (show("source") && draft.useIpCamera) {
+      const validation = validateCameraUrl(draft.ipCameraAddress);
+      if (!validation.ok) {
+        setUrlError(validation.error);
+        return;
+      }
+    }
+    onApply(normalizeCameraSettings(draft));
+  };
+
+  const handleTestConnection = async () => {
+    const url = draft.ipCameraAddress;
+    setProbe({ pending: true });
+    const result = await probeCameraUrl(url);
+    // Ignore the result if the URL was edited meanwhile
+    setProbe((prev) => (prev?.pending ? result : prev));
+  };
+
+  return (
+    <div className="flex flex-col">
+      {extraFields.map((field) => (
+        <ExtraField
+          key={field.key}
+          field={field}
+          value={draft[field.key]}
+          onChange={(v) => update({ [field.key]: v })}
+          idPrefix={idPrefix}
+        />
+      ))}
+
+      {show("source") && (
+        <div className="mb-3">
+          <div className="flex items-center mb-3">
+            <input
+              type="checkbox"
+              id={`${idPrefix}-useIpCamera`}
+              checked={draft.useIpCamera}
+              onChange={(e) => update({ useIpCamera: e.target.checked })}
+              className="mr-2"
+            />
+            <label htmlFor={`${idPrefix}-useIpCamera`}>Use IP Camera</label>
+          </div>
+          {draft.useIpCamera && (
+            <div>
+              <label htmlFor={`${idPrefix}-ipCameraAddress`} className="block mb-1">
+                IP Camera URL:
+              </label>
+              <input
+                type="text"
+                id={`${idPrefix}-ipCameraAddress`}
+                value={draft.ipCameraAddress}
+                onChange={(e) => updateUrl(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && handleApply()}
+                placeholder="http://camera-ip:port/video"
+                className="w-full p-2 border rounded"
+                autoFocus
+              />
+              {urlError ? (
+                <small className="text-red-600">{urlError}</small>
+              ) : (
+                <small className="text-gray-500">
+                  Example: http://192.168.1.100:8080/video (MJPEG) or
+                  http://192.168.1.100:8080/shot.jpg (snapshot). RTSP streams are
+                  not supported by browsers.
+                </small>
+              )}
+              <div>
+                <button
+                  type="button"
+                  onClick={handleTestConnection}
+                  disabled={probe?.pending}
+                  className="mt-2 px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Test connection
+                </button>
+              </div>
+              {probe && (
+                <ProbeResult
+                  probe={probe}
+                  mode={draft.ipCameraMode}
+                  onModeChange={(ipCameraMode) => update({ ipCameraMode })}
+                />
+              )}
+              <div className="mt-3">
+                <label htmlFor={`${idPrefix}-ipCameraMode`} className="block mb-1">
+                  Stream type:
+                </label>
+                <select
+                  id={`${idPrefix}-ipCameraMode`}
+                  value={draft.ipCameraMode}
+                  onChange={(e) => update({ ipCameraMode: e.target.value })}
+                  className="w-full p-2 border rounded"
+                >
+                  <option value="mjpeg">MJPEG stream (e.g. /video)</option>
+                  <option value="snapshot">Snapshot polling (e.g. /shot.jpg)</option>
+                </select>
+              </div>
+              {draft.ipCameraMode === "snapshot" && (
+                <div className="mt-2">
+                  <label htmlFor={`${idPrefix}-snapshotFps`} className="block text-sm mb-1">
+                    Snapshot rate (FPS): {draft.snapshotFps}
+                  </label>
+                  <input
+                    type="range"
+                    id={`${idPrefix}-snapshotFps`}
+                    min="1"
+                    max="15"
+                    step="1"
+                    value={draft.snapshotFps}
+                    onChange={(e) => update({ snapshotFps: parseInt(e.target.value, 10) })}
+                    className="w-full"
+                  />
+                  <small className="text-gray-500">
+                    Snapshots cope better with bad Wi-Fi than a continuous stream.
+                  </small>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {show("device") && !draft.useIpCamera && (
+        <div className="mb-3">
+          <CameraDevicePicker value={draft} onChange={update} idPrefix={idPrefix} />
+        </div>
+      )}
+
+      {show("stream") && (
+        <div className="border-t pt-3 mb-3">
+          <p className="font-medium mb-2">Frames sent to the backend</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label htmlFor={`${idPrefix}-sendFps`} className="block text-sm mb-1">
+                Frame Rate (FPS): {draft.sendFps}
+              </label>
+              <input
+                type="range"
+                id={`${idPrefix}-sendFps`}
+                min="1"
+                max="30"
+                step="1"
+                value={draft.sendFps}
+                onChange={(e) => update({ sendFps: parseInt(e.target.value, 10) })}
+                className="w-full"
+              />
+            </div>
+            <div>
+              <label htmlFor={`${idPrefix}-jpegQuality`} className="block text-sm mb-1">
+                JPEG Quality: {Number(draft.jpegQuality).toFixed(2)}
+              </label>
+              <input
+                type="range"
+                id={`${idPrefix}-jpegQuality`}
+                min="0.1"
+                max="1"
+                step="0.05"
+                value={draft.jpegQuality}
+                onChange={(e) => update({ jpegQuality: parseFloat(e.target.value) })}
+                className="w-full"
+              />
+            </div>
+            <div>
+              <label htmlFor={`${idPrefix}-outputWidth`} className="block text-sm mb-1">
+                Frame Width (px):
+              </label>
+              <input
+                type="number"
+                id={`${idPrefix}-outputWidth`}
+                value={draft.outputWidth}
+                onChange={(e) => update({ outputWidth: parseInt(e.target.value, 10) || draft.outputWidth })}
+                className="w-full p-2 border rounded"
+              />
+            </div>
+            <div>
+              <label htmlFor={`${idPrefix}-outputHeight`} className="block text-sm mb-1">
+                Frame Height (px):
+              </label>
+              <input
+                type="number"
+                id={`${idPrefix}-outputHeight`}
+                value={draft.outputHeight}
+                onChange={(e) => update({ outputHeight: parseInt(e.target.value, 10) || draft.outputHeight })}
+                className="w-full p-2 border rounded"
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {show("transform") && (
+        <div className="border-t pt-3 mb-3">
+          <p className="font-medium mb-2">Crop, zoom & rotation</p>
+          <CameraTransformControls value={draft} onChange={update} idPrefix={idPrefix} />
+        </div>
+      )}
+
+      <button
+        onClick={handleApply}
+        className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600"
+      >
+        {applyLabel}
+      </button>
+    </div>
+  );
+}
+
+// CameraSettings in a closable overlay; applying also closes it
+export function CameraSettingsModal({ open, onClose, onApply, title = "Camera Settings", ...props }) {
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-lg relative max-h-[90vh] overflow-y-auto">
+        <button
+          className="absolute top-2 right-2 text-gray-400 hover:text-gray-700"
+          onClick={onClose}
+          aria-label="Close"
+        >
+          ×
+        </button>
+        <h3 className="text-lg font-medium mb-3">{title}</h3>
+        <CameraSettings
+          {...props}
+          onApply={(settings) => {
+            onApply(settings);
+            onClose();
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
 export default CameraSettings;
@@ -0,0 +1,74 @@
+"use client";
+import React, { useEffect, useState } from "react";
+import { useEmergencyStop } from "@/utils/emergencyStop";
+
+// Emergency stop button for every page, rendered by the root layout around the page. Alt+Shift+S
+// engages it too. While engaged the page is inert and covered until an operator confirms the
+// rig is safe and resets.
+export default function EmergencyStop({ children }) {
+  const { state, engaged, engage, reset } = useEmergencyStop();
+  const [confirmed, setConfirmed] = useState(false);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      // e.code, since Alt changes e.key on macOS
+      if (e.altKey && e.shiftKey && e.code === "KeyS") {
+        e.preventDefault();
+        engage();
+      }
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [engage]);
+
+  useEffect(() => {
+    if (!engaged) setConfirmed(false);
+  }, [engaged]);
+
+  return (
+    <>
+      <div inert={engaged}>{children}</div>
+      {!engaged && (
+        <button
+          onClick={engage}
+          title="Emergency stop (Alt+Shift+S)"
+          className="fixed bottom-4 left-4 z-50 w-16 h-16 rounded-full bg-red-600 text-white text-xs font-extrabold shadow-xl border-4 border-yellow-400 hover:bg-red-700 focus:outline-none focus:ring-4 focus:ring-red-300"
+        >
+          STOP
+        </button>
+      )}
+      {engaged && (
+        <div
+          role="alertdialog"
+          aria-labelledby="emergencyStopTitle"
+          className="fixed inset-0 z-[100] flex items-center justify-center bg-red-900/80 p-4"
+        >
+          <div className="w-full max-w-md bg-white rounded-2xl shadow-2xl p-6 border-4 border-red-600">
+            <h2 id="emergencyStopTitle" className="text-2xl font-extrabold text-red-700 mb-2">
+              🛑 Emergency stop engaged
+            </h2>
+            <p className="text-sm text-gray-600 mb-3">
+              Since {new Date(state.engagedAt).toLocaleTimeString()}.{" "}
+              {state.stopped.length
+                ? `Stopped: ${state.stopped.join(", ")}.`
+                : "No game was connected."}{" "}
+              Games can&apos;t connect until the stop is reset. A move the hardware had already started
+              finishes on its own.
+            </p>
+            <label className="flex items-center gap-2 mb-4 text-gray-800">
+              <input type="checkbox" checked={confirmed} onChange={(e) => setConfirmed(e.target.checked)} />
+              The rig is clear and safe to run again
+            </label>
+            <button
+              onClick={reset}
+              disabled={!confirmed}
+              className="w-full px-4 py-2 bg-gray-800 text-white rounded-lg font-semibold shadow hover:bg-gray-900 disabled:opacity-50"
+            >
+              Reset emergency stop
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
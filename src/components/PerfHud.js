@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from "react";
+
+const formatFps = (value) => `${Math.round(value * 10) / 10}`;
+const formatMs = (value) => (value === null ? "–" : `${value} ms`);
+const formatBytes = (value) => {
+  if (value === null || value === undefined) return "–";
+  return value < 1024 ? `${value} B` : `${Math.round(value / 1024)} KB`;
+};
+
+// Performance overlay for a game page, fed by a usePerfStats() hook (`perf`). Shown with
+// the 📊 button or Alt+Shift+P. `getBufferedAmount` comes from useGameSocket.
+export default function PerfHud({ perf, getBufferedAmount }) {
+  const { stats, visible, toggle } = perf;
+  const [snapshot, setSnapshot] = useState(null);
+  const [bufferedAmount, setBufferedAmount] = useState(0);
+
+  useEffect(() => {
+    if (!visible) return;
+    const refresh = () => {
+      setSnapshot(stats.snapshot());
+      setBufferedAmount(getBufferedAmount ? getBufferedAmount() : 0);
+    };
+    refresh();
+    const timer = setInterval(refresh, 500);
+    return () => clearInterval(timer);
+  }, [visible, stats, getBufferedAmount]);
+
+  const droppedTitle = snapshot
+    ? Object.entries(snapshot.droppedReasons).map(([reason, count]) => `${reason}: ${count}`).join(", ")
+    : "";
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col items-end gap-2 text-xs">
+      {visible && snapshot && (
+        <div className="bg-black/80 text-green-300 font-mono rounded-lg shadow-lg p-3 min-w-[220px]">
+          <div className="text-white font-semibold mb-1">Performance</div>
+          <table>
+            <tbody>
+              <tr><td className="pr-3 text-gray-400">Capture</td><td>{formatFps(snapshot.captureFps)} FPS · {formatMs(snapshot.encodeMs)}</td></tr>
+              <tr><td className="pr-3 text-gray-400">Send</td><td>{formatFps(snapshot.sendFps)} FPS</td></tr>
+              <tr>
+                <td className="pr-3 text-gray-400">Frame</td>
+                <td>
+                  {snapshot.frameSize ? `${snapshot.frameSize.width}×${snapshot.frameSize.height}` : "–"} ·{" "}
+                  {formatBytes(snapshot.frameBytes)}
+                </td>
+              </tr>
+              <tr><td className="pr-3 text-gray-400">Encoder</td><td>{snapshot.encoderMode || "–"}</td></tr>
+              <tr><td className="pr-3 text-gray-400">Round trip</td><td>{formatMs(snapshot.roundTrip)}</td></tr>
+              <tr><td className="pr-3 text-gray-400">Backend</td><td>{formatMs(snapshot.processing)}</td></tr>
+              <tr><td className="pr-3 text-gray-400">Dropped</td><td title={droppedTitle}>{snapshot.dropped}</td></tr>
+              <tr><td className="pr-3 text-gray-400">Socket buffer</td><td>{formatBytes(bufferedAmount)}</td></tr>
+              <tr>
+                <td className="pr-3 text-gray-400">Received</td>
+                <td>{formatFps(snapshot.frameInFps)} frames/s · {formatFps(snapshot.messageInRate)} msg/s</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button
+        onClick={toggle}
+        title="Performance overlay (Alt+Shift+P)"
+        className="px-2 py-1 bg-gray-800/80 text-white rounded shadow hover:bg-gray-700"
+      >
+        📊 {visible ? "Hide" : "Perf"}
+      </button>
+    </div>
+  );
+}
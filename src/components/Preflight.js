@@ -0,0 +1,104 @@
+import React, { useEffect, useMemo } from "react";
+import Link from "next/link";
+import { CHECK_STATUS, usePreflight } from "../utils/preflight";
+
+const STATUS_ICONS = {
+  [CHECK_STATUS.RUNNING]: "⏳",
+  [CHECK_STATUS.PASS]: "✅",
+  [CHECK_STATUS.WARN]: "⚠️",
+  [CHECK_STATUS.FAIL]: "❌",
+  [CHECK_STATUS.SKIP]: "⏭️",
+};
+
+// Checklist for a usePreflight() hook: one row per check with its result and, for failures
+// and warnings, how to fix them
+export function PreflightChecklist({ preflight }) {
+  const { checks, results } = preflight;
+  return (
+    <ul className="flex flex-col gap-2">
+      {checks.map((check) => {
+        const result = results[check.id] || { status: CHECK_STATUS.RUNNING };
+        return (
+          <li
+            key={check.id}
+            className={`p-3 rounded-lg border ${
+              result.status === CHECK_STATUS.FAIL
+                ? "border-red-300 bg-red-50"
+                : result.status === CHECK_STATUS.WARN
+                ? "border-amber-300 bg-amber-50"
+                : "border-gray-200 bg-gray-50"
+            }`}
+          >
+            <div className="flex items-start gap-2">
+              <span aria-label={result.status}>{STATUS_ICONS[result.status]}</span>
+              <div className="flex-1">
+                <div className="font-semibold text-gray-800">{check.label}</div>
+                {result.detail && <div className="text-sm text-gray-600">{result.detail}</div>}
+                {result.hint && (
+                  <div className="text-sm text-gray-800 mt-1">
+                    💡 {result.hint}
+                    {result.link && (
+                      <>
+                        {" "}
+                        <Link href={result.link.href} className="text-blue-600 hover:underline">
+                          {result.link.label} →
+                        </Link>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// Runs the preflight checks of a game before it is shown and continues on its own when they
+// pass; otherwise lists the problems with Retry and Start anyway
+export function PreflightGate({ game, onContinue }) {
+  const games = useMemo(() => [game], [game]);
+  const preflight = usePreflight(games);
+  const { running, passed, run } = preflight;
+
+  useEffect(() => {
+    if (passed) onContinue();
+  }, [passed, onContinue]);
+
+  return (
+    <div className="flex flex-col items-center gap-4 p-4 min-h-screen bg-gradient-to-br from-blue-100 via-white to-yellow-100">
+      <div className="w-full max-w-xl bg-white rounded-2xl shadow-2xl p-8 mt-4 border border-gray-200">
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-2xl font-extrabold tracking-tight text-blue-900">
+            {game.emoji} {game.name}: preflight check
+          </h1>
+          <Link href="/" className="text-sm text-blue-600 hover:underline">
+            ← Games
+          </Link>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {running ? "Checking the camera, backend and hardware…" : "Some checks failed. Fix them and retry, or start anyway."}
+        </p>
+        <PreflightChecklist preflight={preflight} />
+        {!running && (
+          <div className="flex gap-3 mt-6">
+            <button
+              onClick={() => run({ connectEsp32: true })}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg shadow hover:bg-blue-700"
+            >
+              Retry
+            </button>
+            <button
+              onClick={onContinue}
+              className="px-4 py-2 bg-gray-200 rounded-lg shadow hover:bg-gray-300"
+            >
+              Start anyway
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
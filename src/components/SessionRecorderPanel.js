@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { loadSessionArchive } from "../utils/sessionRecording";
+
+// Record / download controls for a useSessionRecorder() recorder, and loading a
+// recording to replay in place of the camera.
+// `replay` is `{ session, loop, position, ended }`; `onReplayChange(session|null)` and
+// `onLoopChange(loop)` update it. `getMeta()` returns what to save with a new recording.
+export default function SessionRecorderPanel({
+  gameId,
+  recorder,
+  getMeta,
+  replay,
+  onReplayChange,
+  onLoopChange,
+  idPrefix = "session",
+}) {
+  const [loadError, setLoadError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const { session } = replay;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow loading the same file again
+    if (!file) return;
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      onReplayChange(await loadSessionArchive(file));
+    } catch (err) {
+      console.error("[SessionRecorder] Could not load recording:", err);
+      setLoadError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="w-full p-3 mb-4 bg-gray-50 rounded-lg border border-gray-200 text-sm flex flex-col gap-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-semibold text-gray-700">Session recording</span>
+        {!recorder.recording ? (
+          <button
+            onClick={() => recorder.start(getMeta ? getMeta() : {})}
+            className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 shadow transition"
+          >
+            ● Record
+          </button>
+        ) : (
+          <button
+            onClick={recorder.stop}
+            className="px-3 py-1 bg-gray-700 text-white rounded hover:bg-gray-800 shadow transition"
+          >
+            ■ Stop
+          </button>
+        )}
+        <button
+          onClick={recorder.download}
+          disabled={!recorder.frameCount && !recorder.messageCount}
+          className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 shadow transition disabled:opacity-50"
+        >
+          Download
+        </button>
+        <span className="text-gray-600">
+          {recorder.recording && <span className="text-red-600">Recording · </span>}
+          {recorder.frameCount} frames, {recorder.messageCount} messages
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label htmlFor={`${idPrefix}-replayFile`} className="font-semibold text-gray-700">
+          Replay:
+        </label>
+        {session ? (
+          <>
+            <span className="text-gray-600">
+              {session.gameId} · {session.startedAt} · frame{" "}
+              {Math.min(replay.position + 1, session.frames.length)}/{session.frames.length}
+              {replay.ended && " (ended)"}
+            </span>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={replay.loop}
+                onChange={(e) => onLoopChange(e.target.checked)}
+              />
+              Loop
+            </label>
+            <button
+              onClick={() => onReplayChange(null)}
+              className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 shadow transition"
+            >
+              Back to live camera
+            </button>
+          </>
+        ) : (
+          <input
+            type="file"
+            id={`${idPrefix}-replayFile`}
+            accept=".zip,application/zip"
+            onChange={handleFile}
+            disabled={isLoading}
+          />
+        )}
+      </div>
+      {session && gameId && session.gameId !== gameId && (
+        <div className="text-yellow-700">
+          This recording was made in {session.gameId}, its frames may not suit this game.
+        </div>
+      )}
+      {loadError && <div className="text-red-600">{loadError}</div>}
+    </div>
+  );
+}
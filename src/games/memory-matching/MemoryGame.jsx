@@ -1,6 +1,11 @@
 "use client";
-import React, {useCallback, useEffect, useRef, useState} from 'react';
-import "../../globals.css";
+import React, {useCallback, useEffect, useState} from 'react';
+import "@/app/globals.css";
+import { useGameSocket, SOCKET_STATUS } from "@/utils/gameSocket";
+import { useFrameViews } from "@/utils/frameTransport";
+import { usePerfStats } from "@/utils/perfStats";
+import { useGameStats, STATS_OUTCOME } from "@/utils/gameStats";
+import PerfHud from "@/components/PerfHud";
 
 // --- Constants ---
 const GRID_ROWS = 2;
@@ -31,15 +36,16 @@ const colorMap = {
 
 export default function MemoryGame() {
     const [gameVersion, setGameVersion] = useState(null); // 'color', 'yolo', or null
-    const [isConnected, setIsConnected] = useState(false);
-    const [videoSrc, setVideoSrc] = useState('');
-    const [transformedVideoSrc, setTransformedVideoSrc] = useState('');
+    // Camera ("frame") and detected board ("transformed") views, drawn as they arrive
+    const frameViews = useFrameViews();
+    const { clearAll: clearFrames } = frameViews;
     const [gameState, setGameState] = useState(null); // Holds card_states, pairs_found, current_flipped
     const [message, setMessage] = useState('Select game version to start.');
     const [lastMessageTime, setLastMessageTime] = useState(0); // Throttle rapid messages
     const [isGameOver, setIsGameOver] = useState(false);
     const [showError, setShowError] = useState(null); // Display errors prominently
-    const websocket = useRef(null);
+    // One stats session per selected version, until game_over or the version is dropped
+    const gameStats = useGameStats("memory-matching");
 
     // Debounced message update
     const updateMessage = useCallback((newMessage, isError = false) => {
@@ -59,147 +65,110 @@ export default function MemoryGame() {
     }, [lastMessageTime]);
 
 
-    const connectWebSocket = useCallback((version) => {
-        if (websocket.current) {
-            websocket.current.close();
+    const handleMessage = (type, payload) => {
+        // console.log("WS Message Type:", type); // Debug
+        switch (type) {
+            case 'game_state':
+                console.log("Game State Update:", payload);
+                // Expecting payload: { card_states: {...}, pairs_found: X, current_flipped: [...] }
+                if (payload && typeof payload === 'object' && payload.card_states) {
+                    // Update the whole game state object
+                    setGameState(prevState => ({...prevState, ...payload}));
+                    if (payload.pairs_found !== undefined) gameStats.update({ pairs_found: payload.pairs_found });
+                } else {
+                    console.warn("Received game_state with unexpected structure:", payload)
+                }
+                break;
+            case 'arm_status':
+                console.log("Arm Status:", payload);
+                setMessage(`Arm: ${payload?.action} ${payload?.success ? 'OK ✅' : 'Failed ❌'}`);
+                // Optionally highlight card briefly on action?
+                break;
+            case 'cards_hidden':
+                // This might not be needed if game_state updates handle the visual change correctly
+                console.log("Cards hidden:", payload);
+                setMessage(`Cards ${payload.join(' & ')} returned.`);
+                // Trigger short visual cue? Or rely on game_state removing them from current_flipped?
+                break;
+            case 'message':
+                console.log("Message:", payload);
+                setMessage(payload);
+                break;
+            case 'game_over':
+                console.log("Game Over:", payload);
+                setMessage(`Game Over! ${payload}`);
+                setIsGameOver(true);
+                gameStats.finish(STATS_OUTCOME.COMPLETED);
+                break;
+            case 'error':
+                console.error('Game Error from Server:', payload);
+                setMessage(`Error: ${payload}`);
+                // Decide if error is fatal
+                if (payload.includes("Failed to initialize serial port") || payload.includes("Critical Game Error")) {
+                    resetConnection(); // Close connection and reset selection
+                }
+                break;
+            case 'text':
+                console.error('Failed to parse WebSocket message');
+                console.log("Raw WS Data:", payload); // Log raw data for debugging
+                break;
+            default:
+                console.warn('Unknown message type:', type);
         }
-        setMessage(`Connecting to ${version} game...`);
-        setIsGameOver(false);
-        setGameState(null); // Reset game state on new connection attempt
-        setVideoSrc('');
-        setTransformedVideoSrc('');
-
-
-        // Adjust protocol and hostname/port as needed
-        const wsProtocol = window.location.protocol === "https:" ? "wss://" : "ws://";
-        const wsUrl = `${wsProtocol}${window.location.hostname}:8000/ws/${version}`; // Use centralized endpoint
-        console.log(`Attempting to connect to: ${wsUrl}`);
-        websocket.current = new WebSocket(wsUrl);
-
-        websocket.current.onopen = () => {
-            console.log('WebSocket Connected');
-            setIsConnected(true);
-            setMessage(`${version.charAt(0).toUpperCase() + version.slice(1)} game connected. Waiting for start...`);
-            // Send config message to select mode
-            websocket.current.send(JSON.stringify({mode: version}));
-        };
-
-        websocket.current.onclose = (event) => {
-            console.log(`WebSocket Disconnected: Code=${event.code}, Reason=${event.reason}`);
-            setIsConnected(false);
-            setVideoSrc('');
-            setTransformedVideoSrc('');
+    };
+
+    const resetConnection = () => {
+        setGameVersion(null);
+        setGameState(null);
+        clearFrames();
+    };
+
+    // Socket is open while a game version is selected; closes when gameVersion changes *to null*
+    const perf = usePerfStats();
+    const { status: socketStatus, getBufferedAmount, reconnectAttempt } = useGameSocket(gameVersion, {
+        enabled: !!gameVersion,
+        stats: perf.stats,
+        // Send config message to select mode
+        initialConfig: gameVersion ? {mode: gameVersion} : null,
+        // frame_update messages only carry frames, they arrive here rather than in handleMessage
+        onFrame: frameViews.showFrame,
+        handlers: { "*": (payload, message) => handleMessage(message.type, payload) },
+        onOpen: () => {
+            setMessage(`${gameVersion.charAt(0).toUpperCase() + gameVersion.slice(1)} game connected. Waiting for start...`);
+        },
+        // Only called once reconnecting has given up; drops keep the board on screen
+        onClose: (event) => {
+            clearFrames();
             setGameState(null);
             if (!isGameOver) {
                 setMessage(`Disconnected (${event.code}). Select game version to reconnect.`);
                 setGameVersion(null); // Allow re-selection only if not game over
             } else {
                 setMessage(`Game Over! Disconnected. Select version to play again.`);
-                // Keep gameVersion set so UI doesn't disappear? Or clear it? Let's clear.
-                // setGameVersion(null);
-            }
-            websocket.current = null;
-        };
-
-        websocket.current.onerror = (error) => {
-            console.error('WebSocket Error:', error);
-            // Try to get more specific error info if possible
-            const errorMsg = error.message || (error.target?.url ? `Failed to connect to ${error.target.url}` : 'Connection failed.');
-            setMessage(`WebSocket Error: ${errorMsg}`);
-            setIsConnected(false);
-            setVideoSrc('');
-            setTransformedVideoSrc('');
-            setGameState(null);
-            setGameVersion(null); // Allow re-selection on error
-            websocket.current = null;
-        };
-
-        websocket.current.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                // console.log("WS Message Type:", data.type); // Debug
-
-                switch (data.type) {
-                    // Combined frame update message
-                    case 'frame_update':
-                        if (data.payload?.frame) {
-                            setVideoSrc(`data:image/jpeg;base64,${data.payload.frame}`);
-                        }
-                        if (data.payload?.transformed_frame) {
-                            setTransformedVideoSrc(`data:image/jpeg;base64,${data.payload.transformed_frame}`);
-                        } else {
-                            // Explicitly clear if not sent, e.g., if board detection fails
-                            // setTransformedVideoSrc('');
-                        }
-                        break;
-                    case 'game_state':
-                        console.log("Game State Update:", data.payload);
-                        // Expecting payload: { card_states: {...}, pairs_found: X, current_flipped: [...] }
-                        if (data.payload && typeof data.payload === 'object' && data.payload.card_states) {
-                            // Update the whole game state object
-                            setGameState(prevState => ({...prevState, ...data.payload}));
-                        } else {
-                            console.warn("Received game_state with unexpected structure:", data.payload)
-                        }
-                        break;
-                    case 'arm_status':
-                        console.log("Arm Status:", data.payload);
-                        setMessage(`Arm: ${data.payload?.action} ${data.payload?.success ? 'OK ✅' : 'Failed ❌'}`);
-                        // Optionally highlight card briefly on action?
-                        break;
-                    case 'cards_hidden':
-                        // This might not be needed if game_state updates handle the visual change correctly
-                        console.log("Cards hidden:", data.payload);
-                        setMessage(`Cards ${data.payload.join(' & ')} returned.`);
-                        // Trigger short visual cue? Or rely on game_state removing them from current_flipped?
-                        break;
-                    case 'message':
-                        console.log("Message:", data.payload);
-                        setMessage(data.payload);
-                        break;
-                    case 'game_over':
-                        console.log("Game Over:", data.payload);
-                        setMessage(`Game Over! ${data.payload}`);
-                        setIsGameOver(true);
-                        // Optional: Close WS after timeout?
-                        // setTimeout(() => websocket.current?.close(), 5000);
-                        break;
-                    case 'error':
-                        console.error('Game Error from Server:', data.payload);
-                        setMessage(`Error: ${data.payload}`);
-                        // Decide if error is fatal
-                        if (data.payload.includes("Failed to initialize serial port") || data.payload.includes("Critical Game Error")) {
-                            websocket.current?.close(); // Close connection
-                            setGameVersion(null); // Reset selection
-                        }
-                        break;
-                    default:
-                        console.warn('Unknown message type:', data.type);
-                }
-            } catch (error) {
-                console.error('Failed to parse WebSocket message:', error);
-                console.log("Raw WS Data:", event.data); // Log raw data for debugging
             }
-        };
-    }, [isGameOver]); // Add isGameOver dependency
+        },
+    });
+    const isConnected = socketStatus === SOCKET_STATUS.OPEN;
+    const isReconnecting = socketStatus === SOCKET_STATUS.RECONNECTING;
 
-    // Effect to connect/disconnect WebSocket based on gameVersion
     useEffect(() => {
-        if (gameVersion) {
-            connectWebSocket(gameVersion);
+        if (reconnectAttempt > 0) {
+            setMessage(`Connection lost. Reconnecting (attempt ${reconnectAttempt})...`);
         }
-        // Cleanup function: Close WebSocket when component unmounts or gameVersion changes *to null*
-        return () => {
-            if (websocket.current) {
-                console.log("Closing WebSocket connection via cleanup effect.");
-                websocket.current.onclose = null; // Prevent onclose handler from triggering state updates during cleanup
-                websocket.current.close(1000, "Client changing version or unmounting");
-                websocket.current = null;
-                setIsConnected(false);
-                // Don't reset gameVersion here, let the selection logic handle it
-            }
-        };
-    }, [gameVersion, connectWebSocket]);
+    }, [reconnectAttempt]);
+
+    // Reset the board whenever a new version is selected
+    useEffect(() => {
+        if (!gameVersion) {
+            gameStats.finish(STATS_OUTCOME.STOPPED);
+            return;
+        }
+        gameStats.start({ mode: gameVersion, pairs_found: 0 });
+        setMessage(`Connecting to ${gameVersion} game...`);
+        setIsGameOver(false);
+        setGameState(null); // Reset game state on new connection attempt
+        clearFrames();
+    }, [gameVersion, clearFrames, gameStats]);
 
     // Button Handlers
     const handleVersionSelect = (version) => {
@@ -219,8 +188,7 @@ export default function MemoryGame() {
         updateMessage("Select game version to start.");
         setGameVersion(null); // Resets UI and triggers cleanup effect
         setGameState(null);
-        setVideoSrc('');
-        setTransformedVideoSrc('');
+        clearFrames();
         setShowError(null);
     };
 
@@ -319,10 +287,12 @@ export default function MemoryGame() {
                 className={`px-2 py-1 rounded font-semibold text-xs shadow ${
                   isConnected
                     ? "bg-green-100 text-green-700 border border-green-300"
+                    : isReconnecting
+                    ? "bg-yellow-100 text-yellow-700 border border-yellow-300"
                     : "bg-red-100 text-red-700 border border-red-300"
                 }`}
               >
-                {isConnected ? "Connected" : "Disconnected"}
+                {isConnected ? "Connected" : isReconnecting ? "Reconnecting..." : "Disconnected"}
                 {isConnected && gameVersion && ` (${gameVersion.charAt(0).toUpperCase() + gameVersion.slice(1)})`}
               </span>
               {(!gameVersion || isGameOver) ? null : (
@@ -380,8 +350,8 @@ export default function MemoryGame() {
           <div className="w-full bg-gray-50  p-4 mb-6 flex flex-wrap justify-between items-center gap-x-4 gap-y-2 text-xs sm:text-sm">
             <span>
               Status:
-              <span className={`ml-1 font-semibold ${isConnected ? 'text-green-600' : 'text-red-600'}`}>
-                {isConnected ? 'Connected' : 'Disconnected'}
+              <span className={`ml-1 font-semibold ${isConnected ? 'text-green-600' : isReconnecting ? 'text-yellow-600' : 'text-red-600'}`}>
+                {isConnected ? 'Connected' : isReconnecting ? 'Reconnecting' : 'Disconnected'}
               </span>
               {isConnected && gameVersion && ` (${gameVersion.charAt(0).toUpperCase() + gameVersion.slice(1)})`}
             </span>
@@ -392,7 +362,7 @@ export default function MemoryGame() {
           </div>
 
           {/* Game Area */}
-          {gameVersion && !isGameOver && isConnected && (
+          {gameVersion && !isGameOver && (isConnected || isReconnecting) && (
             <div className="flex flex-col lg:flex-row gap-4 sm:gap-6 w-full max-w-6xl">
               {/* Left Column: Feeds */}
               <div className="flex flex-col gap-4 sm:gap-6 lg:w-1/2">
@@ -400,9 +370,12 @@ export default function MemoryGame() {
                 <div className="bg-gray-800 p-3 sm:p-4 rounded-lg shadow-xl border border-gray-700">
                   <h2 className="text-xl sm:text-2xl font-semibold mb-3 text-transparent bg-clip-text bg-gradient-to-r from-sky-400 to-blue-500">Live Camera</h2>
                   <div className="w-full aspect-video bg-gray-700 border border-gray-600 rounded overflow-hidden">
-                    {videoSrc ? (
-                      <img src={videoSrc} alt="Live feed" className="w-full h-full object-cover" />
-                    ) : (
+                    <canvas
+                      ref={frameViews.canvasRef("frame")}
+                      aria-label="Live feed"
+                      className={`w-full h-full object-cover ${frameViews.hasFrame.frame ? "" : "hidden"}`}
+                    />
+                    {!frameViews.hasFrame.frame && (
                       <div className="w-full h-full flex items-center justify-center text-gray-400">
                         {isConnected ? "Waiting for camera..." : "Connecting..."}
                       </div>
@@ -417,11 +390,14 @@ export default function MemoryGame() {
                     className="w-full bg-gray-700 border border-gray-600 rounded overflow-hidden relative"
                     style={{ paddingTop: `${(BOARD_DETECT_HEIGHT / BOARD_DETECT_WIDTH) * 100}%` }}
                   >
-                    {transformedVideoSrc ? (
-                      <img src={transformedVideoSrc} alt="Transformed board" className="absolute inset-0 w-full h-full object-contain" />
-                    ) : (
+                    <canvas
+                      ref={frameViews.canvasRef("transformed")}
+                      aria-label="Transformed board"
+                      className={`absolute inset-0 w-full h-full object-contain ${frameViews.hasFrame.transformed ? "" : "hidden"}`}
+                    />
+                    {!frameViews.hasFrame.transformed && (
                       <div className="absolute inset-0 flex items-center justify-center text-gray-400 text-xs p-2 text-center">
-                        {videoSrc && isConnected ? 'Waiting for board detection...' : (isConnected ? 'Camera feed needed' : 'Connecting...')}
+                        {frameViews.hasFrame.frame && isConnected ? 'Waiting for board detection...' : (isConnected ? 'Camera feed needed' : 'Connecting...')}
                       </div>
                     )}
                   </div>
@@ -439,12 +415,13 @@ export default function MemoryGame() {
           )}
 
           {/* Placeholder when not connected or version not selected */}
-          {(!gameVersion || !isConnected) && !isGameOver && (
+          {(!gameVersion || !isConnected) && !isReconnecting && !isGameOver && (
             <div className="mt-10 text-gray-500 text-center">
               Please select a game version to begin.
             </div>
           )}
         </div>
+        <PerfHud perf={perf} getBufferedAmount={getBufferedAmount} />
       </div>
     );
 }
@@ -0,0 +1,134 @@
+// games/registry.js
+// Every game the frontend offers. The home page grid and the /games/[gameId] route are
+// rendered from this list, so adding a game means adding its page under src/games and
+// an entry here.
+import dynamic from "next/dynamic";
+
+/**
+ * Hardware a game needs besides the backend. `esp32Game` is the ESP32 relay mode the
+ * backend switches to (`{"action": "switch", "game": ...}`).
+ */
+export const HARDWARE = {
+    camera: { label: "Camera" },
+    arm: { label: "Robotic arm", esp32Game: "ARM" },
+    shooter: { label: "Shooter turret", esp32Game: "SHOOTER" },
+    rubik: { label: "Cube solver", esp32Game: "RUBIK" },
+};
+
+/**
+ * @typedef {Object} Game
+ * @property {string} id - URL segment, /games/{id}
+ * @property {string} name
+ * @property {string} emoji
+ * @property {string} description - One line for the home page
+ * @property {string[]} endpoints - Backend WebSocket paths the page connects to
+ * @property {string[]} [streams] - Backend MJPEG streams the page shows (`/stream/{name}`)
+ * @property {string} [cameraSettingsId] - Key of the camera settings, for games that open a
+ *           camera in the browser (utils/cameraSettings.js)
+ * @property {string} [ipCameraSettingsId] - Key of the camera settings, for games whose backend
+ *           opens the camera itself; only a configured IP camera is checked before the game
+ * @property {string[]} hardware - Keys of HARDWARE
+ * @property {StatsMetric[]} metrics - What the page records per game (utils/gameStats.js),
+ *           charted on the /stats page
+ * @property {React.ComponentType} Page - Loaded when the game is opened
+ */
+
+/**
+ * @typedef {Object} StatsMetric
+ * @property {string} key - Key in the session's `metrics`
+ * @property {string} label
+ * @property {"number"|"category"} type - Numbers are charted per session, categories as counts
+ */
+
+/** @type {Game[]} */
+export const GAMES = [
+    {
+        id: "shell-game",
+        name: "Shell Game",
+        emoji: "🥚",
+        description: "Find the ball under the cup!",
+        endpoints: ["/ws/shell-game"],
+        streams: ["shell-game"],
+        ipCameraSettingsId: "shell-game",
+        hardware: ["camera"],
+        metrics: [{ key: "cup_name_result", label: "Ball found under", type: "category" }],
+        Page: dynamic(() => import("./shell-game/ShellGamePage")),
+    },
+    {
+        id: "tic-tac-toe",
+        name: "Tic Tac Toe",
+        emoji: "❌⭕",
+        description: "Classic game, AI never loses!",
+        endpoints: ["/ws/tic-tac-toe"],
+        cameraSettingsId: "tic-tac-toe",
+        hardware: ["camera", "arm"],
+        metrics: [
+            { key: "winner", label: "Winner", type: "category" },
+            { key: "moves", label: "Moves", type: "number" },
+        ],
+        Page: dynamic(() => import("./tic-tac-toe/TicTacToePage")),
+    },
+    {
+        id: "tic-tac-toe-browser",
+        name: "Tic Tac Toe: Browser",
+        emoji: "❌⭕",
+        description: "No camera needed, play the AI in the browser!",
+        // Runs the AI in the page (tic-tac-toe/alphabeta.js)
+        endpoints: [],
+        hardware: [],
+        metrics: [
+            { key: "winner", label: "Winner", type: "category" },
+            { key: "difficulty", label: "Difficulty", type: "category" },
+            { key: "first_player", label: "First move", type: "category" },
+            { key: "moves", label: "Moves", type: "number" },
+        ],
+        Page: dynamic(() => import("./tic-tac-toe/BrowserTicTacToePage")),
+    },
+    {
+        id: "rubiks-game",
+        name: "Rubik's Game",
+        emoji: "🟩🟥🟦",
+        description: "Watch the robot solve the cube!",
+        endpoints: ["/ws/rubiks"],
+        cameraSettingsId: "rubiks",
+        hardware: ["camera", "rubik"],
+        metrics: [{ key: "solve_moves", label: "Solve moves", type: "number" }],
+        Page: dynamic(() => import("./rubiks-game/RubiksSolverPage")),
+    },
+    {
+        id: "memory-matching",
+        name: "Memory Matching",
+        emoji: "🧠",
+        description: "Test your memory with vision AI!",
+        // One endpoint per detection mode, chosen on the page
+        endpoints: ["/ws/color", "/ws/yolo"],
+        hardware: ["camera", "arm"],
+        metrics: [
+            { key: "mode", label: "Detection mode", type: "category" },
+            { key: "pairs_found", label: "Pairs found", type: "number" },
+        ],
+        Page: dynamic(() => import("./memory-matching/MemoryGame")),
+    },
+    {
+        id: "shooting-game",
+        name: "Target Shooter",
+        emoji: "🎯",
+        description: "Aim and shoot with computer vision!",
+        endpoints: ["/ws/target-shooter"],
+        streams: ["target-shooter"],
+        hardware: ["camera", "shooter"],
+        metrics: [
+            { key: "shot_angles_count", label: "Shots fired", type: "number" },
+            { key: "target_color", label: "Target color", type: "category" },
+        ],
+        Page: dynamic(() => import("./shooting-game/ShootingGamePage")),
+    },
+];
+
+/**
+ * @param {string} id
+ * @returns {Game|undefined}
+ */
+export function getGame(id) {
+    return GAMES.find((game) => game.id === id);
+}
@@ -0,0 +1,422 @@
+// app/page.jsx
+"use client";
+import React, { useState, useRef, useEffect } from "react";
+import { useGameSocket, SOCKET_STATUS } from "@/utils/gameSocket";
+import { useFrameSender, useSnapshotSource, getSourceRect } from "@/utils/framePipeline";
+import { useFrameViews } from "@/utils/frameTransport";
+import { initializeVideoSource, watchVideoDevices, hasEndedVideoTrack } from "@/utils/cameraUtils";
+import { useCameraSettings, isSnapshotCamera } from "@/utils/cameraSettings";
+import { CameraSettingsModal, CameraTransformControls } from "@/components/CameraSettings";
+import { useAdaptiveController } from "@/utils/adaptiveStreaming";
+import AdaptiveStreamingPanel from "@/components/AdaptiveStreamingPanel";
+import { usePerfStats } from "@/utils/perfStats";
+import { useGameStats, STATS_OUTCOME } from "@/utils/gameStats";
+import PerfHud from "@/components/PerfHud";
+
+// Helper constant
+const COLOR_NAMES = ["W", "R", "G", "Y", "O", "B"];
+
+const RUBIKS_CAMERA_DEFAULTS = {
+    useIpCamera: true,
+    ipCameraAddress: "http://192.168.1.9:8080/video",
+    sendFps: 10,
+    jpegQuality: 0.75,
+    serialPort: "COM7",
+};
+
+// Saved together with the camera settings of this game
+const RUBIKS_EXTRA_FIELDS = [
+    { key: "serialPort", label: "Arduino Serial Port", type: "text", placeholder: "e.g., COM7 or /dev/ttyUSB0" },
+];
+
+export default function RubiksSolverPage() {
+    const gameId = "rubiks";
+    const videoRef = useRef(null);
+    const ipCamImgRef = useRef(null);
+
+    const [isClient, setIsClient] = useState(false);
+    const [closeCode, setCloseCode] = useState(null);
+    const [wasConnected, setWasConnected] = useState(false);
+    const frameViews = useFrameViews();
+    const [showSettings, setShowSettings] = useState(false);
+
+    // Camera, frame and transform settings plus the serial port, saved for this game
+    const { settings: appliedCameraSettings, applySettings } = useCameraSettings(gameId, RUBIKS_CAMERA_DEFAULTS);
+
+    const [cropOverlayStyle, setCropOverlayStyle] = useState({});
+
+    const [gameState, setGameState] = useState({
+        mode: "idle", calibration_step: 0, scan_index: 0, solve_move_index: 0, total_solve_moves: 0,
+        status_message: "Initialize game.", error_message: null, serial_connected: false,
+        current_color_calibrating: null, solution_preview: null,
+    });
+    const [gameStarted, setGameStarted] = useState(false);
+    const [isCameraLoading, setIsCameraLoading] = useState(false);
+
+    useEffect(() => { setIsClient(true); }, []);
+
+    // One stats session per solve: it ends when the backend goes from solving back to idle
+    // with every move sent, and the next one starts right away
+    const gameStats = useGameStats("rubiks-game");
+    const prevModeRef = useRef(gameState.mode);
+    useEffect(() => {
+        if (gameStarted) gameStats.start();
+        else gameStats.finish(STATS_OUTCOME.STOPPED);
+    }, [gameStarted, gameStats]);
+    useEffect(() => {
+        const prevMode = prevModeRef.current;
+        prevModeRef.current = gameState.mode;
+        const solved = prevMode === "solving" && gameState.mode === "idle"
+            && gameState.total_solve_moves > 0 && gameState.solve_move_index >= gameState.total_solve_moves;
+        if (!solved) return;
+        gameStats.finish(STATS_OUTCOME.COMPLETED, { solve_moves: gameState.total_solve_moves });
+        gameStats.start();
+    }, [gameState.mode, gameState.total_solve_moves, gameState.solve_move_index, gameStats]);
+
+    const applyBackendState = (data) => {
+        setGameState(prev => ({
+            ...prev, mode: data.mode !== undefined ? data.mode : prev.mode,
+            calibration_step: data.calibration_step !== undefined ? data.calibration_step : prev.calibration_step,
+            scan_index: data.scan_index !== undefined ? data.scan_index : prev.scan_index,
+            solve_move_index: data.solve_move_index !== undefined ? data.solve_move_index : prev.solve_move_index,
+            total_solve_moves: data.total_solve_moves !== undefined ? data.total_solve_moves : prev.total_solve_moves,
+            status_message: data.status_message !== undefined ? data.status_message : prev.status_message,
+            error_message: data.error_message !== undefined ? data.error_message : null,
+            serial_connected: data.serial_connected !== undefined ? data.serial_connected : false,
+            current_color_calibrating: data.current_color_calibrating !== undefined ? data.current_color_calibrating : prev.current_color_calibrating,
+            solution_preview: data.solution_preview !== undefined ? data.solution_preview : prev.solution_preview,
+        }));
+    };
+
+    const initialConfig = {
+        serial_port: appliedCameraSettings.serialPort, serial_baudrate: 9600,
+        video_source: appliedCameraSettings.useIpCamera ? appliedCameraSettings.ipCameraAddress : "0",
+    };
+    const perf = usePerfStats();
+    const { status: socketStatus, send, getBufferedAmount, reconnectAttempt } = useGameSocket(gameId, {
+        enabled: isClient && gameStarted,
+        stats: perf.stats,
+        initialConfig,
+        onFrame: frameViews.showFrame,
+        handlers: {
+            "*": (payload, message) => {
+                if (message.type === "text") { setGameState(prev => ({ ...prev, error_message: "Received invalid data from backend."})); }
+                else {
+                    // Only frame replies carry the processing time, command replies are not acks
+                    if (message.data.processing_ms !== undefined) ackFrame(message.data.processing_ms);
+                    applyBackendState(message.data);
+                }
+            },
+        },
+        onOpen: () => setWasConnected(true),
+        onClose: (event) => setCloseCode(event.code),
+    });
+
+    let status = "Idle";
+    if (socketStatus === SOCKET_STATUS.CONNECTING) status = "Connecting to WebSocket...";
+    else if (socketStatus === SOCKET_STATUS.OPEN) status = "WebSocket Connected";
+    else if (socketStatus === SOCKET_STATUS.RECONNECTING) status = `Reconnecting to WebSocket (attempt ${reconnectAttempt})...`;
+    else if (socketStatus === SOCKET_STATUS.ERROR) status = "WebSocket Error";
+    else if (socketStatus === SOCKET_STATUS.CLOSED) status = `WebSocket Closed (Code: ${closeCode})`;
+    else if (wasConnected) status = "Disconnected (Game Stopped)";
+
+    useEffect(() => {
+        if (!isClient || !gameStarted) {
+            if (videoRef.current && videoRef.current.srcObject) { videoRef.current.srcObject.getTracks().forEach((t) => t.stop()); videoRef.current.srcObject = null; }
+            if (ipCamImgRef.current) { ipCamImgRef.current.src = ""; }
+            return;
+        }
+
+        setIsCameraLoading(true);
+
+        const currentPreviewWidth = appliedCameraSettings.outputWidth;
+        const currentPreviewHeight = appliedCameraSettings.outputHeight;
+
+        const setupLocalCamera = async () => {
+            if (ipCamImgRef.current && !appliedCameraSettings.useIpCamera) { ipCamImgRef.current.src = ""; }
+            if (appliedCameraSettings.useIpCamera) {
+                if (videoRef.current && videoRef.current.srcObject) { videoRef.current.srcObject.getTracks().forEach((t) => t.stop()); videoRef.current.srcObject = null; }
+                if (!appliedCameraSettings.ipCameraAddress) { setGameState(prev => ({ ...prev, error_message: "IP Camera address is not set." })); setIsCameraLoading(false); }
+            } else if (videoRef.current) {
+                try {
+                    // Without a chosen resolution the camera is asked for the preview size
+                    await initializeVideoSource(videoRef.current, {
+                        deviceId: appliedCameraSettings.deviceId,
+                        width: appliedCameraSettings.width || currentPreviewWidth,
+                        height: appliedCameraSettings.height || currentPreviewHeight,
+                        frameRate: appliedCameraSettings.frameRate,
+                    });
+                    videoRef.current.onloadedmetadata = () => setIsCameraLoading(false);
+                    videoRef.current.onerror = () => { setGameState(prev => ({ ...prev, error_message: "Local camera error." })); setIsCameraLoading(false); }
+                } catch (err) { setGameState(prev => ({ ...prev, error_message: `Local camera access failed: ${err.message}` })); setIsCameraLoading(false); }
+            } else { setIsCameraLoading(false); }
+        };
+        setupLocalCamera();
+
+        // Re-open the camera if it was unplugged and a camera shows up again
+        const stopWatching = watchVideoDevices(() => {
+            if (!appliedCameraSettings.useIpCamera && hasEndedVideoTrack(videoRef.current)) { setupLocalCamera(); }
+        });
+
+        const videoEl = videoRef.current;
+        const imgEl = ipCamImgRef.current;
+        return () => {
+            stopWatching();
+            if (videoEl && videoEl.srcObject) { videoEl.srcObject.getTracks().forEach(t => t.stop()); videoEl.srcObject = null; }
+            if (imgEl) { imgEl.src = ""; }
+        };
+    }, [
+        isClient, gameStarted,
+        appliedCameraSettings.useIpCamera, appliedCameraSettings.ipCameraAddress,
+        appliedCameraSettings.outputWidth, appliedCameraSettings.outputHeight,
+        appliedCameraSettings.deviceId, appliedCameraSettings.width,
+        appliedCameraSettings.height, appliedCameraSettings.frameRate,
+    ]);
+
+    // Snapshot IP cameras are polled instead of streamed
+    const snapshotMode = isSnapshotCamera(appliedCameraSettings);
+    const snapshot = useSnapshotSource(appliedCameraSettings.ipCameraAddress, {
+        enabled: isClient && gameStarted && snapshotMode,
+        fps: appliedCameraSettings.snapshotFps,
+    });
+    useEffect(() => {
+        if (snapshot.error) setGameState(prev => ({ ...prev, error_message: snapshot.error }));
+    }, [snapshot.error]);
+
+    // Rate, size and quality follow the settings unless the backend falls behind
+    const adaptive = useAdaptiveController(gameId);
+    const sendSettings = {
+        fps: appliedCameraSettings.sendFps,
+        quality: appliedCameraSettings.jpegQuality,
+        width: appliedCameraSettings.outputWidth,
+        height: appliedCameraSettings.outputHeight,
+    };
+
+    // Frame sender, runs while the socket is open. The backend answers frames without
+    // a strict 1:1 reply, so frames are only paced by the frame rate; the replies it
+    // does send are timed for the adaptive controller.
+    const { ack: ackFrame } = useFrameSender({
+        enabled: socketStatus === SOCKET_STATUS.OPEN,
+        getSource: () => snapshotMode ? snapshot.getSource()
+            : appliedCameraSettings.useIpCamera ? ipCamImgRef.current : videoRef.current,
+        send,
+        ...sendSettings,
+        getTransform: () => appliedCameraSettings,
+        maxInFlight: 0,
+        adaptive: adaptive.controller,
+        getBufferedAmount,
+        stats: perf.stats,
+        onError: (message) => setGameState(prev => ({ ...prev, error_message: message })),
+    });
+
+    useEffect(() => { // Crop overlay effect
+        if (!gameStarted && !isCameraLoading) { setCropOverlayStyle({ display: 'none' }); return; }
+        const sourceElement = appliedCameraSettings.useIpCamera ? ipCamImgRef.current : videoRef.current;
+        if (!sourceElement || isCameraLoading || !((sourceElement.tagName === "VIDEO" && sourceElement.videoWidth > 0) || (sourceElement.tagName === "IMG" && sourceElement.naturalWidth > 0))) { setCropOverlayStyle({ display: 'none' }); return; }
+        const videoWidth = sourceElement.videoWidth || sourceElement.naturalWidth;
+        const videoHeight = sourceElement.videoHeight || sourceElement.naturalHeight;
+        if (!videoWidth || !videoHeight) { setCropOverlayStyle({ display: 'none' }); return; }
+    
+        const sourceRect = getSourceRect(
+            { width: videoWidth, height: videoHeight },
+            { crop: appliedCameraSettings.crop, zoom: appliedCameraSettings.zoom }
+        );
+        
+        const sourceAspectRatio = videoWidth / videoHeight;
+        const displayPreviewWidth = appliedCameraSettings.outputWidth;
+        const displayPreviewHeight = appliedCameraSettings.outputHeight;
+        const previewBoxAspectRatio = displayPreviewWidth / displayPreviewHeight;
+
+        let renderedW, renderedH, offsetX_in_box, offsetY_in_box;
+        if (sourceAspectRatio > previewBoxAspectRatio) { 
+            renderedW = displayPreviewWidth; renderedH = displayPreviewWidth / sourceAspectRatio;
+            offsetX_in_box = 0; offsetY_in_box = (displayPreviewHeight - renderedH) / 2;
+        } else { 
+            renderedH = displayPreviewHeight; renderedW = displayPreviewHeight * sourceAspectRatio;
+            offsetY_in_box = 0; offsetX_in_box = (displayPreviewWidth - renderedW) / 2;
+        }
+        const scaleToRendered = renderedW / videoWidth; 
+        const overlayX_on_rendered = sourceRect.x * scaleToRendered;
+        const overlayY_on_rendered = sourceRect.y * scaleToRendered;
+        const overlayW_on_rendered = sourceRect.width * scaleToRendered;
+        const overlayH_on_rendered = sourceRect.height * scaleToRendered;
+    
+        setCropOverlayStyle({
+            position: 'absolute', left: `${offsetX_in_box + overlayX_on_rendered}px`,
+            top: `${offsetY_in_box + overlayY_on_rendered}px`, width: `${overlayW_on_rendered}px`,
+            height: `${overlayH_on_rendered}px`, border: '2px dashed rgba(255, 0, 0, 0.7)',
+            boxSizing: 'border-box', display: 'block', pointerEvents: 'none',
+        });
+    }, [
+        appliedCameraSettings.crop, appliedCameraSettings.zoom,
+        appliedCameraSettings.useIpCamera, appliedCameraSettings.ipCameraAddress, 
+        appliedCameraSettings.outputWidth, appliedCameraSettings.outputHeight,
+        isCameraLoading, gameStarted
+    ]);
+
+    const handleSendCommand = (commandPayload) => { 
+        if (!send(commandPayload)) {
+            setGameState(prev => ({ ...prev, error_message: "WebSocket not connected. Cannot send command."}));
+        }
+    };
+    
+    if (!isClient) return <div className="flex justify-center items-center min-h-screen"><p className="text-xl">Loading Client...</p></div>;
+    
+    // Determine processed view dimensions based on the current rotation
+    const isProcessedViewSideways = appliedCameraSettings.rotate === 90 || appliedCameraSettings.rotate === 270;
+    const processedViewStyle = {
+        width: `${isProcessedViewSideways ? appliedCameraSettings.outputHeight : appliedCameraSettings.outputWidth}px`,
+        height: `${isProcessedViewSideways ? appliedCameraSettings.outputWidth : appliedCameraSettings.outputHeight}px`,
+    };
+
+    return (
+        <div className="flex flex-col items-center gap-4 p-4 min-h-screen bg-gradient-to-br from-slate-200 to-slate-400 font-sans">
+            <CameraSettingsModal
+                open={showSettings}
+                onClose={() => setShowSettings(false)}
+                title="Settings"
+                value={appliedCameraSettings}
+                onApply={applySettings}
+                extraFields={RUBIKS_EXTRA_FIELDS}
+                applyLabel="Apply & Restart Connection"
+                idPrefix="rubiksSettings"
+            />
+            <div className="w-full max-w-5xl bg-white rounded-xl shadow-2xl p-6 md:p-8 mt-5">
+                {/* Header */}
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6 pb-4 border-b border-gray-200">
+                    <h1 className="text-3xl font-bold text-slate-800 mb-3 md:mb-0">Rubik's Cube Solver</h1>
+                    <div className="flex flex-wrap items-center gap-3">
+                        <span title={status} className={`px-3 py-1.5 rounded-full text-xs font-semibold truncate max-w-[150px] md:max-w-xs ${status.includes("Connected") ? "bg-green-100 text-green-800" : status.includes("Error") || status.includes("Disconnected") || status.includes("Closed") ? "bg-red-100 text-red-800" : "bg-yellow-100 text-yellow-800"}`}>
+                            {status}
+                        </span>
+                         <span className={`px-3 py-1.5 rounded-full text-xs font-semibold ${gameState.serial_connected ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"}`}>
+                            ESP32: {gameState.serial_connected ? "Ok" : "Off"}
+                        </span>
+                        <button onClick={() => setShowSettings(true)} className="px-4 py-2 bg-indigo-500 text-white text-sm font-medium rounded-md shadow-sm hover:bg-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2">Settings</button>
+                    </div>
+                </div>
+
+                {/* Controls */}
+                <div className="w-full bg-slate-50 rounded-lg shadow p-5 mb-6">
+                     <h2 className="text-xl font-semibold text-slate-700 mb-4">Controls</h2>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <button
+                            className={`w-full px-4 py-2.5 rounded-md font-semibold shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-2 transition-colors duration-150 ${!gameStarted ? "bg-green-500 text-white hover:bg-green-600 focus:ring-green-500" : "bg-red-500 text-white hover:bg-red-600 focus:ring-red-500"}`}
+                            onClick={() => setGameStarted(!gameStarted)}
+                        >
+                            {gameStarted ? "Stop Game" : "Start Game"}
+                        </button>
+                        <button className="w-full px-4 py-2.5 bg-amber-500 text-white rounded-md font-semibold shadow-sm hover:bg-amber-600 focus:ring-amber-400 disabled:opacity-60 disabled:cursor-not-allowed" onClick={() => handleSendCommand({ mode: "calibrating" })} disabled={!gameStarted || gameState.mode === 'solving' || gameState.mode === 'scrambling'}>Calibrate</button>
+                        <button className="w-full px-4 py-2.5 bg-sky-500 text-white rounded-md font-semibold shadow-sm hover:bg-sky-600 focus:ring-sky-400 disabled:opacity-60 disabled:cursor-not-allowed" onClick={() => handleSendCommand({ mode: "scanning" })} disabled={!gameStarted || gameState.mode === 'solving' || gameState.mode === 'scrambling'}>Scan Cube</button>
+                        <button className="w-full px-4 py-2.5 bg-purple-500 text-white rounded-md font-semibold shadow-sm hover:bg-purple-600 focus:ring-purple-400 disabled:opacity-60 disabled:cursor-not-allowed" onClick={() => handleSendCommand({ action: "scramble_cube" })} disabled={!gameStarted || gameState.mode === 'solving' || gameState.mode === 'scrambling' || gameState.mode !== 'idle'}>Scramble</button>
+                    </div>
+                    {gameState.mode === "calibrating" && gameStarted && (
+                        <div className="mt-4">
+                            <button className="w-full px-4 py-2.5 bg-teal-500 text-white rounded-md font-semibold shadow-sm hover:bg-teal-600 focus:ring-teal-400" onClick={() => handleSendCommand({ action: "calibrate_color" })}>
+                                Capture Color ({gameState.current_color_calibrating || (gameState.calibration_step < COLOR_NAMES.length ? COLOR_NAMES[gameState.calibration_step] : 'Done')})
+                            </button>
+                        </div>
+                    )}
+                     { (gameState.mode === "solving" || gameState.mode === "scrambling") && gameStarted && (
+                        <div className="mt-4">
+                             <button className="w-full px-4 py-2.5 bg-orange-500 text-white rounded-md font-semibold shadow-sm hover:bg-orange-600 focus:ring-orange-400" onClick={() => handleSendCommand({ action: "stop_operation" })}>
+                                Stop Current Action
+                            </button>
+                        </div>
+                     )}
+                </div>
+                
+                <AdaptiveStreamingPanel adaptive={adaptive} configured={sendSettings} idPrefix="rubiksAdaptive" />
+
+                {/* Camera Previews */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                    {/* Local Preview */}
+                    <div className="flex flex-col items-center p-3 bg-slate-100 rounded-lg">
+                        <div className="mb-2 text-center font-semibold text-slate-700">Camera Feed (Local Preview)</div>
+                        <div 
+                            style={{ 
+                                width: `${appliedCameraSettings.outputWidth}px`, 
+                                height: `${appliedCameraSettings.outputHeight}px` 
+                            }}
+                            className="relative rounded-md overflow-hidden border-2 border-slate-300 bg-slate-900 flex items-center justify-center shadow-inner"
+                        >
+                            {appliedCameraSettings.useIpCamera ? (
+                                <img 
+                                    ref={ipCamImgRef} 
+                                    key={appliedCameraSettings.ipCameraAddress} 
+                                    src={!gameStarted || !appliedCameraSettings.ipCameraAddress ? undefined
+                                        : snapshotMode ? snapshot.frameUrl || undefined : appliedCameraSettings.ipCameraAddress}
+                                    alt="IP Camera Preview" 
+                                    className="object-contain max-w-full max-h-full"
+                                    crossOrigin="anonymous" 
+                                    onLoad={() => { setIsCameraLoading(false);}} 
+                                    onError={() => { 
+                                        if (gameStarted && appliedCameraSettings.ipCameraAddress) { 
+                                            setGameState(prev => ({...prev, error_message: "IP Cam Preview Error."})); 
+                                        }
+                                        setIsCameraLoading(false);
+                                    }}
+                                />
+                            ) : (
+                                <video 
+                                    ref={videoRef} autoPlay playsInline muted 
+                                    width={appliedCameraSettings.outputWidth}
+                                    height={appliedCameraSettings.outputHeight}
+                                    className="object-contain max-w-full max-h-full"
+                                />
+                            )}
+                            {isCameraLoading && gameStarted && <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-60 text-white text-lg font-semibold">Loading Preview...</div>}
+                            <div style={cropOverlayStyle}></div>
+                        </div>
+
+                        {/* Zoom, Crop & Rotate Controls, applied live and saved */}
+                        <div className="mt-4 w-full max-w-xs p-2 bg-white/50 rounded-md">
+                            <CameraTransformControls
+                                value={appliedCameraSettings}
+                                onChange={applySettings}
+                                disabled={!gameStarted}
+                                idPrefix="rubiksLive"
+                            />
+                        </div>
+                    </div>
+
+                    {/* Processed View */}
+                    <div className="flex flex-col items-center p-3 bg-slate-100 rounded-lg">
+                        <div className="mb-2 text-center font-semibold text-slate-700">Processed View (from Backend)</div>
+                        <div 
+                            style={processedViewStyle} // Use dynamically calculated style
+                            className="relative rounded-md overflow-hidden border-2 border-slate-300 bg-slate-900 flex items-center justify-center shadow-inner"
+                        >
+                            <canvas
+                                ref={frameViews.canvasRef("processed")}
+                                aria-label="Processed Frame"
+                                className={`object-contain max-w-full max-h-full ${frameViews.hasFrame.processed ? "" : "hidden"}`}
+                            />
+                            {!frameViews.hasFrame.processed && (
+                                <span className="text-slate-500 text-center p-2">{gameStarted ? "Waiting for backend frame..." : "Game stopped."}</span>
+                            )}
+                        </div>
+                    </div>
+                </div>
+
+                {/* Game Status */}
+                <div className="p-5 bg-slate-50 rounded-lg border border-slate-200 shadow">
+                    <h3 className="text-xl font-semibold text-slate-700 mb-3">Game Status & Messages</h3>
+                    <div className="text-sm space-y-1.5 text-slate-600">
+                        <p>Mode: <span className="font-semibold text-slate-800">{gameState.mode}</span></p>
+                        <p>Status: <span className="font-semibold text-slate-800">{gameState.status_message || "N/A"}</span></p>
+                        {gameState.error_message && <p className="text-red-600 font-semibold">Error: {gameState.error_message}</p>}
+                        {(gameState.mode === "solving" || gameState.mode === "scrambling") && gameState.total_solve_moves > 0 && (
+                            <p>Progress: <span className="font-semibold text-slate-800">{gameState.solve_move_index}/{gameState.total_solve_moves} moves</span></p>
+                        )}
+                         {gameState.mode === "scanning" && (
+                            <p>Scan Progress: <span className="font-semibold text-slate-800">{gameState.scan_index}/12</span></p>
+                        )}
+                        {gameState.solution_preview && <p>Solution Preview: <span className="font-mono text-xs text-slate-700 bg-slate-200 px-1 py-0.5 rounded">{gameState.solution_preview}</span></p>}
+                    </div>
+                </div>
+            </div>
+          <PerfHud perf={perf} getBufferedAmount={getBufferedAmount} />
+        </div>
+    );
+}
\ No newline at end of file
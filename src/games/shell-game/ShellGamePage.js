@@ -1,101 +1,119 @@
 "use client";
-import { useState, useRef, useEffect } from "react";
-import { initializeVideoSource } from "@/utils/cameraUtils";
+import { useState, useEffect } from "react";
+import { useGameSocket, SOCKET_STATUS_LABELS } from "@/utils/gameSocket";
+import { getBackendHttpUrl, getStreamUrl } from "@/utils/backendConfig";
+import { useCameraSettings, isSnapshotCamera } from "@/utils/cameraSettings";
+import { CameraSettingsModal } from "@/components/CameraSettings";
+import { useFrameSender, useSnapshotSource } from "@/utils/framePipeline";
+import { useFrameViews } from "@/utils/frameTransport";
+import { useSessionRecorder, useReplaySource } from "@/utils/sessionRecording";
+import SessionRecorderPanel from "@/components/SessionRecorderPanel";
+import { useAdaptiveController } from "@/utils/adaptiveStreaming";
+import AdaptiveStreamingPanel from "@/components/AdaptiveStreamingPanel";
+import { usePerfStats } from "@/utils/perfStats";
+import { useGameStats, STATS_OUTCOME } from "@/utils/gameStats";
+import PerfHud from "@/components/PerfHud";
 
 export default function ShellGamePage() {
   const gameId = "shell-game";
-  const videoRef = useRef(null);
-  const canvasRef = useRef(null);
-  const wsRef = useRef(null);
-  const ipCamImgRef = useRef(null);
-  const ipInputRef = useRef(null);
 
-  const [status, setStatus] = useState("Connecting...");
   const [output, setOutput] = useState(null);
-  const [rawFrame, setRawFrame] = useState(null);
-  const [processedFrame, setProcessedFrame] = useState(null);
-  const [livefeedFrame, setLivefeedFrame] = useState(null);
+  // Only the livefeed is drawn, the processed view comes from the MJPEG stream
+  const frameViews = useFrameViews();
   const [showSettings, setShowSettings] = useState(false);
-  const [cameraSettings, setCameraSettings] = useState({
-    useIpCamera: false,
-    ipCameraAddress: "",
-  });
-  const [appliedCameraSettings, setAppliedCameraSettings] = useState({
-    useIpCamera: false,
-    ipCameraAddress: "",
-  });
-
-  // Loading indicators
-  const [isCameraLoading, setIsCameraLoading] = useState(false);
-
-  // Only send a new frame after backend responds
-  const sendNextFrameRef = useRef(true);
-  // Add a ref to track last sent time for FPS limiting
-  const lastSentRef = useRef(0);
-  // Set your desired FPS here (e.g., 10 or 20)
-  const minFrameInterval = 30; // ms (10 FPS). Use 50 for 20 FPS.
+  // The backend opens the camera itself (or receives snapshot frames from the page),
+  // so only the source can be configured
+  const { settings: cameraSettings, applySettings: applyCameraSettings } =
+      useCameraSettings(gameId);
 
   const [isGameStarted, setIsGameStarted] = useState(false);
   const [processedStreamUrl, setProcessedStreamUrl] = useState(null);
   const [debugState, setDebugState] = useState(null);
   const [cupResult, setCupResult] = useState(null);
 
-  useEffect(() => {
-    if (showSettings && cameraSettings.useIpCamera && ipInputRef.current) {
-      ipInputRef.current.focus();
-    }
-  }, [showSettings, cameraSettings.useIpCamera]);
+  // A loaded recording replaces the camera until it is cleared
+  const [replaySession, setReplaySession] = useState(null);
+  const [replayLoop, setReplayLoop] = useState(false);
+  const replaying = !!replaySession;
+  const recorder = useSessionRecorder(gameId);
 
-  useEffect(() => {
-    if (!isGameStarted) return;
+  // Snapshot cameras are polled here and the frames forwarded, the backend can't read them.
+  // Replayed frames take the same route.
+  const snapshotMode = isSnapshotCamera(cameraSettings);
+  const clientFrames = snapshotMode || replaying;
+  const ipCameraUrl =
+      cameraSettings.useIpCamera && cameraSettings.ipCameraAddress
+          ? cameraSettings.ipCameraAddress
+          : null;
+  const shellConfig = {
+    ip_camera_url: clientFrames ? null : ipCameraUrl,
+    frame_source: clientFrames ? "client" : "camera",
+  };
 
-    const ws = new WebSocket(`ws://localhost:8000/ws/${gameId}`);
-    wsRef.current = ws;
+  const perf = usePerfStats();
+  const { status: socketStatus, send, isOpen, getBufferedAmount, reconnectAttempt } = useGameSocket(gameId, {
+    enabled: isGameStarted,
+    stats: perf.stats,
+    initialConfig: shellConfig,
+    onOpen: () => {
+      console.log("[ShellGame] Sending config to backend:", shellConfig);
+    },
+    onFrame: (view, blob) => {
+      if (view !== "livefeed") return;
+      frameViews.showFrame(view, blob);
+      // The backend reads the camera itself, so its livefeed is the only copy of the frames
+      if (!clientFrames) recorder.recordFrame(blob);
+    },
+    handlers: {
+      "*": (payload, message) => {
+        recorder.recordMessage(message);
+        setOutput(message.data);
+      },
+    },
+  });
+  const snapshot = useSnapshotSource(ipCameraUrl, {
+    enabled: isGameStarted && snapshotMode && !replaying,
+    fps: cameraSettings.snapshotFps,
+  });
+  const replay = useReplaySource(replaySession, {
+    enabled: isGameStarted && replaying,
+    loop: replayLoop,
+  });
 
-    ws.onopen = () => {
-      setStatus("Connected");
-      // Send config with IP camera URL if enabled
-      if (
-          appliedCameraSettings.useIpCamera &&
-          appliedCameraSettings.ipCameraAddress
-      ) {
-        const config = {
-          ip_camera_url: appliedCameraSettings.ipCameraAddress,
-        };
-        console.log("[ShellGame] Sending config to backend:", config);
-        ws.send(JSON.stringify(config));
-      }
-    };
-    ws.onclose = () => setStatus("Disconnected");
-    ws.onerror = () => setStatus("Error");
+  // Without replies to time, the adaptive controller watches the socket's send buffer
+  const adaptive = useAdaptiveController(gameId);
+  const sendSettings = {
+    fps: cameraSettings.snapshotFps,
+    quality: cameraSettings.jpegQuality,
+    width: 640,
+    height: 480,
+  };
 
-    ws.onmessage = (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        if (data.type === "livefeed" && data.payload) {
-          setLivefeedFrame(`data:image/jpeg;base64,${data.payload}`);
-          return;
-        }
-        setOutput(data);
-        if (data.raw_frame)
-          setRawFrame(`data:image/jpeg;base64,${data.raw_frame}`);
-        if (data.processed_frame)
-          setProcessedFrame(`data:image/jpeg;base64,${data.processed_frame}`);
-      } catch {
-        setOutput(event.data);
-      }
-    };
+  // The backend doesn't answer frames individually, so there is no backpressure
+  useFrameSender({
+    enabled: isGameStarted && clientFrames,
+    getSource: () => (replaying ? replay.getSource() : snapshot.getSource()),
+    send,
+    canSend: isOpen,
+    ...sendSettings,
+    maxInFlight: 0,
+    adaptive: adaptive.controller,
+    getBufferedAmount,
+    stats: perf.stats,
+    onFrameSent: recorder.recordFrame,
+  });
 
-    setProcessedStreamUrl("http://localhost:8000/stream/shell-game");
+  const status = !isGameStarted
+      ? "Disconnected"
+      : reconnectAttempt > 0
+          ? `Reconnecting (attempt ${reconnectAttempt})...`
+          : SOCKET_STATUS_LABELS[socketStatus];
 
-    return () => {
-      ws.close();
-      setProcessedStreamUrl(null);
-      if (videoRef.current && videoRef.current.srcObject) {
-        videoRef.current.srcObject.getTracks().forEach((t) => t.stop());
-      }
-    };
-  }, [gameId, appliedCameraSettings, isGameStarted]);
+  useEffect(() => {
+    if (!isGameStarted) return;
+    setProcessedStreamUrl(getStreamUrl("shell-game"));
+    return () => setProcessedStreamUrl(null);
+  }, [isGameStarted]);
 
   // Poll debug/game state from backend
   useEffect(() => {
@@ -108,7 +126,7 @@ export default function ShellGamePage() {
     async function pollDebug() {
       while (!stopped) {
         try {
-          const res = await fetch("http://localhost:8000/shell-game/debug");
+          const res = await fetch(getBackendHttpUrl("/shell-game/debug"));
           if (res.ok) {
             const data = await res.json();
             setDebugState(data);
@@ -129,95 +147,24 @@ export default function ShellGamePage() {
     };
   }, [isGameStarted]);
 
-  const handleCameraSettingsChange = (newSettings) => {
-    setCameraSettings(newSettings);
-
-    // Save IP camera address to local storage
-    if (typeof newSettings.ipCameraAddress === "string") {
-      localStorage.setItem("ipCameraAddress", newSettings.ipCameraAddress);
-    }
-  };
-
-  // Helper to save IP to local storage and apply settings
-  const saveIpAndApplySettings = () => {
-    if (typeof cameraSettings.ipCameraAddress === "string") {
-      localStorage.setItem("ipCameraAddress", cameraSettings.ipCameraAddress);
-    }
-    setAppliedCameraSettings(cameraSettings);
-    setShowSettings(false);
-  };
-
-  // Modal overlay for settings
-  const SettingsModal = () =>
-      showSettings && (
-          <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
-            <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-md relative">
-              <button
-                  className="absolute top-2 right-2 text-gray-400 hover:text-gray-700"
-                  onClick={() => setShowSettings(false)}
-                  aria-label="Close"
-              >
-                ×
-              </button>
-              <h3 className="text-lg font-medium mb-3">Camera Settings</h3>
-              <div className="flex items-center mb-3">
-                <input
-                    type="checkbox"
-                    id="useIpCamera"
-                    checked={cameraSettings.useIpCamera}
-                    onChange={(e) =>
-                        handleCameraSettingsChange({
-                          ...cameraSettings,
-                          useIpCamera: e.target.checked,
-                        })
-                    }
-                    className="mr-2"
-                />
-                <label htmlFor="useIpCamera">Use IP Camera</label>
-              </div>
-              {cameraSettings.useIpCamera && (
-                  <div className="mb-3">
-                    <label htmlFor="ipCameraAddress" className="block mb-1">
-                      IP Camera URL:
-                    </label>
-                    <input
-                        ref={ipInputRef}
-                        type="text"
-                        id="ipCameraAddress"
-                        value={cameraSettings.ipCameraAddress}
-                        onChange={(e) =>
-                            handleCameraSettingsChange({
-                              ...cameraSettings,
-                              ipCameraAddress: e.target.value,
-                            })
-                        }
-                        placeholder="http://camera-ip:port/stream"
-                        className="w-full p-2 border rounded"
-                        autoFocus
-                        onKeyDown={(e) => {
-                          if (e.key === "Enter") {
-                            saveIpAndApplySettings();
-                          }
-                        }}
-                    />
-                    <small className="text-gray-500">
-                      Example: http://192.168.1.100:8080/video
-                    </small>
-                  </div>
-              )}
-              <button
-                  onClick={saveIpAndApplySettings}
-                  className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600"
-              >
-                Apply Settings
-              </button>
-            </div>
-          </div>
-      );
+  // One stats session per game, from Start Game until the backend names the cup
+  const gameStats = useGameStats(gameId);
+  useEffect(() => {
+    if (!isGameStarted) gameStats.finish(STATS_OUTCOME.STOPPED);
+    else if (cupResult) gameStats.finish(STATS_OUTCOME.COMPLETED, { cup_name_result: cupResult });
+    else gameStats.start();
+  }, [gameStats, isGameStarted, cupResult]);
 
   return (
       <div className="flex flex-col items-center gap-4 p-4 min-h-screen bg-gradient-to-br from-blue-100 via-white to-green-100">
-        <SettingsModal />
+        <CameraSettingsModal
+            open={showSettings}
+            onClose={() => setShowSettings(false)}
+            value={cameraSettings}
+            onApply={applyCameraSettings}
+            sections={["source"]}
+            idPrefix="shellCamera"
+        />
         <div className="w-full max-w-5xl bg-white rounded-2xl shadow-2xl p-8 mt-4 border border-gray-200">
           <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
             <div className="flex items-center gap-3">
@@ -254,10 +201,7 @@ export default function ShellGamePage() {
                   <button
                       onClick={() => {
                         setIsGameStarted(false);
-                        setStatus("Disconnected");
                         setOutput(null);
-                        setRawFrame(null);
-                        setProcessedFrame(null);
                         setCupResult(null);
                       }}
                       className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 shadow transition"
@@ -267,12 +211,27 @@ export default function ShellGamePage() {
               )}
             </div>
           </div>
-          {appliedCameraSettings.useIpCamera && (
+          <SessionRecorderPanel
+              gameId={gameId}
+              recorder={recorder}
+              getMeta={() => ({ cameraSettings, gameConfig: shellConfig })}
+              replay={{ session: replaySession, loop: replayLoop, ...replay }}
+              onReplayChange={setReplaySession}
+              onLoopChange={setReplayLoop}
+              idPrefix="shellSession"
+          />
+          {clientFrames && (
+              <AdaptiveStreamingPanel adaptive={adaptive} configured={sendSettings} idPrefix="shellAdaptive" />
+          )}
+          {cameraSettings.useIpCamera && !clientFrames && (
               <div className="mb-2 text-red-600 text-sm">
                 Note: IP camera streams must support MJPEG and allow CORS. If you
                 see a blank image, check your camera's settings.
               </div>
           )}
+          {snapshot.error && (
+              <div className="mb-2 text-red-600 text-sm">{snapshot.error}</div>
+          )}
           {!window.isSecureContext && (
               <div className="mb-2 text-red-600 text-sm">
                 Warning: Device camera access requires HTTPS in most browsers.
@@ -285,17 +244,13 @@ export default function ShellGamePage() {
                 📷 Live Cam Preview
               </div>
               <div className="relative w-[320px] h-[240px] rounded-xl overflow-hidden border-2 border-blue-200 bg-black flex items-center justify-center shadow-lg">
-                {livefeedFrame ? (
-                    <img
-                        src={livefeedFrame}
-                        width={320}
-                        height={240}
-                        alt="Livefeed Frame"
-                        className="object-contain"
-                        draggable={false}
-                        style={{ userSelect: "none" }}
-                    />
-                ) : (
+                <canvas
+                    ref={frameViews.canvasRef("livefeed")}
+                    aria-label="Livefeed Frame"
+                    className={`w-[320px] h-[240px] object-contain ${frameViews.hasFrame.livefeed ? "" : "hidden"}`}
+                    style={{ userSelect: "none" }}
+                />
+                {!frameViews.hasFrame.livefeed && (
                     <span className="text-gray-400">No livefeed</span>
                 )}
               </div>
@@ -361,6 +316,7 @@ export default function ShellGamePage() {
           </pre>
           </div>
         </div>
+        <PerfHud perf={perf} getBufferedAmount={getBufferedAmount} />
       </div>
   );
 }
@@ -1,6 +1,11 @@
 "use client";
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import styles from './ShootingGame.module.css'; 
+import { useGameSocket, SOCKET_STATUS } from '@/utils/gameSocket';
+import { getStreamUrl } from '@/utils/backendConfig';
+import { usePerfStats } from '@/utils/perfStats';
+import { useGameStats, STATS_OUTCOME } from '@/utils/gameStats';
+import PerfHud from '@/components/PerfHud';
 
 const ShootingGamePage = () => {
   const [offsetX, setOffsetX] = useState(4); 
@@ -8,107 +13,89 @@ const ShootingGamePage = () => {
   const [focalLength, setFocalLength] = useState(580); 
   const [targetColor, setTargetColor] = useState('yellow');
   const [noBalloonTimeout, setNoBalloonTimeout] = useState(10); 
-  const [ws, setWs] = useState(null);
-  const [isConnected, setIsConnected] = useState(false);
   const [gameState, setGameState] = useState(null);
   const [statusMessage, setStatusMessage] = useState('Not Connected. Configure and Start.');
   const [isGameRunning, setIsGameRunning] = useState(false); 
   const [streamUrl, setStreamUrl] = useState(null); 
+  // One stats session per shoot, from Start Shoot until the backend or the user ends it
+  const gameStats = useGameStats('shooting-game');
+
+  const initialConfig = {
+      action: "initial_config",
+      focal_length: parseFloat(focalLength),
+      laser_offset_cm_x: parseFloat(offsetX),
+      laser_offset_cm_y: parseFloat(offsetY),
+      target_color: targetColor,
+      no_balloon_timeout: parseFloat(noBalloonTimeout),
+  };
 
-  const backendUrl = process.env.NEXT_PUBLIC_BACKEND_WS_URL || 'ws://localhost:8000';
-  const backendHttpUrl = process.env.NEXT_PUBLIC_BACKEND_HTTP_URL || 'http://localhost:8000';
-
-  const connectWebSocket = useCallback(() => {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      console.log("WebSocket already open.");
-      return ws;
-    }
-    console.log("Attempting to connect WebSocket...");
-    const newWs = new WebSocket(`${backendUrl}/ws/target-shooter`);
-
-    newWs.onopen = () => {
+  // The socket lives for one shoot session; the config is sent as soon as it opens
+  // and again after a dropped connection is re-established
+  const perf = usePerfStats();
+  const { status, send, getBufferedAmount, reconnectAttempt } = useGameSocket('target-shooter', {
+    enabled: isGameRunning,
+    stats: perf.stats,
+    initialConfig,
+    onOpen: () => {
       console.log('Target Shooter WebSocket connected');
-      setIsConnected(true);
-      setStatusMessage('Connected. Send initial config via "Start Shoot" button.');
-      setWs(newWs);
-    };
-
-    newWs.onmessage = (event) => {
-      try {
-        const data = JSON.parse(event.data);
+      setStatusMessage('Configuration sent. Backend will start streaming frames.');
+      setStreamUrl(getStreamUrl('target-shooter'));
+    },
+    onClose: () => {
+      // Only reached once reconnecting has given up
+      console.log('Target Shooter WebSocket disconnected');
+      setIsGameRunning(false);
+      setStreamUrl(null);
+      setStatusMessage('Disconnected. Reconnect to play.');
+    },
+    handlers: {
+      text: () => setStatusMessage('Error processing backend message.'),
+      "*": (payload, message) => {
+        const data = message.data;
+        if (message.type === 'text') return;
         if (data.game_state) {
           setGameState(data.game_state);
+          gameStats.update({ shot_angles_count: data.game_state.shot_angles_count });
         }
         if (data.message) {
           setStatusMessage(data.message);
         }
         if (data.status === 'ended') {
           setStatusMessage(`Game Ended: ${data.message}`);
+          gameStats.finish(data.game_state?.game_over_timeout ? STATS_OUTCOME.TIMEOUT : STATS_OUTCOME.COMPLETED);
           setIsGameRunning(false);
-        } else if (data.status === 'ok' || data.status === 'command_processed') {
-            if (!isGameRunning) setIsGameRunning(true);
+          setStreamUrl(null);
         }
-      } catch (error) {
-        console.error('Error processing message from backend:', error);
-        setStatusMessage('Error processing backend message.');
-      }
-    };
-
-    newWs.onerror = (error) => {
-      console.error('WebSocket error:', error);
+      },
+    },
+  });
+  const isConnected = status === SOCKET_STATUS.OPEN;
+
+  useEffect(() => {
+    if (status === SOCKET_STATUS.ERROR) {
       setStatusMessage('WebSocket error. Check console.');
-      setIsConnected(false);
-      setIsGameRunning(false);
-    };
+    }
+  }, [status]);
 
-    newWs.onclose = () => {
-      console.log('Target Shooter WebSocket disconnected');
-      setIsConnected(false);
-      setIsGameRunning(false);
-      setStatusMessage('Disconnected. Reconnect to play.');
-      setWs(null);
-    };
-    return newWs;
-  }, [backendUrl, ws, isGameRunning]);
+  useEffect(() => {
+    if (reconnectAttempt > 0) {
+      setStatusMessage(`Connection lost. Reconnecting (attempt ${reconnectAttempt})...`);
+    }
+  }, [reconnectAttempt]);
 
-  const handleStartShoot = async () => {
+  // Whatever ended the shoot without a result (emergency stop, lost connection) records it as stopped
+  useEffect(() => {
+    if (!isGameRunning) gameStats.finish(STATS_OUTCOME.STOPPED);
+  }, [isGameRunning, gameStats]);
+
+  const handleStartShoot = () => {
     setStatusMessage('Starting game with current settings...');
-    
-    let currentWs = ws;
-    if (!currentWs || currentWs.readyState !== WebSocket.OPEN) {
-      currentWs = connectWebSocket();
-      setWs(currentWs);
-    }
-    
-    const sendConfigWhenReady = (socket) => {
-      if (socket.readyState === WebSocket.OPEN) {
-        const initialConfig = {
-            action: "initial_config",
-            focal_length: parseFloat(focalLength),
-            laser_offset_cm_x: parseFloat(offsetX),
-            laser_offset_cm_y: parseFloat(offsetY),
-            target_color: targetColor,
-            no_balloon_timeout: parseFloat(noBalloonTimeout),
-        };
-        socket.send(JSON.stringify(initialConfig));
-        setStatusMessage('Configuration sent. Backend will start streaming frames.');
-        setIsGameRunning(true);
-        setStreamUrl(`${backendHttpUrl}/stream/target-shooter?${Date.now()}`);
-      } else if (socket.readyState === WebSocket.CONNECTING) {
-        console.log("WebSocket is connecting, waiting to send config...");
-        setTimeout(() => sendConfigWhenReady(socket), 200);
-      } else {
-        setStatusMessage("WebSocket not open. Cannot send configuration.");
-        console.error("WebSocket not open for sending config. State: " + socket.readyState);
-        setIsGameRunning(false);
-      }
-    };
-    sendConfigWhenReady(currentWs);
+    gameStats.start({ target_color: targetColor, shot_angles_count: 0 });
+    setIsGameRunning(true);
   };
 
   const sendCommandToBackend = (command) => {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(command));
+    if (send(command)) {
       console.log("Sent command:", command);
     } else {
       setStatusMessage("Not connected. Cannot send command.");
@@ -119,6 +106,7 @@ const ShootingGamePage = () => {
   const handleEndGame = () => {
     setStatusMessage('Ending game...');
     sendCommandToBackend({ action: 'end_game' });
+    gameStats.finish(STATS_OUTCOME.COMPLETED);
     setIsGameRunning(false);
     setStreamUrl(null);
   };
@@ -130,16 +118,6 @@ const ShootingGamePage = () => {
     setStreamUrl(null);
   };
 
-  useEffect(() => {
-    return () => {
-      if (ws) {
-        console.log("Closing WebSocket on component unmount.");
-        ws.close();
-      }
-      setStreamUrl(null);
-    };
-  }, []);
-
   return (
     <div className={styles.container}>
       <h1>Target Shooter Game</h1>
@@ -209,6 +187,7 @@ const ShootingGamePage = () => {
           {gameState.game_requested_stop && !gameState.game_over_timeout && <p style={{color: 'orange'}}>GAME STOPPED BY USER</p>}
         </div>
       )}
+      <PerfHud perf={perf} getBufferedAmount={getBufferedAmount} />
     </div>
   );
 };
@@ -0,0 +1,148 @@
+"use client";
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { useGameStats, STATS_OUTCOME } from "@/utils/gameStats";
+import TicTacToeBoard from "./TicTacToeBoard";
+import WinnerBanner from "./WinnerBanner";
+import { findWinner, opponent } from "./board";
+import { DIFFICULTY, DIFFICULTY_LABELS, chooseMove } from "./alphabeta";
+
+// The player is X, the computer O, as on the robot's paper
+const WINNER_OUTCOMES = { X: STATS_OUTCOME.WIN, O: STATS_OUTCOME.LOSS, Draw: STATS_OUTCOME.DRAW };
+
+// How long the computer shows the move it is considering before playing it
+const COMPUTER_DELAY_MS = 700;
+
+const emptyBoard = () => Array(9).fill(null);
+
+// Tic-tac-toe against the alpha-beta engine running in the page, without camera, arm or
+// backend: for when the rig is out of service
+export default function BrowserTicTacToePage() {
+  const gameId = "tic-tac-toe-browser";
+  const [difficulty, setDifficulty] = useState(DIFFICULTY.PERFECT);
+  const [firstPlayer, setFirstPlayer] = useState("X");
+  const [board, setBoard] = useState(emptyBoard);
+  const [lastComputerMove, setLastComputerMove] = useState(null);
+  const [considering, setConsidering] = useState(null);
+
+  const winner = findWinner(board) || (board.every(Boolean) ? "Draw" : null);
+  const marks = board.filter(Boolean).length;
+  // Turns alternate from the first player
+  const toMove = marks % 2 === 0 ? firstPlayer : opponent(firstPlayer);
+  const computerTurn = !winner && toMove === "O";
+
+  useEffect(() => {
+    if (!computerTurn) return;
+    const move = chooseMove(board, "O", difficulty);
+    setConsidering(move);
+    const timer = setTimeout(() => {
+      setConsidering(null);
+      setLastComputerMove(move);
+      setBoard((prev) => prev.map((cell, index) => (index === move ? "O" : cell)));
+    }, COMPUTER_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [computerTurn, board, difficulty]);
+
+  const playCell = (index) => {
+    if (winner || toMove !== "X" || board[index]) return;
+    setBoard((prev) => prev.map((cell, i) => (i === index ? "X" : cell)));
+  };
+
+  // One stats session per game, started on the empty board
+  const gameStats = useGameStats(gameId);
+  useEffect(() => {
+    gameStats.update({ moves: marks });
+  }, [gameStats, marks]);
+  useEffect(() => {
+    if (winner) gameStats.finish(WINNER_OUTCOMES[winner], { winner });
+    else if (marks === 0) {
+      gameStats.start();
+      // The settings may still change before the first move
+      gameStats.update({ difficulty, first_player: firstPlayer });
+    }
+  }, [gameStats, winner, marks, difficulty, firstPlayer]);
+
+  const newGame = (settings = {}) => {
+    if (marks > 0) gameStats.finish(STATS_OUTCOME.STOPPED);
+    if (settings.difficulty) setDifficulty(settings.difficulty);
+    if (settings.firstPlayer) setFirstPlayer(settings.firstPlayer);
+    setBoard(emptyBoard());
+    setLastComputerMove(null);
+    setConsidering(null);
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-4 p-4 min-h-screen bg-gradient-to-br from-blue-100 via-white to-yellow-100">
+      <div className="w-full max-w-3xl bg-white rounded-2xl shadow-2xl p-8 mt-4 border border-gray-200">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6 gap-2">
+          <h1 className="text-3xl font-extrabold tracking-tight text-blue-900 drop-shadow">
+            Tic Tac Toe: Browser Mode
+          </h1>
+          <Link href="/games/tic-tac-toe" className="text-sm text-blue-600 hover:underline">
+            Play against the robot →
+          </Link>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <label htmlFor="tttDifficulty" className="font-medium">
+            Difficulty:
+          </label>
+          <select
+            id="tttDifficulty"
+            value={difficulty}
+            onChange={(e) => newGame({ difficulty: e.target.value })}
+            className="p-2 border rounded"
+          >
+            {Object.values(DIFFICULTY).map((value) => (
+              <option key={value} value={value}>
+                {DIFFICULTY_LABELS[value]}
+              </option>
+            ))}
+          </select>
+          <label htmlFor="tttFirstPlayer" className="font-medium">
+            First move:
+          </label>
+          <select
+            id="tttFirstPlayer"
+            value={firstPlayer}
+            onChange={(e) => newGame({ firstPlayer: e.target.value })}
+            className="p-2 border rounded"
+          >
+            <option value="X">You (X)</option>
+            <option value="O">Computer (O)</option>
+          </select>
+          <button
+            onClick={() => newGame()}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg shadow hover:bg-green-700"
+          >
+            New Game
+          </button>
+        </div>
+        <small className="block -mt-4 mb-6 text-gray-500">
+          Changing the difficulty or the first move starts a new game.
+        </small>
+
+        <WinnerBanner winner={winner} />
+
+        <div className="mb-6 flex flex-col items-center gap-3">
+          <TicTacToeBoard
+            gameState={{
+              board,
+              last_robot_move: lastComputerMove,
+              ai_considering: considering,
+              paper_detected: true,
+            }}
+            onCellClick={playCell}
+            cellTitle={(index, cell) => (cell ? undefined : "Play X here")}
+            disabled={!!winner || toMove !== "X"}
+          />
+          {!winner && (
+            <div className="text-gray-700 font-medium">
+              {computerTurn ? "Computer is thinking…" : "Your turn (X)"}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
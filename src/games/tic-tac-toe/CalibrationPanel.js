@@ -0,0 +1,214 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { describeCaptureError } from "@/utils/framePipeline";
+import { CORNER_LABELS, DEFAULT_CORNERS, warpImage } from "./calibration";
+
+// Size of the bird's eye preview in px
+const PREVIEW_SIZE = 240;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+// Corners are sent with 4 decimals, well below a pixel
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const squaredDistance = ([x1, y1], [x2, y2]) => (x1 - x2) ** 2 + (y1 - y2) ** 2;
+
+// Four-corner board calibration on a still of the camera frame as sent to the backend
+// (calibration.js). Dragging a corner moves it, clicking elsewhere moves the nearest one
+// there; the preview shows the board warped through the corners, with the cell lines the
+// backend expects.
+export default function CalibrationPanel({ captureFrame, savedCorners, onSave, onClear, onClose }) {
+  const [corners, setCorners] = useState(savedCorners || DEFAULT_CORNERS);
+  const [frame, setFrame] = useState(null);
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const frameCanvasRef = useRef(null);
+  const previewRef = useRef(null);
+  const overlayRef = useRef(null);
+
+  const captureRef = useRef(captureFrame);
+  useEffect(() => {
+    captureRef.current = captureFrame;
+  });
+
+  const grabFrame = useCallback(() => {
+    try {
+      const canvas = captureRef.current();
+      if (!canvas) {
+        setError("No camera frame yet. Start the game and wait for the camera.");
+        return;
+      }
+      setFrame(canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height));
+      setError(null);
+    } catch (e) {
+      setError(describeCaptureError(e));
+    }
+  }, []);
+
+  useEffect(() => {
+    grabFrame();
+  }, [grabFrame]);
+
+  useEffect(() => {
+    const canvas = frameCanvasRef.current;
+    if (!frame || !canvas) return;
+    canvas.width = frame.width;
+    canvas.height = frame.height;
+    canvas.getContext("2d").putImageData(frame, 0, 0);
+  }, [frame]);
+
+  const [warpError, setWarpError] = useState(null);
+  useEffect(() => {
+    const canvas = previewRef.current;
+    if (!frame || !canvas) return;
+    const ctx = canvas.getContext("2d");
+    const preview = ctx.createImageData(PREVIEW_SIZE, PREVIEW_SIZE);
+    try {
+      warpImage(frame, preview, corners);
+      setWarpError(null);
+    } catch (e) {
+      setWarpError(e.message);
+      return;
+    }
+    ctx.putImageData(preview, 0, 0);
+    ctx.strokeStyle = "rgba(34, 197, 94, 0.8)";
+    ctx.lineWidth = 1;
+    [1, 2].forEach((i) => {
+      const at = (i * PREVIEW_SIZE) / 3;
+      ctx.beginPath();
+      ctx.moveTo(at, 0);
+      ctx.lineTo(at, PREVIEW_SIZE);
+      ctx.moveTo(0, at);
+      ctx.lineTo(PREVIEW_SIZE, at);
+      ctx.stroke();
+    });
+  }, [frame, corners]);
+
+  const toRelative = (event) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    return [clamp01((event.clientX - rect.left) / rect.width), clamp01((event.clientY - rect.top) / rect.height)];
+  };
+
+  const moveCorner = (index, point) =>
+    setCorners((prev) => prev.map((corner, i) => (i === index ? point : corner)));
+
+  const handlePointerDown = (event) => {
+    const point = toRelative(event);
+    const handle = event.target.dataset.corner;
+    let index;
+    if (handle !== undefined) {
+      index = Number(handle);
+    } else {
+      index = corners.reduce(
+        (nearest, corner, i) => (squaredDistance(corner, point) < squaredDistance(corners[nearest], point) ? i : nearest),
+        0
+      );
+      moveCorner(index, point);
+    }
+    setDragging(index);
+    overlayRef.current.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragging !== null) moveCorner(dragging, toRelative(event));
+  };
+
+  return (
+    <div className="w-full p-4 rounded-xl border border-green-200 bg-green-50">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h2 className="text-lg font-semibold text-green-900">Board Calibration</h2>
+        <button onClick={onClose} className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm">
+          Close
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Drag the four corners onto the corners of the board, or click near a corner to move it there. The
+        backend then warps every frame through them instead of looking for the paper, and ignores the zoom.
+      </p>
+      {error && <div className="mb-2 text-red-600 text-sm">{error}</div>}
+
+      <div className="flex flex-col md:flex-row gap-6 items-start">
+        <div className="flex flex-col items-center gap-2">
+          <div className="text-sm font-semibold text-blue-800">📷 Camera frame</div>
+          <div className="relative inline-block bg-black rounded-lg overflow-hidden shadow-lg">
+            <canvas ref={frameCanvasRef} className="block max-w-[480px] w-full h-auto" aria-label="Camera frame" />
+            {frame && (
+              <svg
+                ref={overlayRef}
+                viewBox="0 0 1 1"
+                preserveAspectRatio="none"
+                className="absolute inset-0 w-full h-full touch-none cursor-crosshair"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={() => setDragging(null)}
+                onPointerCancel={() => setDragging(null)}
+              >
+                <polygon
+                  points={corners.map(([x, y]) => `${x},${y}`).join(" ")}
+                  fill="rgba(34, 197, 94, 0.15)"
+                  stroke="#22c55e"
+                  strokeWidth={2}
+                  vectorEffect="non-scaling-stroke"
+                />
+                {corners.map(([x, y], i) => (
+                  <g key={i}>
+                    <title>{CORNER_LABELS[i]}</title>
+                    <ellipse
+                      data-corner={i}
+                      cx={x}
+                      cy={y}
+                      rx={0.025}
+                      ry={(0.025 * frame.width) / frame.height}
+                      fill={dragging === i ? "#facc15" : "#22c55e"}
+                      stroke="white"
+                      strokeWidth={2}
+                      vectorEffect="non-scaling-stroke"
+                      className="cursor-move"
+                    />
+                  </g>
+                ))}
+              </svg>
+            )}
+          </div>
+          <div className="text-xs text-gray-500">
+            {CORNER_LABELS.map((label, i) => `${label}: ${corners[i].map((v) => v.toFixed(3)).join(", ")}`).join(" · ")}
+          </div>
+        </div>
+        <div className="flex flex-col items-center gap-2">
+          <div className="text-sm font-semibold text-green-800">🟩 Bird&apos;s eye preview</div>
+          <canvas
+            ref={previewRef}
+            width={PREVIEW_SIZE}
+            height={PREVIEW_SIZE}
+            className="rounded-lg border-2 border-green-200 bg-black shadow-lg"
+            aria-label="Bird's eye preview"
+          />
+          {warpError && <div className="text-red-600 text-sm">{warpError}</div>}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-4">
+        <button onClick={grabFrame} className="px-3 py-1 bg-white border rounded hover:bg-gray-100">
+          Refresh Frame
+        </button>
+        <button
+          onClick={() => setCorners(savedCorners || DEFAULT_CORNERS)}
+          className="px-3 py-1 bg-white border rounded hover:bg-gray-100"
+        >
+          Reset Corners
+        </button>
+        <button
+          onClick={() => onSave(corners.map((corner) => corner.map(round)))}
+          disabled={!frame || !!warpError}
+          className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 shadow disabled:opacity-50"
+        >
+          Save &amp; Send to Backend
+        </button>
+        {savedCorners && (
+          <button onClick={onClear} className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 shadow">
+            Remove Calibration
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
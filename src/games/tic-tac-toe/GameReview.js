@@ -0,0 +1,172 @@
+import React, { useEffect, useRef, useState } from "react";
+import TicTacToeBoard from "./TicTacToeBoard";
+import MoveList from "./MoveList";
+
+const FRAME_VIEWS = [
+  { view: "bird_view", label: "🟩 Bird's eye view" },
+  { view: "processed", label: "🧠 Processed frame" },
+];
+
+const RESULT_LABELS = { X: "you won", O: "robot won", Draw: "draw" };
+
+// Steps through the moves of the recorded games (series.js), showing the board after each
+// move next to the frame the backend sent when the move was seen
+export default function GameReview({ games, onClose }) {
+  const [gameIndex, setGameIndex] = useState(games.length - 1);
+  const game = games[Math.min(gameIndex, games.length - 1)];
+  const moves = game?.moves || [];
+  const [step, setStep] = useState(moves.length - 1);
+  const [view, setView] = useState(FRAME_VIEWS[0].view);
+
+  // The current game's list can shrink when the backend drops a misdetected mark
+  const last = moves.length - 1;
+  const current = Math.max(0, Math.min(step, last));
+  const move = moves[current] || null;
+  const frame = move?.frames[view] || null;
+  // Drawn like the live views (utils/frameTransport.js)
+  const canvasRef = useRef(null);
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!frame || !canvas) return;
+    let cancelled = false;
+    createImageBitmap(frame)
+      .then((bitmap) => {
+        if (!cancelled) {
+          canvas.width = bitmap.width;
+          canvas.height = bitmap.height;
+          canvas.getContext("2d").drawImage(bitmap, 0, 0);
+        }
+        bitmap.close();
+      })
+      .catch((e) => console.warn("[GameReview] Could not decode the frame:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [frame]);
+
+  const selectGame = (index) => {
+    setGameIndex(index);
+    setStep(games[index].moves.length - 1);
+  };
+
+  return (
+    <div className="w-full p-4 rounded-xl border border-blue-200 bg-blue-50">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-lg font-semibold text-blue-900">Game Review</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <label htmlFor="tttReviewGame" className="text-sm font-medium">
+            Game:
+          </label>
+          <select
+            id="tttReviewGame"
+            value={Math.min(gameIndex, games.length - 1)}
+            onChange={(e) => selectGame(Number(e.target.value))}
+            className="p-1 border rounded text-sm"
+          >
+            {games.map((entry, i) => (
+              <option key={i} value={i}>
+                {entry.label}
+                {entry.winner ? ` (${RESULT_LABELS[entry.winner]})` : ""}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={onClose}
+            className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
+          >
+            Close Review
+          </button>
+        </div>
+      </div>
+
+      {!move ? (
+        <div className="text-gray-500">No moves recorded in this game.</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-start">
+          <div className="flex flex-col items-center gap-2">
+            <TicTacToeBoard
+              gameState={{
+                board: move.board,
+                last_robot_move: move.player === "O" ? move.cell : null,
+                paper_detected: true,
+              }}
+            />
+          </div>
+          <div className="flex flex-col items-center gap-2">
+            <div className="flex gap-1">
+              {FRAME_VIEWS.map((option) => (
+                <button
+                  key={option.view}
+                  onClick={() => setView(option.view)}
+                  className={`px-2 py-1 rounded text-xs ${
+                    view === option.view ? "bg-blue-600 text-white" : "bg-white border hover:bg-gray-100"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="w-[320px] h-[240px] rounded-xl overflow-hidden border-2 border-blue-200 bg-black flex items-center justify-center shadow-lg">
+              <canvas
+                ref={canvasRef}
+                aria-label={`Frame at move ${current + 1}`}
+                className={`w-[320px] h-[240px] object-contain ${frame ? "" : "hidden"}`}
+              />
+              {!frame && <span className="text-gray-400">No frame captured</span>}
+            </div>
+            <div className="text-xs text-gray-500">{new Date(move.at).toLocaleTimeString()}</div>
+          </div>
+          <div className="max-h-72 overflow-y-auto">
+            <MoveList moves={moves} selected={current} onSelect={setStep} />
+          </div>
+          <div className="md:col-span-3 flex items-center justify-center gap-2">
+            <button
+              onClick={() => setStep(0)}
+              disabled={current <= 0}
+              className="px-3 py-1 bg-white border rounded hover:bg-gray-100 disabled:opacity-50"
+              aria-label="First move"
+            >
+              ⏮
+            </button>
+            <button
+              onClick={() => setStep(current - 1)}
+              disabled={current <= 0}
+              className="px-3 py-1 bg-white border rounded hover:bg-gray-100 disabled:opacity-50"
+              aria-label="Previous move"
+            >
+              ◀
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={last}
+              value={current}
+              onChange={(e) => setStep(Number(e.target.value))}
+              className="w-48"
+              aria-label="Move"
+            />
+            <button
+              onClick={() => setStep(current + 1)}
+              disabled={current >= last}
+              className="px-3 py-1 bg-white border rounded hover:bg-gray-100 disabled:opacity-50"
+              aria-label="Next move"
+            >
+              ▶
+            </button>
+            <button
+              onClick={() => setStep(last)}
+              disabled={current >= last}
+              className="px-3 py-1 bg-white border rounded hover:bg-gray-100 disabled:opacity-50"
+              aria-label="Last move"
+            >
+              ⏭
+            </button>
+            <span className="text-sm text-gray-600">
+              Move {current + 1} of {moves.length}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React from "react";
+
+const PLAYER_LABELS = { X: "You", O: "Robot" };
+
+// Moves of a game in order; with `onSelect`, moves can be clicked (review mode) and
+// `selected` is highlighted
+export default function MoveList({ moves, selected = null, onSelect }) {
+  if (!moves.length) return <div className="text-sm text-gray-400">No moves yet</div>;
+  return (
+    <ol className="flex flex-col gap-0.5 text-sm">
+      {moves.map((move, i) => {
+        const label = (
+          <>
+            <span className="inline-block w-6 text-gray-400">{i + 1}.</span>
+            <span className={move.player === "X" ? "text-red-600 font-bold" : "text-blue-600 font-bold"}>
+              {move.player}
+            </span>{" "}
+            {PLAYER_LABELS[move.player]}, cell {move.cell + 1}
+          </>
+        );
+        return (
+          <li key={`${i}-${move.cell}`}>
+            {onSelect ? (
+              <button
+                onClick={() => onSelect(i)}
+                className={`w-full text-left px-2 py-0.5 rounded ${
+                  selected === i ? "bg-blue-100" : "hover:bg-gray-100"
+                }`}
+              >
+                {label}
+              </button>
+            ) : (
+              <span className="px-2">{label}</span>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,97 @@
+import React from "react";
+import { findWinningLine } from "./board";
+
+const MARK_COLORS = { X: "text-red-600", O: "text-blue-600" };
+
+// What a click on a cell corrects it to
+export const NEXT_CELL_VALUE = { null: "X", X: "O", O: null };
+
+// Centers of the cells in the 0..3 coordinates of the winning line overlay
+const cellCenter = (index) => [(index % 3) + 0.5, Math.floor(index / 3) + 0.5];
+
+// The board as the vision system sees it, from the backend's game_state. Marks pop in when
+// a detection changes, the robot's last move is ringed, the move the AI is considering
+// pulses until the arm has played it and a finished line is struck through. With
+// `onCellClick`, clicking a cell asks for a correction (see NEXT_CELL_VALUE); corrected cells
+// show a lock until the camera agrees. Pages using clicks for something else pass their own
+// `cellTitle(index, cell)` tooltip.
+const correctionTitle = (index, cell) => `Correct to ${NEXT_CELL_VALUE[cell] || "blank"}`;
+
+export default function TicTacToeBoard({ gameState, onCellClick, cellTitle = correctionTitle, disabled = false }) {
+  const board = gameState?.board || Array(9).fill(null);
+  const lastRobotMove = gameState?.last_robot_move ?? null;
+  const considering = gameState?.ai_considering ?? null;
+  const winningLine = findWinningLine(board);
+  const detected = !!gameState?.paper_detected;
+  const lockedCells = gameState?.locked_cells || [];
+  const Cell = onCellClick ? "button" : "div";
+
+  let line = null;
+  if (winningLine) {
+    const [x1, y1] = cellCenter(winningLine[0]);
+    const [x2, y2] = cellCenter(winningLine[2]);
+    line = { x1, y1, x2, y2 };
+  }
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      <div
+        className={`relative grid grid-cols-3 gap-1 p-1 rounded-xl bg-gray-300 shadow-lg transition-opacity ${
+          detected ? "" : "opacity-50"
+        }`}
+        role="grid"
+        aria-label="Tic Tac Toe board"
+      >
+        {board.map((cell, index) => {
+          const inLine = winningLine?.includes(index);
+          const isConsidering = considering === index;
+          const locked = lockedCells.includes(index);
+          return (
+            <Cell
+              key={index}
+              role="gridcell"
+              aria-label={`Cell ${index + 1}: ${cell || "empty"}${locked ? ", corrected" : ""}`}
+              title={onCellClick ? cellTitle(index, cell) : undefined}
+              onClick={onCellClick ? () => onCellClick(index) : undefined}
+              disabled={onCellClick ? disabled : undefined}
+              className={`relative w-20 h-20 flex items-center justify-center rounded-lg text-5xl font-extrabold select-none transition-colors ${
+                inLine ? "bg-yellow-200" : "bg-white"
+              } ${lastRobotMove === index && !isConsidering ? "ring-4 ring-inset ring-blue-400" : ""} ${
+                onCellClick && !disabled ? "hover:bg-gray-100 cursor-pointer" : ""
+              }`}
+            >
+              {cell && (
+                // Keyed by the mark so a changed detection replays the animation
+                <span key={cell} className={`animate-cell-pop ${MARK_COLORS[cell]}`}>
+                  {cell}
+                </span>
+              )}
+              {isConsidering && (
+                <span className="absolute inset-0 flex items-center justify-center rounded-lg ring-4 ring-inset ring-purple-400 animate-pulse">
+                  {!cell && <span className="text-purple-300">O</span>}
+                </span>
+              )}
+              {locked && (
+                <span className="absolute top-0.5 right-1 text-xs" aria-hidden="true">
+                  🔒
+                </span>
+              )}
+            </Cell>
+          );
+        })}
+        {line && (
+          <svg viewBox="0 0 3 3" className="absolute inset-1 pointer-events-none" aria-hidden="true">
+            <line {...line} stroke="#ca8a04" strokeWidth={0.08} strokeLinecap="round" />
+          </svg>
+        )}
+      </div>
+      <div className="flex flex-wrap justify-center gap-3 text-xs text-gray-600">
+        <span><span className="inline-block w-3 h-3 rounded-sm ring-2 ring-blue-400 mr-1 align-middle" />Robot&apos;s last move</span>
+        <span><span className="inline-block w-3 h-3 rounded-sm ring-2 ring-purple-400 mr-1 align-middle" />AI considering</span>
+        <span><span className="inline-block w-3 h-3 rounded-sm bg-yellow-200 mr-1 align-middle" />Winning line</span>
+        {lockedCells.length > 0 && <span>🔒 Corrected, waiting for the camera to agree</span>}
+      </div>
+      {!detected && <div className="text-sm text-gray-500">Paper not detected</div>}
+    </div>
+  );
+}
@@ -0,0 +1,664 @@
+"use client";
+import { useState, useRef, useEffect } from "react";
+import {
+  initializeVideoSource,
+  watchVideoDevices,
+  hasEndedVideoTrack,
+} from "@/utils/cameraUtils";
+import { useCameraSettings, isSnapshotCamera } from "@/utils/cameraSettings";
+import { CameraSettingsModal } from "@/components/CameraSettings";
+import { useGameSocket, SOCKET_STATUS, SOCKET_STATUS_LABELS } from "@/utils/gameSocket";
+import { useFrameSender, useSnapshotSource, captureStill, IDENTITY_TRANSFORM } from "@/utils/framePipeline";
+import { useFrameViews } from "@/utils/frameTransport";
+import { useSessionRecorder, useReplaySource } from "@/utils/sessionRecording";
+import SessionRecorderPanel from "@/components/SessionRecorderPanel";
+import { useAdaptiveController } from "@/utils/adaptiveStreaming";
+import AdaptiveStreamingPanel from "@/components/AdaptiveStreamingPanel";
+import { usePerfStats } from "@/utils/perfStats";
+import { useGameStats, STATS_OUTCOME } from "@/utils/gameStats";
+import Link from "next/link";
+import TicTacToeBoard, { NEXT_CELL_VALUE } from "./TicTacToeBoard";
+import WinnerBanner from "./WinnerBanner";
+import GameReview from "./GameReview";
+import MoveList from "./MoveList";
+import { SERIES_LENGTHS, scoreSeries, syncMoves } from "./series";
+import CalibrationPanel from "./CalibrationPanel";
+import { getCameraKey, useBoardCalibration } from "./calibration";
+import { bestMoves, isPerfectMove } from "./alphabeta";
+import PerfHud from "@/components/PerfHud";
+
+// The player is X, the robot O
+const WINNER_OUTCOMES = { X: STATS_OUTCOME.WIN, O: STATS_OUTCOME.LOSS, Draw: STATS_OUTCOME.DRAW };
+
+// Replies to operator commands, which leave the frame output as it is
+const COMMAND_REPLY_TYPES = ["board_corrected", "calibration"];
+
+// Operator corrections listed under the board
+const MAX_CORRECTIONS_SHOWN = 50;
+
+// "X", "O", "Draw" once the board is complete, otherwise null
+const winnerOf = (gameState) => {
+  if (gameState && gameState.winner) return gameState.winner;
+  if (gameState && gameState.board_status === "complete") return "Draw";
+  return null;
+};
+
+// Checks the robot's move against the browser engine, on the board before the move (the arm
+// may not have drawn it yet)
+const checkRobotMove = (board, move) => {
+  const before = board.map((cell, index) => (index === move ? null : cell));
+  return { move, perfect: isPerfectMove(before, "O", move), best: bestMoves(before, "O") };
+};
+
+// Frames are sent at 320x240, the size the board detector was tuned for
+const TTT_CAMERA_DEFAULTS = { sendFps: 10, jpegQuality: 0.7, outputWidth: 320, outputHeight: 240 };
+
+export default function TicTacToePage() {
+  const gameId = "tic-tac-toe";
+  const videoRef = useRef(null);
+  const ipCamImgRef = useRef(null);
+
+  const [cameraError, setCameraError] = useState(null);
+  const [output, setOutput] = useState(null);
+  // Processed and bird's eye views, drawn straight into their canvases
+  const frameViews = useFrameViews();
+  const [showSettings, setShowSettings] = useState(false);
+  const { settings: cameraSettings, applySettings: applyCameraSettings } =
+    useCameraSettings(gameId, TTT_CAMERA_DEFAULTS);
+
+  // Tic Tac Toe arguments
+  const [tttArgs, setTttArgs] = useState({
+    model: "games/tic-tac-toe/data/model.h5",
+    zoom: 0.5, // Changed from 1.0 to 0.5 for a wider view
+    check_interval: 10.0,
+  });
+  const [tttStarted, setTttStarted] = useState(false);
+
+  // Board corners saved for the camera in use, sent to the backend on every connect
+  const calibration = useBoardCalibration(getCameraKey(cameraSettings));
+  const [calibrating, setCalibrating] = useState(false);
+  // Corners the backend confirmed, null while it detects the paper itself
+  const [backendCorners, setBackendCorners] = useState(null);
+
+  // A loaded recording replaces the camera until it is cleared
+  const [replaySession, setReplaySession] = useState(null);
+  const [replayLoop, setReplayLoop] = useState(false);
+  const replaying = !!replaySession;
+  const replay = useReplaySource(replaySession, {
+    enabled: tttStarted && replaying,
+    loop: replayLoop,
+  });
+  const recorder = useSessionRecorder(gameId);
+
+  // Loading indicators
+  const [isCameraLoading, setIsCameraLoading] = useState(false);
+  const [isBackendLoading, setIsBackendLoading] = useState(false);
+
+  // Winner/result state
+  const [winner, setWinner] = useState(null);
+
+  // Cells the operator corrected on the board, newest first
+  const [corrections, setCorrections] = useState([]);
+
+  // The browser engine's verdict on the robot's last move
+  const [engineCheck, setEngineCheck] = useState(null);
+
+  // Match series: the finished games, each with its moves, and the moves on the board now
+  const [bestOf, setBestOf] = useState(3);
+  const [seriesGames, setSeriesGames] = useState([]);
+  const [moves, setMoves] = useState([]);
+  const [reviewing, setReviewing] = useState(false);
+  // Latest frame of each view; a move keeps the ones of the update that showed it
+  const latestFramesRef = useRef({});
+
+  const updateMoves = (board, views) => {
+    const frames = Object.fromEntries(views.map((view) => [view, latestFramesRef.current[view]]));
+    setMoves((prev) => syncMoves(prev, board, frames));
+  };
+
+  // `frames` lists the views that came with this message, see useGameSocket
+  const handleMessage = (data, frames) => {
+    setIsBackendLoading(false);
+    // Only frame replies carry the processing time, command replies are not acks
+    if (data.processing_ms !== undefined) ackFrame(data.processing_ms);
+    setOutput(data);
+    if (!frames.includes("bird_view"))
+      frameViews.clearFrame("bird_view"); // Clear if no bird view available
+
+    setWinner(winnerOf(data.game_state));
+    if (data.game_state?.board) updateMoves(data.game_state.board, frames);
+    const move = data.game_state?.last_robot_move ?? null;
+    setEngineCheck((prev) =>
+      move === null ? null : prev?.move === move ? prev : checkRobotMove(data.game_state.board, move)
+    );
+  };
+
+  // The corrected board replaces the game state until the next frame reply
+  const handleBoardCorrected = ({ correction, game_state }) => {
+    setOutput((prev) => ({ ...prev, game_state }));
+    setWinner(winnerOf(game_state));
+    updateMoves(game_state.board, []);
+    setCorrections((prev) => [correction, ...prev].slice(0, MAX_CORRECTIONS_SHOWN));
+  };
+
+  const perf = usePerfStats();
+  const { status: socketStatus, send, isOpen, getBufferedAmount, reconnectAttempt } = useGameSocket(gameId, {
+    enabled: tttStarted,
+    stats: perf.stats,
+    // Send config as first message (re-sent after every reconnect)
+    initialConfig: tttArgs,
+    // A frame may have been in flight when the connection dropped
+    onOpen: () => {
+      resetFrames();
+      setBackendCorners(null);
+      if (calibration.corners) send({ action: "calibrate", corners: calibration.corners });
+    },
+    onFrame: (view, blob) => {
+      latestFramesRef.current[view] = blob;
+      frameViews.showFrame(view, blob);
+    },
+    handlers: {
+      board_corrected: (payload) => handleBoardCorrected(payload),
+      calibration: (payload) => setBackendCorners(payload.corners),
+      "*": (payload, message) => {
+        recorder.recordMessage(message);
+        if (!COMMAND_REPLY_TYPES.includes(message.type)) handleMessage(message.data, message.frames);
+      },
+    },
+  });
+  // Snapshot IP cameras are polled instead of streamed
+  const snapshotMode = isSnapshotCamera(cameraSettings);
+  const snapshot = useSnapshotSource(cameraSettings.ipCameraAddress, {
+    enabled: tttStarted && snapshotMode && !replaying,
+    fps: cameraSettings.snapshotFps,
+  });
+
+  const status =
+    cameraError ||
+    snapshot.error ||
+    (!tttStarted
+      ? "Disconnected"
+      : reconnectAttempt > 0
+      ? `Reconnecting (attempt ${reconnectAttempt})...`
+      : SOCKET_STATUS_LABELS[socketStatus]);
+
+  // Lowers the frame rate, size and quality below the camera settings when replies lag
+  const adaptive = useAdaptiveController(gameId);
+  const sendSettings = {
+    fps: cameraSettings.sendFps,
+    quality: cameraSettings.jpegQuality,
+    width: replaying ? null : cameraSettings.outputWidth,
+    height: replaying ? null : cameraSettings.outputHeight,
+  };
+
+  // One frame at a time: the next frame is sent once the backend answered the last one.
+  // Recorded frames were already transformed and resized when they were captured.
+  const getSource = () =>
+    replaying
+      ? replay.getSource()
+      : snapshotMode
+      ? snapshot.getSource()
+      : cameraSettings.useIpCamera
+      ? ipCamImgRef.current
+      : videoRef.current;
+  const getTransform = () => (replaying ? IDENTITY_TRANSFORM : cameraSettings);
+  const { ack: ackFrame, reset: resetFrames } = useFrameSender({
+    enabled: tttStarted,
+    getSource,
+    send,
+    canSend: isOpen,
+    ...sendSettings,
+    getTransform,
+    maxInFlight: 1,
+    adaptive: adaptive.controller,
+    getBufferedAmount,
+    stats: perf.stats,
+    onFrameSent: (blob) => {
+      setIsBackendLoading(true);
+      recorder.recordFrame(blob);
+    },
+    onError: setCameraError,
+  });
+
+  const { useIpCamera, deviceId, width, height, frameRate } = cameraSettings;
+  useEffect(() => {
+    if (!tttStarted || replaying) return;
+
+    const initCamera = async () => {
+      setIsCameraLoading(true);
+      if (useIpCamera) {
+        if (videoRef.current && videoRef.current.srcObject) {
+          videoRef.current.srcObject.getTracks().forEach((t) => t.stop());
+          videoRef.current.srcObject = null;
+        }
+        setTimeout(() => setIsCameraLoading(false), 1000);
+      } else {
+        try {
+          await initializeVideoSource(videoRef.current, { deviceId, width, height, frameRate });
+          setCameraError(null);
+        } catch (e) {
+          setCameraError(e.message);
+        }
+        setIsCameraLoading(false);
+      }
+    };
+
+    initCamera();
+
+    // Pick the camera up again when it was unplugged and another one (or the same) appears
+    const stopWatching = watchVideoDevices(() => {
+      if (!useIpCamera && hasEndedVideoTrack(videoRef.current)) {
+        initCamera();
+      }
+    });
+
+    const videoEl = videoRef.current;
+    return () => {
+      stopWatching();
+      if (videoEl && videoEl.srcObject) {
+        videoEl.srcObject.getTracks().forEach((t) => t.stop());
+      }
+    };
+  }, [tttStarted, replaying, useIpCamera, deviceId, width, height, frameRate]);
+
+  // One stats session per game on the board: it ends with a result and the next one starts
+  // once the board is seen empty again
+  const gameStats = useGameStats(gameId);
+  const board = output?.game_state?.board;
+  const boardEmpty = !output || (!!board && board.every((cell) => !cell));
+  useEffect(() => {
+    if (board) gameStats.update({ moves: board.filter(Boolean).length });
+  }, [gameStats, board]);
+  useEffect(() => {
+    if (!tttStarted) gameStats.finish(STATS_OUTCOME.STOPPED);
+    else if (winner) gameStats.finish(WINNER_OUTCOMES[winner] || STATS_OUTCOME.COMPLETED, { winner });
+    else if (boardEmpty) gameStats.start();
+  }, [gameStats, tttStarted, winner, boardEmpty]);
+
+  // Each game on the board counts once in the series, when it is won or drawn; the next one
+  // starts when the board is seen empty again. Games after the series is decided don't count.
+  const seriesScore = scoreSeries(seriesGames, bestOf);
+  const gameOpenRef = useRef(true);
+  useEffect(() => {
+    if (boardEmpty) gameOpenRef.current = true;
+    else if (winner && gameOpenRef.current) {
+      gameOpenRef.current = false;
+      if (!seriesScore.winner) setSeriesGames((prev) => [...prev, { winner, moves }]);
+    }
+  }, [boardEmpty, winner, moves, seriesScore.winner]);
+  const reviewGames = [
+    ...seriesGames.map((game, i) => ({ ...game, label: `Game ${i + 1}` })),
+    ...(!winner && moves.length ? [{ winner: null, moves, label: "Current game" }] : []),
+  ];
+
+  // Saved, cleared or switched with the camera: the backend follows while connected
+  useEffect(() => {
+    if (isOpen()) send({ action: "calibrate", corners: calibration.corners });
+  }, [calibration.corners, isOpen, send]);
+
+  const correctCell = (index) => {
+    const board = output?.game_state?.board;
+    if (!board) return;
+    send({ action: "correct_board", cell: index, value: NEXT_CELL_VALUE[board[index]] });
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-4 p-4 min-h-screen bg-gradient-to-br from-blue-100 via-white to-yellow-100">
+      <CameraSettingsModal
+        open={showSettings}
+        onClose={() => setShowSettings(false)}
+        value={cameraSettings}
+        onApply={applyCameraSettings}
+        idPrefix="tttCamera"
+      />
+      <div className="w-full max-w-5xl bg-white rounded-2xl shadow-2xl p-8 mt-4 border border-gray-200">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+          <div className="flex items-center gap-3">
+            <h1 className="text-3xl font-extrabold tracking-tight text-blue-900 drop-shadow">
+              Tic Tac Toe
+            </h1>
+            <Link href="/games/tic-tac-toe-browser" className="text-sm text-blue-600 hover:underline">
+              Play without the camera →
+            </Link>
+          </div>
+          <div className="flex items-center gap-4">
+            <span
+              className={`px-2 py-1 rounded font-semibold text-xs shadow ${
+                status === "Connected"
+                  ? "bg-green-100 text-green-700 border border-green-300"
+                  : status === "Disconnected"
+                  ? "bg-red-100 text-red-700 border border-red-300"
+                  : "bg-yellow-100 text-yellow-700 border border-yellow-300"
+              }`}
+            >
+              {status}
+            </span>
+            <button
+              onClick={() => setShowSettings(true)}
+              className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 shadow transition"
+            >
+              Camera Settings
+            </button>
+            <button
+              onClick={() => setCalibrating(true)}
+              disabled={!tttStarted || calibrating}
+              className="px-3 py-1 bg-green-700 text-white rounded hover:bg-green-800 shadow transition disabled:opacity-50"
+            >
+              Calibrate Board
+            </button>
+            {!tttStarted ? (
+              <button
+                onClick={() => setTttStarted(true)}
+                className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 shadow transition"
+              >
+                Start Game
+              </button>
+            ) : (
+              <button
+                onClick={() => {
+                  setTttStarted(false);
+                  setCameraError(null);
+                  setOutput(null);
+                  frameViews.clearAll();
+                  setWinner(null);
+                  setCorrections([]);
+                  setEngineCheck(null);
+                  setMoves([]);
+                  latestFramesRef.current = {};
+                }}
+                className="px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 shadow transition"
+              >
+                Stop Game
+              </button>
+            )}
+          </div>
+        </div>
+        {cameraSettings.useIpCamera && (
+          <div className="mb-2 text-red-600 text-sm">
+            Note: IP cameras must serve MJPEG or JPEG snapshots and allow
+            CORS. If you see a blank image, check your camera's settings.
+          </div>
+        )}
+        {!window.isSecureContext && (
+          <div className="mb-2 text-red-600 text-sm">
+            Warning: Device camera access requires HTTPS in most browsers.
+          </div>
+        )}
+
+        {calibrating && (
+          <div className="mb-6">
+            <CalibrationPanel
+              captureFrame={() => captureStill(getSource(), getTransform(), sendSettings.width, sendSettings.height)}
+              savedCorners={calibration.corners}
+              onSave={calibration.save}
+              onClear={calibration.clear}
+              onClose={() => setCalibrating(false)}
+            />
+          </div>
+        )}
+        <div className="mb-4 text-sm text-gray-600">
+          Board detection:{" "}
+          {calibration.corners
+            ? `calibrated corners for this camera${
+                !tttStarted ? "" : backendCorners ? " (applied by the backend ✓)" : " (waiting for the backend)"
+              }`
+            : "automatic paper detection"}
+        </div>
+
+        <SessionRecorderPanel
+          gameId={gameId}
+          recorder={recorder}
+          getMeta={() => ({ cameraSettings, gameConfig: tttArgs })}
+          replay={{ session: replaySession, loop: replayLoop, ...replay }}
+          onReplayChange={setReplaySession}
+          onLoopChange={setReplayLoop}
+          idPrefix="tttSession"
+        />
+
+        <AdaptiveStreamingPanel adaptive={adaptive} configured={sendSettings} idPrefix="tttAdaptive" />
+
+        <div className="mb-6 flex flex-wrap items-center justify-center gap-4 p-3 rounded-xl bg-gray-50 border border-gray-200">
+          <label htmlFor="tttBestOf" className="font-medium">
+            Best of:
+          </label>
+          <select
+            id="tttBestOf"
+            value={bestOf}
+            onChange={(e) => setBestOf(Number(e.target.value))}
+            className="p-1 border rounded"
+          >
+            {SERIES_LENGTHS.map((length) => (
+              <option key={length} value={length}>
+                {length}
+              </option>
+            ))}
+          </select>
+          <div className="text-xl font-bold">
+            <span className="text-red-700">You {seriesScore.X}</span>
+            <span className="text-gray-400"> – </span>
+            <span className="text-blue-700">{seriesScore.O} Robot</span>
+          </div>
+          <span className="text-sm text-gray-600">
+            {seriesScore.draws} draw{seriesScore.draws === 1 ? "" : "s"} · first to {seriesScore.needed}
+          </span>
+          <button
+            onClick={() => setSeriesGames([])}
+            disabled={!seriesGames.length}
+            className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 shadow transition disabled:opacity-50"
+          >
+            New Series
+          </button>
+          <button
+            onClick={() => setReviewing(true)}
+            disabled={reviewing || !reviewGames.length}
+            className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 shadow transition disabled:opacity-50"
+          >
+            Review Games
+          </button>
+        </div>
+        {seriesScore.winner && (
+          <div className="mb-6 text-center text-2xl font-bold text-purple-700">
+            🏆 {seriesScore.winner === "X" ? "You win the series!" : "The robot wins the series!"}
+          </div>
+        )}
+
+        {reviewing && (
+          <div className="mb-6">
+            <GameReview games={reviewGames} onClose={() => setReviewing(false)} />
+          </div>
+        )}
+
+        {/* Winner/Result Banner */}
+        <WinnerBanner winner={winner} />
+
+        <div className="mb-6 flex flex-col items-center gap-3">
+          <TicTacToeBoard
+            gameState={output?.game_state}
+            onCellClick={correctCell}
+            disabled={socketStatus !== SOCKET_STATUS.OPEN || !output?.game_state}
+          />
+          <small className="text-gray-500">
+            Click a cell to correct a misdetection: blank → X → O → blank.
+          </small>
+          <div className="w-full max-w-md">
+            <div className="text-sm font-semibold text-gray-700 mb-1">Moves</div>
+            <MoveList moves={moves} />
+          </div>
+          {engineCheck && (
+            <div className={`text-sm ${engineCheck.perfect ? "text-green-700" : "text-red-700"}`}>
+              Robot played cell {engineCheck.move + 1}:{" "}
+              {engineCheck.perfect
+                ? "as good as the browser engine ✓"
+                : `the browser engine would play cell ${engineCheck.best.map((cell) => cell + 1).join(" or ")} ✗`}
+            </div>
+          )}
+          {corrections.length > 0 && (
+            <details className="w-full max-w-md text-sm">
+              <summary className="cursor-pointer text-gray-700">
+                Corrections ({corrections.length}), logged on the backend for retraining
+              </summary>
+              <ul className="mt-1 font-mono text-xs text-gray-600">
+                {corrections.map((correction, i) => (
+                  <li key={`${correction.time}-${i}`}>
+                    {correction.time} cell {correction.cell + 1}: {correction.previous || "blank"} →{" "}
+                    {correction.value || "blank"}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+
+        <div className="w-full max-w-lg bg-gray-50 rounded-xl shadow p-4 mb-8">
+          <h2 className="text-lg font-semibold mb-2">Game Arguments</h2>
+          <div className="mb-2">
+            <label className="block mb-1">Model Path:</label>
+            <input
+              type="text"
+              value={tttArgs.model}
+              onChange={e => setTttArgs(a => ({ ...a, model: e.target.value }))}
+              className="w-full p-2 border rounded"
+            />
+          </div>
+          <div className="mb-2">
+            <label className="block mb-1">Zoom:</label>
+            <input
+              type="number"
+              step="0.1"
+              min="0.2" // Changed from 1 to 0.2 to allow smaller values
+              value={tttArgs.zoom}
+              onChange={e => setTttArgs(a => ({ ...a, zoom: parseFloat(e.target.value) }))}
+              className="w-full p-2 border rounded"
+            />
+            <small className="text-gray-500">
+              Lower values (0.2-0.5) show more of the paper, higher values zoom in. Ignored while the
+              board is calibrated.
+            </small>
+          </div>
+          <div className="mb-2">
+            <label className="block mb-1">Check Interval (seconds):</label>
+            <input
+              type="number"
+              step="0.1"
+              min="0.1"
+              value={tttArgs.check_interval}
+              onChange={e => setTttArgs(a => ({ ...a, check_interval: parseFloat(e.target.value) }))}
+              className="w-full p-2 border rounded"
+            />
+          </div>
+        </div>
+
+        <h2 className="text-xl font-semibold mb-4">
+          Playing: Tic Tac Toe
+        </h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+          <div className="flex flex-col items-center">
+            <div className="mb-2 text-center font-semibold text-blue-800">
+              📷 Raw Camera
+            </div>
+            <div className="relative w-[320px] h-[240px] rounded-xl overflow-hidden border-2 border-blue-200 bg-black flex items-center justify-center shadow-lg">
+              {replaying ? (
+                replay.frameUrl ? (
+                  <img
+                    src={replay.frameUrl}
+                    alt="Replayed frame"
+                    width={320}
+                    height={240}
+                    className="object-contain"
+                  />
+                ) : (
+                  <span className="text-gray-400">
+                    {tttStarted ? "Loading recording..." : "Start the game to replay"}
+                  </span>
+                )
+              ) : cameraSettings.useIpCamera ? (
+                <img
+                  ref={ipCamImgRef}
+                  src={
+                    snapshotMode
+                      ? snapshot.frameUrl || undefined
+                      : cameraSettings.ipCameraAddress
+                  }
+                  alt="IP Camera"
+                  width={320}
+                  height={240}
+                  className="object-contain"
+                  crossOrigin="anonymous"
+                  onLoad={() => setIsCameraLoading(false)}
+                  onError={() => setCameraError("IP Camera Error")}
+                />
+              ) : (
+                <video
+                  ref={videoRef}
+                  autoPlay
+                  playsInline
+                  width={320}
+                  height={240}
+                  className="object-contain"
+                  style={{ background: "#222" }}
+                />
+              )}
+              {isCameraLoading && (
+                <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-60 text-white text-lg">
+                  Loading...
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="flex flex-col items-center">
+            <div className="mb-2 text-center font-semibold text-green-800">
+              🟩 Bird's Eye View
+            </div>
+            <div className="relative w-[320px] h-[240px] rounded-xl overflow-hidden border-2 border-green-200 bg-black flex items-center justify-center shadow-lg">
+              <canvas
+                ref={frameViews.canvasRef("bird_view")}
+                aria-label="Bird's Eye View"
+                className={`w-[320px] h-[240px] object-contain ${frameViews.hasFrame.bird_view ? "" : "hidden"}`}
+              />
+              {!frameViews.hasFrame.bird_view && (
+                <span className="text-gray-400">No paper detected</span>
+              )}
+              {isBackendLoading && (
+                <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-60 text-white text-lg">
+                  Processing...
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="flex flex-col items-center">
+            <div className="mb-2 text-center font-semibold text-purple-800">
+              🧠 Processed Frame
+            </div>
+            <div className="relative w-[320px] h-[240px] rounded-xl overflow-hidden border-2 border-purple-200 bg-black flex items-center justify-center shadow-lg">
+              <canvas
+                ref={frameViews.canvasRef("processed")}
+                aria-label="Processed Frame"
+                className={`w-[320px] h-[240px] object-contain ${frameViews.hasFrame.processed ? "" : "hidden"}`}
+              />
+              {!frameViews.hasFrame.processed && (
+                <span className="text-gray-400">No frame</span>
+              )}
+              {isBackendLoading && (
+                <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-60 text-white text-lg">
+                  Processing...
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+        <div className="mt-8 p-4 bg-gray-50 rounded-lg border border-gray-200 shadow-inner">
+          <h3 className="text-lg font-semibold mb-2 text-gray-700 flex items-center gap-2">
+            <span>Game Data</span>
+            <span className="text-xs bg-gray-200 px-2 py-0.5 rounded text-gray-600">
+              Debug
+            </span>
+          </h3>
+          <pre className="text-sm overflow-x-auto whitespace-pre-wrap break-words max-h-56">
+            {output ? JSON.stringify(output, null, 2) : "No data"}
+          </pre>
+        </div>
+      </div>
+      <PerfHud perf={perf} getBufferedAmount={getBufferedAmount} />
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from "react";
+
+// Result of a finished game: "X" (the player), "O" (the computer) or "Draw"
+export default function WinnerBanner({ winner }) {
+  if (!winner) return null;
+  return (
+    <div className="mb-6 flex flex-col items-center">
+      <div className="text-4xl mb-2 animate-bounce">
+        {winner === "Draw"
+          ? "🤝"
+          : winner === "X"
+          ? "❌"
+          : winner === "O"
+          ? "⭕"
+          : "🏁"}
+      </div>
+      <div
+        className={`text-2xl font-bold ${
+          winner === "Draw"
+            ? "text-gray-700"
+            : winner === "X"
+            ? "text-red-700"
+            : winner === "O"
+            ? "text-blue-700"
+            : "text-purple-700"
+        }`}
+      >
+        {winner === "Draw"
+          ? "It's a Draw!"
+          : winner === "X"
+          ? "You Win! (X)"
+          : winner === "O"
+          ? "Computer Wins! (O)"
+          : `Winner: ${winner}`}
+      </div>
+    </div>
+  );
+}
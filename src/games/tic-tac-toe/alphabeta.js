@@ -0,0 +1,107 @@
+// games/tic-tac-toe/alphabeta.js
+// Browser port of backend/games/tic-tac-toe/alphabeta.py, for the camera-free mode and to
+// check the backend's moves. Moves are scored for the player making them: positive is a
+// forced win, 0 a draw and negative a forced loss, larger the sooner the win (or the later
+// the loss) so lost positions still block and won ones finish.
+import { availableMoves, findWinner, opponent } from "./board";
+
+export const DIFFICULTY = {
+    RANDOM: "random",
+    DEPTH_LIMITED: "depth-limited",
+    PERFECT: "perfect",
+};
+
+export const DIFFICULTY_LABELS = {
+    [DIFFICULTY.RANDOM]: "Easy (random moves)",
+    [DIFFICULTY.DEPTH_LIMITED]: "Medium (looks 2 moves ahead)",
+    [DIFFICULTY.PERFECT]: "Perfect (never loses)",
+};
+
+// Plies the medium engine searches: its own move and the reply, so it takes wins and
+// blocks immediate threats but walks into forks
+const LIMITED_DEPTH = 2;
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+// Bounds the scores, which are at most 9 plies from the end of the game
+const WIN = 10;
+
+// Value of `board` for `me` with `toMove` to play after `ply` plies of search; positions
+// cut off by `depth` count as draws
+function alphabeta(board, toMove, me, depth, ply, alpha, beta) {
+    const winner = findWinner(board);
+    if (winner) return winner === me ? WIN - ply : ply - WIN;
+    const moves = availableMoves(board);
+    if (!moves.length || depth === 0) return 0;
+
+    const maximizing = toMove === me;
+    for (const move of moves) {
+        board[move] = toMove;
+        const value = alphabeta(board, opponent(toMove), me, depth - 1, ply + 1, alpha, beta);
+        board[move] = null;
+        if (maximizing) alpha = Math.max(alpha, value);
+        else beta = Math.min(beta, value);
+        if (alpha >= beta) break;
+    }
+    return maximizing ? alpha : beta;
+}
+
+/**
+ * Scores every empty cell for `player`
+ * @param {Array<"X"|"O"|null>} board
+ * @param {"X"|"O"} player - Whose move it is
+ * @param {number} [depth=Infinity] - Plies to search, counting this move
+ * @returns {Array<{move: number, score: number}>}
+ */
+export function scoreMoves(board, player, depth = Infinity) {
+    const work = [...board];
+    return availableMoves(work).map((move) => {
+        work[move] = player;
+        const score = alphabeta(work, opponent(player), player, depth - 1, 1, -WIN, WIN);
+        work[move] = null;
+        return { move, score };
+    });
+}
+
+/**
+ * The highest scoring moves
+ * @param {Array<"X"|"O"|null>} board
+ * @param {"X"|"O"} player
+ * @param {number} [depth=Infinity]
+ * @returns {number[]}
+ */
+export function bestMoves(board, player, depth = Infinity) {
+    const scores = scoreMoves(board, player, depth);
+    const best = Math.max(...scores.map(({ score }) => score));
+    return scores.filter(({ score }) => score === best).map(({ move }) => move);
+}
+
+/**
+ * Whether `move` keeps the best result `player` can force. determine() in alphabeta.py
+ * only scores win, draw or loss, so a slower win or an earlier loss still counts.
+ * @param {Array<"X"|"O"|null>} board - Before the move
+ * @param {"X"|"O"} player
+ * @param {number} move
+ * @returns {boolean}
+ */
+export function isPerfectMove(board, player, move) {
+    const scores = scoreMoves(board, player);
+    const best = Math.max(...scores.map(({ score }) => score));
+    const played = scores.find((entry) => entry.move === move);
+    return !!played && Math.sign(played.score) === Math.sign(best);
+}
+
+/**
+ * @param {Array<"X"|"O"|null>} board - Not complete
+ * @param {"X"|"O"} player
+ * @param {string} difficulty - One of DIFFICULTY
+ * @returns {number}
+ */
+export function chooseMove(board, player, difficulty) {
+    const moves = availableMoves(board);
+    if (difficulty === DIFFICULTY.RANDOM) return pick(moves);
+    // The backend always opens in the center
+    if (difficulty === DIFFICULTY.PERFECT && moves.length === 9) return 4;
+    const depth = difficulty === DIFFICULTY.DEPTH_LIMITED ? LIMITED_DEPTH : Infinity;
+    return pick(bestMoves(board, player, depth));
+}
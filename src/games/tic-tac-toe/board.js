@@ -0,0 +1,41 @@
+// games/tic-tac-toe/board.js
+// Tic-tac-toe rules on the backend's board: 9 cells, row by row, each "X", "O" or null.
+// The player draws X, the robot O.
+
+export const WINNING_LINES = [
+    [0, 1, 2], [3, 4, 5], [6, 7, 8],
+    [0, 3, 6], [1, 4, 7], [2, 5, 8],
+    [0, 4, 8], [2, 4, 6],
+];
+
+/**
+ * @param {Array<"X"|"O"|null>} board
+ * @returns {number[]|null} - The three cells of the first completed line
+ */
+export function findWinningLine(board) {
+    return WINNING_LINES.find(([a, b, c]) => board[a] && board[a] === board[b] && board[a] === board[c]) || null;
+}
+
+/**
+ * @param {Array<"X"|"O"|null>} board
+ * @returns {"X"|"O"|null}
+ */
+export function findWinner(board) {
+    const line = findWinningLine(board);
+    return line ? board[line[0]] : null;
+}
+
+/**
+ * @param {Array<"X"|"O"|null>} board
+ * @returns {number[]} - The empty cells
+ */
+export function availableMoves(board) {
+    return board.flatMap((cell, index) => (cell ? [] : [index]));
+}
+
+/** A win or a full board */
+export function isComplete(board) {
+    return !!findWinner(board) || !board.includes(null);
+}
+
+export const opponent = (player) => (player === "X" ? "O" : "X");
@@ -0,0 +1,153 @@
+// games/tic-tac-toe/calibration.js
+// Board calibration: the operator places the four board corners on a frame and the backend
+// warps the frames through them instead of looking for the paper. Corners are [x, y] pairs
+// relative to the frame sent to the backend (0..1), ordered top-left, top-right,
+// bottom-right, bottom-left like imutils.order_points, and saved per camera.
+import { useCallback } from "react";
+import { useClientValue } from "@/utils/clientState";
+
+const STORAGE_PREFIX = "tttCalibration:";
+
+export const CALIBRATION_VERSION = 1;
+
+export const CORNER_LABELS = ["Top left", "Top right", "Bottom right", "Bottom left"];
+
+// Starting point for a camera without a calibration
+export const DEFAULT_CORNERS = [[0.25, 0.2], [0.75, 0.2], [0.75, 0.8], [0.25, 0.8]];
+
+/**
+ * Identifies the camera the frames come from: the IP camera address or the local device
+ * @param {Object} settings - Camera settings (utils/cameraSettings.js)
+ * @returns {string}
+ */
+export function getCameraKey(settings) {
+    return settings.useIpCamera ? `ip:${settings.ipCameraAddress}` : `device:${settings.deviceId || "default"}`;
+}
+
+/**
+ * @param {*} corners
+ * @returns {boolean} - Whether `corners` are four [x, y] pairs between 0 and 1
+ */
+export function isValidCorners(corners) {
+    return Array.isArray(corners) && corners.length === 4 && corners.every((point) =>
+        Array.isArray(point) && point.length === 2
+        && point.every((value) => Number.isFinite(value) && value >= 0 && value <= 1)
+    );
+}
+
+/**
+ * @param {string} cameraKey - See getCameraKey
+ * @returns {number[][]|null}
+ */
+export function loadCalibration(cameraKey) {
+    if (typeof window === "undefined") return null;
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + cameraKey) || "null");
+        return stored && isValidCorners(stored.corners) ? stored.corners : null;
+    } catch (e) {
+        console.warn(`Ignoring unreadable board calibration for ${cameraKey}:`, e);
+        return null;
+    }
+}
+
+/**
+ * @param {string} cameraKey
+ * @param {number[][]|null} corners - Null removes the calibration
+ */
+export function saveCalibration(cameraKey, corners) {
+    if (!corners) {
+        localStorage.removeItem(STORAGE_PREFIX + cameraKey);
+        return;
+    }
+    localStorage.setItem(STORAGE_PREFIX + cameraKey, JSON.stringify({
+        version: CALIBRATION_VERSION,
+        corners,
+        savedAt: new Date().toISOString(),
+    }));
+}
+
+/**
+ * Homography mapping four points onto four others, as cv2.getPerspectiveTransform
+ * @param {number[][]} from - Four [x, y] points
+ * @param {number[][]} to - Four [x, y] points
+ * @returns {number[]} - Row-major 3x3 matrix, last element 1
+ */
+export function computeHomography(from, to) {
+    // Eight equations in the eight unknowns h0..h7, solved by Gaussian elimination
+    const rows = [];
+    from.forEach(([x, y], i) => {
+        const [u, v] = to[i];
+        rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+        rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    });
+    for (let col = 0; col < 8; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < 8; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        if (Math.abs(rows[pivot][col]) < 1e-12) throw new Error("The corners must not be collinear");
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        for (let row = 0; row < 8; row++) {
+            if (row === col) continue;
+            const factor = rows[row][col] / rows[col][col];
+            for (let k = col; k < 9; k++) rows[row][k] -= factor * rows[col][k];
+        }
+    }
+    return [...rows.map((row, i) => row[8] / row[i]), 1];
+}
+
+const applyHomography = (h, x, y) => {
+    const w = h[6] * x + h[7] * y + h[8];
+    return [(h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w];
+};
+
+/**
+ * Fills `target` with the quadrilateral of `source` inside `corners`, like
+ * cv2.warpPerspective with nearest-neighbour sampling
+ * @param {ImageData} source
+ * @param {ImageData} target - Bird's eye view
+ * @param {number[][]} corners - Relative to the source, see the module comment
+ */
+export function warpImage(source, target, corners) {
+    const { width, height } = target;
+    const sourceCorners = corners.map(([x, y]) => [x * source.width, y * source.height]);
+    const targetCorners = [[0, 0], [width, 0], [width, height], [0, height]];
+    // Maps target pixels back into the source
+    const h = computeHomography(targetCorners, sourceCorners);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sx, sy] = applyHomography(h, x + 0.5, y + 0.5);
+            const si = Math.floor(sx);
+            const sj = Math.floor(sy);
+            const t = (y * width + x) * 4;
+            if (si < 0 || sj < 0 || si >= source.width || sj >= source.height) {
+                target.data.fill(0, t, t + 3);
+            } else {
+                const s = (sj * source.width + si) * 4;
+                target.data[t] = source.data[s];
+                target.data[t + 1] = source.data[s + 1];
+                target.data[t + 2] = source.data[s + 2];
+            }
+            target.data[t + 3] = 255;
+        }
+    }
+}
+
+/**
+ * React hook holding the board calibration of a camera; loaded on the client and saved
+ * whenever it changes
+ * @param {string} cameraKey - See getCameraKey
+ * @returns {{corners: number[][]|null, save: Function, clear: Function}}
+ */
+export function useBoardCalibration(cameraKey) {
+    const [corners, setCorners] = useClientValue(() => loadCalibration(cameraKey), null, cameraKey);
+
+    const save = useCallback((next) => {
+        saveCalibration(cameraKey, next);
+        setCorners(next);
+    }, [cameraKey, setCorners]);
+
+    const clear = useCallback(() => save(null), [save]);
+
+    return { corners, save, clear };
+}
@@ -0,0 +1,77 @@
+// games/tic-tac-toe/series.js
+// Best-of-N match series and the move list of a game, rebuilt from the boards the backend
+// reports in successive game_state updates.
+
+export const SERIES_LENGTHS = [1, 3, 5, 7];
+
+/**
+ * @typedef {Object} Move
+ * @property {number} cell
+ * @property {"X"|"O"} player
+ * @property {Array<"X"|"O"|null>} board - After the move
+ * @property {Object<string, Blob>} frames - Views received with the update that showed the
+ *           move, e.g. `processed` and `bird_view`
+ * @property {number} at - Timestamp
+ */
+
+/**
+ * @typedef {Object} SeriesGame
+ * @property {"X"|"O"|"Draw"} winner
+ * @property {Move[]} moves
+ */
+
+/**
+ * Brings the move list in line with a new board. Moves whose mark is gone or changed (a
+ * misdetection or a correction) are dropped; new marks are appended in turn order, as
+ * far as they allow.
+ * @param {Move[]} moves
+ * @param {Array<"X"|"O"|null>} board
+ * @param {Object<string, Blob>} frames - Latest frame of each view
+ * @returns {Move[]} - `moves` itself when nothing changed
+ */
+export function syncMoves(moves, board, frames) {
+    const kept = moves.filter((move) => board[move.cell] === move.player);
+    const known = new Set(kept.map((move) => move.cell));
+    const added = board.flatMap((player, cell) => (player && !known.has(cell) ? [{ cell, player }] : []));
+    if (!added.length && kept.length === moves.length) return moves;
+
+    // Turns alternate, X first, as far as the new marks allow
+    const pending = {
+        X: added.filter((move) => move.player === "X"),
+        O: added.filter((move) => move.player === "O"),
+    };
+    const xs = kept.filter((move) => move.player === "X").length;
+    let due = xs <= kept.length - xs ? "X" : "O";
+    const at = Date.now();
+    const ordered = [...kept];
+    while (pending.X.length || pending.O.length) {
+        if (!pending[due].length) due = due === "X" ? "O" : "X";
+        ordered.push({ ...pending[due].shift(), frames: { ...frames }, at });
+        due = due === "X" ? "O" : "X";
+    }
+    // Boards are replayed, a dropped move is gone from the later ones too
+    let replayed = Array(9).fill(null);
+    return ordered.map((move) => {
+        replayed = replayed.map((value, index) => (index === move.cell ? move.player : value));
+        return { ...move, board: replayed };
+    });
+}
+
+/**
+ * Running score of a series; draws count as played but win nothing
+ * @param {SeriesGame[]} games
+ * @param {number} bestOf - One of SERIES_LENGTHS
+ * @returns {{X: number, O: number, draws: number, needed: number, winner: "X"|"O"|null}} -
+ *          `needed` wins take the series, `winner` is set once someone has them
+ */
+export function scoreSeries(games, bestOf) {
+    const needed = Math.floor(bestOf / 2) + 1;
+    const score = { X: 0, O: 0, draws: 0, needed, winner: null };
+    games.forEach(({ winner }) => {
+        if (winner === "X" || winner === "O") score[winner] += 1;
+        else score.draws += 1;
+    });
+    if (score.X >= needed) score.winner = "X";
+    else if (score.O >= needed) score.winner = "O";
+    return score;
+}
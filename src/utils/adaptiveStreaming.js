@@ -0,0 +1,274 @@
+// utils/adaptiveStreaming.js
+// Adjusts the frames a FrameSender sends (rate, resolution, JPEG quality) to keep the
+// latency to the backend under a target. Latency is the round trip of acked frames, or
+// when a game does not answer frames one by one, the time the socket's send buffer
+// needs to drain.
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useClientValue } from "./clientState";
+
+const STORAGE_PREFIX = "adaptiveStreaming:";
+
+/**
+ * Quality levels from best to worst, relative to the game's configured settings.
+ * Quality goes first, then frame rate, then resolution.
+ */
+export const ADAPTIVE_LEVELS = [
+    { label: "Configured", scale: 1, fps: 1, quality: 0 },
+    { label: "Lower quality", scale: 1, fps: 1, quality: -0.1 },
+    { label: "3/4 rate", scale: 1, fps: 0.75, quality: -0.15 },
+    { label: "3/4 size", scale: 0.75, fps: 0.75, quality: -0.15 },
+    { label: "1/2 rate", scale: 0.75, fps: 0.5, quality: -0.2 },
+    { label: "1/2 size", scale: 0.5, fps: 0.5, quality: -0.25 },
+    { label: "Minimum", scale: 0.5, fps: 0.25, quality: -0.3 },
+];
+
+export const ADAPTIVE_MODES = {
+    AUTO: "auto",
+    MANUAL: "manual",
+};
+
+export const DEFAULT_ADAPTIVE_OPTIONS = {
+    mode: ADAPTIVE_MODES.AUTO,
+    level: 0, // used as is in manual mode, the starting point in auto mode
+    targetLatency: 300, // ms
+    minFps: 1,
+    minQuality: 0.3,
+    stepDownAfter: 1000, // ms over the target before lowering the level
+    stepUpAfter: 4000, // ms well under the target before raising it
+    sampleTimeout: 3000, // ms after which round trips no longer count
+};
+
+// Weight of a new sample in the controller's averages, high enough to react to a latency
+// change within a few frames
+const SMOOTHING = 0.3;
+
+/**
+ * One step of an exponential moving average
+ * @param {number|null} average - Null before the first sample
+ * @param {number} sample
+ * @param {number} weight - Of the new sample, between 0 and 1
+ * @returns {number}
+ */
+export function smooth(average, sample, weight) {
+    return average === null ? sample : average + weight * (sample - average);
+}
+
+/**
+ * Decides the level frames are sent at from latency measurements. Feed it with
+ * recordRoundTrip() and recordSent(); apply() gives the settings for the next frame.
+ */
+export class AdaptiveController {
+    /**
+     * @param {Object} [options] - See DEFAULT_ADAPTIVE_OPTIONS
+     * @param {Function} [options.onChange] - Called with getStatus() when the level changes
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_ADAPTIVE_OPTIONS, ...options };
+        this.level = clampLevel(this.options.level);
+        this.reason = null;
+        this.resetMeasurements();
+    }
+
+    resetMeasurements() {
+        this.roundTrip = null; // ms, moving average
+        this.processing = null; // ms reported by the backend, moving average
+        this.lastRoundTripAt = 0;
+        this.frameBytes = null; // moving average
+        this.bufferedAmount = 0;
+        this.sendInterval = null; // ms between sent frames, moving average
+        this.lastSentAt = 0;
+        this.overSince = null;
+        this.underSince = null;
+    }
+
+    update(options) {
+        Object.assign(this.options, options);
+        if (options.level !== undefined && this.options.mode === ADAPTIVE_MODES.MANUAL) {
+            this.setLevel(options.level, "Set by operator");
+        }
+        if (options.mode === ADAPTIVE_MODES.AUTO) this.reason = null;
+    }
+
+    setLevel(level, reason) {
+        const next = clampLevel(level);
+        this.overSince = null;
+        this.underSince = null;
+        if (next === this.level) return;
+        this.level = next;
+        this.reason = reason;
+        this.options.onChange?.(this.getStatus());
+    }
+
+    /**
+     * A frame was answered
+     * @param {number} roundTrip - ms between sending the frame and the reply
+     * @param {number} [processingMs] - Processing time reported by the backend
+     */
+    recordRoundTrip(roundTrip, processingMs) {
+        const now = performance.now();
+        this.roundTrip = smooth(this.roundTrip, roundTrip, SMOOTHING);
+        if (typeof processingMs === "number") this.processing = smooth(this.processing, processingMs, SMOOTHING);
+        this.lastRoundTripAt = now;
+        this.evaluate(now);
+    }
+
+    /**
+     * A frame was handed to the socket
+     * @param {number} bytes - Encoded size
+     * @param {number} [bufferedAmount] - Bytes still queued in the socket
+     */
+    recordSent(bytes, bufferedAmount = 0) {
+        const now = performance.now();
+        this.frameBytes = smooth(this.frameBytes, bytes, SMOOTHING);
+        if (this.lastSentAt) this.sendInterval = smooth(this.sendInterval, now - this.lastSentAt, SMOOTHING);
+        this.lastSentAt = now;
+        this.bufferedAmount = bufferedAmount;
+        this.evaluate(now);
+    }
+
+    /**
+     * Current latency estimate in ms, null until there is something to go on
+     * @param {number} [now]
+     * @returns {number|null}
+     */
+    getLatency(now = performance.now()) {
+        if (this.roundTrip !== null && now - this.lastRoundTripAt < this.options.sampleTimeout) {
+            return this.roundTrip;
+        }
+        // No replies to time: frames queued in the socket wait one send interval each
+        if (this.frameBytes && this.sendInterval !== null) {
+            return (this.bufferedAmount / this.frameBytes) * this.sendInterval;
+        }
+        return null;
+    }
+
+    evaluate(now) {
+        if (this.options.mode !== ADAPTIVE_MODES.AUTO) return;
+        const latency = this.getLatency(now);
+        if (latency === null) return;
+        const { targetLatency, stepDownAfter, stepUpAfter } = this.options;
+
+        if (latency > targetLatency) {
+            this.underSince = null;
+            this.overSince = this.overSince ?? now;
+            if (now - this.overSince >= stepDownAfter && this.level < ADAPTIVE_LEVELS.length - 1) {
+                this.setLevel(this.level + 1, `Latency ${Math.round(latency)} ms over the ${targetLatency} ms target`);
+            }
+        } else if (latency < targetLatency * 0.6) {
+            this.overSince = null;
+            this.underSince = this.underSince ?? now;
+            if (now - this.underSince >= stepUpAfter && this.level > 0) {
+                this.setLevel(this.level - 1, `Latency ${Math.round(latency)} ms well under the ${targetLatency} ms target`);
+            }
+        } else {
+            this.overSince = null;
+            this.underSince = null;
+        }
+    }
+
+    /**
+     * Settings for the next frame
+     * @param {{fps: number, quality: number}} base - The game's configured settings
+     * @returns {{fps: number, quality: number, scale: number}}
+     */
+    apply(base) {
+        const level = ADAPTIVE_LEVELS[this.level];
+        return {
+            fps: Math.max(this.options.minFps, base.fps * level.fps),
+            quality: Math.max(this.options.minQuality, Math.min(1, base.quality + level.quality)),
+            scale: level.scale,
+        };
+    }
+
+    /**
+     * What the controller is doing, for the operator
+     * @returns {Object}
+     */
+    getStatus() {
+        const now = performance.now();
+        const latency = this.getLatency(now);
+        const hasRoundTrips = this.roundTrip !== null && now - this.lastRoundTripAt < this.options.sampleTimeout;
+        return {
+            mode: this.options.mode,
+            level: this.level,
+            levelLabel: ADAPTIVE_LEVELS[this.level].label,
+            targetLatency: this.options.targetLatency,
+            latency: latency === null ? null : Math.round(latency),
+            latencySource: latency === null ? null : hasRoundTrips ? "round trip" : "send buffer",
+            roundTrip: hasRoundTrips ? Math.round(this.roundTrip) : null,
+            processing: this.processing === null ? null : Math.round(this.processing),
+            bufferedAmount: this.bufferedAmount,
+            reason: this.reason,
+        };
+    }
+}
+
+function clampLevel(level) {
+    return Math.max(0, Math.min(ADAPTIVE_LEVELS.length - 1, Math.round(Number(level) || 0)));
+}
+
+function loadAdaptiveSettings(gameId) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + gameId) || "null");
+        return stored && typeof stored === "object" ? stored : {};
+    } catch (e) {
+        console.warn(`Ignoring unreadable adaptive streaming settings for ${gameId}:`, e);
+        return {};
+    }
+}
+
+/**
+ * React hook owning an AdaptiveController for a game page. The operator's mode, level
+ * and target are saved per game; the status is refreshed once a second.
+ * @param {string} gameId
+ * @param {Object} [options] - Controller option defaults
+ * @returns {{controller: AdaptiveController, status: Object, setMode: Function,
+ *          setLevel: Function, setTargetLatency: Function}}
+ */
+export function useAdaptiveController(gameId, options = {}) {
+    const controllerRef = useRef(null);
+    if (!controllerRef.current) controllerRef.current = new AdaptiveController(options);
+    const controller = controllerRef.current;
+    const [status, setStatus] = useState(() => controller.getStatus());
+
+    const [saved] = useClientValue(() => loadAdaptiveSettings(gameId), null, gameId);
+    useEffect(() => {
+        if (!saved) return;
+        const { mode, level, targetLatency } = saved;
+        controller.update({
+            ...(Object.values(ADAPTIVE_MODES).includes(mode) && { mode }),
+            ...(Number.isFinite(targetLatency) && { targetLatency }),
+        });
+        if (mode === ADAPTIVE_MODES.MANUAL) controller.setLevel(level, "Set by operator");
+        setStatus(controller.getStatus());
+    }, [saved, controller]);
+
+    useEffect(() => {
+        const timer = setInterval(() => setStatus(controller.getStatus()), 1000);
+        return () => clearInterval(timer);
+    }, [controller]);
+
+    const save = useCallback(() => {
+        const { mode, targetLatency } = controller.options;
+        localStorage.setItem(STORAGE_PREFIX + gameId, JSON.stringify({ mode, level: controller.level, targetLatency }));
+        setStatus(controller.getStatus());
+    }, [gameId, controller]);
+
+    // Switching to manual keeps the current level until the operator picks another
+    const setMode = useCallback((mode) => {
+        controller.update({ mode });
+        save();
+    }, [controller, save]);
+
+    const setLevel = useCallback((level) => {
+        controller.update({ mode: ADAPTIVE_MODES.MANUAL, level });
+        save();
+    }, [controller, save]);
+
+    const setTargetLatency = useCallback((targetLatency) => {
+        controller.update({ targetLatency });
+        save();
+    }, [controller, save]);
+
+    return { controller, status, setMode, setLevel, setTargetLatency };
+}
@@ -0,0 +1,140 @@
+// utils/backendConfig.js
+
+const STORAGE_KEY = "backendConfig";
+
+// protocol: "auto" follows the page (https -> wss/https), "secure" or "insecure" force it
+export const DEFAULT_BACKEND_CONFIG = {
+    host: "",
+    port: 8000,
+    protocol: "auto",
+};
+
+/**
+ * Builds the defaults from NEXT_PUBLIC_BACKEND_WS_URL / NEXT_PUBLIC_BACKEND_HTTP_URL if set.
+ * An empty host means "same host as the page", so a tablet on the lab network reaches the lab PC.
+ * @returns {{host: string, port: number, protocol: string}}
+ */
+function getEnvDefaults() {
+    const envUrl = process.env.NEXT_PUBLIC_BACKEND_WS_URL || process.env.NEXT_PUBLIC_BACKEND_HTTP_URL;
+    if (!envUrl) return DEFAULT_BACKEND_CONFIG;
+    try {
+        const url = new URL(envUrl);
+        const secure = url.protocol === "wss:" || url.protocol === "https:";
+        return {
+            host: url.hostname,
+            port: parseInt(url.port, 10) || (secure ? 443 : 80),
+            protocol: secure ? "secure" : "insecure",
+        };
+    } catch {
+        console.warn("Ignoring invalid backend URL in environment:", envUrl);
+        return DEFAULT_BACKEND_CONFIG;
+    }
+}
+
+/**
+ * Loads the backend endpoint settings saved on this device
+ * @returns {{host: string, port: number, protocol: string}}
+ */
+export function loadBackendConfig() {
+    const defaults = getEnvDefaults();
+    if (typeof window === "undefined") return defaults;
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+        if (!saved) return defaults;
+        // Hosts saved before they were normalized may still hold a URL
+        return { ...defaults, ...saved, host: normalizeBackendHost(saved.host) ?? defaults.host };
+    } catch {
+        return defaults;
+    }
+}
+
+/**
+ * Reduces what an operator typed as the backend host to the host itself; a pasted URL
+ * loses its scheme, port and path
+ * @param {string} value - e.g. "http://192.168.1.20:8000/"
+ * @returns {string|null} - e.g. "192.168.1.20", empty for the page's host, null when
+ *          `value` is no host name or address
+ */
+export function normalizeBackendHost(value) {
+    const trimmed = (value || "").trim();
+    if (!trimmed) return "";
+    // A bare IPv6 literal, which URLs only take in brackets
+    if (/^[\da-f:.]+$/i.test(trimmed) && trimmed.split(":").length > 2) return trimmed.toLowerCase();
+    try {
+        const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`);
+        return url.hostname.replace(/^\[(.*)\]$/, "$1") || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Saves the backend endpoint settings for this device
+ * @param {{host: string, port: number, protocol: string}} config
+ * @throws {Error} When the host is no host name or address
+ */
+export function saveBackendConfig(config) {
+    const host = normalizeBackendHost(config.host);
+    if (host === null) throw new Error(`"${config.host}" is not a host name or IP address.`);
+    const port = parseInt(config.port, 10);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        host,
+        port: port > 0 && port < 65536 ? port : DEFAULT_BACKEND_CONFIG.port,
+        protocol: ["auto", "secure", "insecure"].includes(config.protocol) ? config.protocol : "auto",
+    }));
+}
+
+export function resetBackendConfig() {
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Resolves host, port and whether TLS should be used for a config
+ * @param {Object} [config] - Defaults to the saved config
+ * @returns {{host: string, port: number, secure: boolean}}
+ */
+export function resolveBackendEndpoint(config = loadBackendConfig()) {
+    const hasWindow = typeof window !== "undefined";
+    const pageIsSecure = hasWindow && window.location.protocol === "https:";
+    return {
+        host: config.host || (hasWindow ? window.location.hostname : "localhost"),
+        port: parseInt(config.port, 10) || DEFAULT_BACKEND_CONFIG.port,
+        secure: config.protocol === "auto" ? pageIsSecure : config.protocol === "secure",
+    };
+}
+
+function buildUrl(scheme, path, config) {
+    const { host, port, secure } = resolveBackendEndpoint(config);
+    const defaultPort = secure ? 443 : 80;
+    const portPart = port && port !== defaultPort ? `:${port}` : "";
+    const hostPart = host.includes(":") ? `[${host}]` : host; // IPv6 literal
+    return `${scheme}${secure ? "s" : ""}://${hostPart}${portPart}${path}`;
+}
+
+/**
+ * @param {string} [path] - e.g. "/ws/tic-tac-toe"
+ * @param {Object} [config] - Defaults to the saved config
+ * @returns {string} - ws:// or wss:// URL
+ */
+export function getBackendWsUrl(path = "", config) {
+    return buildUrl("ws", path, config);
+}
+
+/**
+ * @param {string} [path] - e.g. "/shell-game/debug"
+ * @param {Object} [config] - Defaults to the saved config
+ * @returns {string} - http:// or https:// URL
+ */
+export function getBackendHttpUrl(path = "", config) {
+    return buildUrl("http", path, config);
+}
+
+/**
+ * URL of a backend MJPEG stream, cache-busted so <img> tags reopen the stream
+ * @param {string} streamName - e.g. "shell-game", "target-shooter"
+ * @param {Object} [config] - Defaults to the saved config
+ * @returns {string}
+ */
+export function getStreamUrl(streamName, config) {
+    return `${getBackendHttpUrl(`/stream/${streamName}`, config)}?${Date.now()}`;
+}
@@ -0,0 +1,172 @@
+// utils/cameraSettings.js
+import { useCallback, useRef } from "react";
+import { DEFAULT_CAMERA_CHOICE } from "./cameraUtils";
+import { useClientValue } from "./clientState";
+
+const STORAGE_PREFIX = "cameraSettings:";
+
+export const CAMERA_SETTINGS_VERSION = 1;
+
+export const DEFAULT_CAMERA_SETTINGS = {
+    // Source; an IP camera is either an MJPEG stream or a snapshot URL polled at snapshotFps
+    useIpCamera: false,
+    ipCameraAddress: "",
+    ipCameraMode: "mjpeg",
+    snapshotFps: 5,
+    // Local camera: deviceId, width, height, frameRate (capture rate)
+    ...DEFAULT_CAMERA_CHOICE,
+    // Frames sent to the backend
+    sendFps: 10,
+    jpegQuality: 0.7,
+    outputWidth: 320,
+    outputHeight: 240,
+    // Transform applied before encoding, crop values relative (0..1)
+    crop: { x: 0, y: 0, width: 1, height: 1 },
+    zoom: 1,
+    rotate: 0,
+};
+
+/**
+ * Reads what was saved before settings were versioned: the global IP camera keys
+ * and the per-game device choice
+ * @param {string} gameId
+ * @returns {Object}
+ */
+function readLegacySettings(gameId) {
+    const legacy = {};
+    const ipCameraAddress = localStorage.getItem("ipCameraAddress");
+    const useIpCamera = localStorage.getItem("useIpCamera");
+    if (ipCameraAddress) legacy.ipCameraAddress = ipCameraAddress;
+    if (useIpCamera !== null) legacy.useIpCamera = useIpCamera === "true";
+    try {
+        Object.assign(legacy, JSON.parse(localStorage.getItem(`cameraDevice:${gameId}`) || "null"));
+    } catch {
+        // Ignore a corrupt device choice
+    }
+    return legacy;
+}
+
+// MIGRATIONS[n] upgrades settings saved with version n to version n + 1
+const MIGRATIONS = {
+    0: (settings) => settings, // Legacy keys already use the version 1 field names
+};
+
+/**
+ * Upgrades saved settings to the current version
+ * @param {number} version - Version the settings were saved with
+ * @param {Object} settings
+ * @returns {Object}
+ */
+export function migrateCameraSettings(version, settings) {
+    let migrated = settings;
+    for (let v = version; v < CAMERA_SETTINGS_VERSION; v++) {
+        migrated = MIGRATIONS[v] ? MIGRATIONS[v](migrated) : migrated;
+    }
+    return migrated;
+}
+
+const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+};
+
+/**
+ * Clamps camera settings to usable ranges; fields added by a game are kept as they are
+ * @param {Object} settings
+ * @returns {Object}
+ */
+export function normalizeCameraSettings(settings) {
+    const d = DEFAULT_CAMERA_SETTINGS;
+    const crop = { ...d.crop, ...settings.crop };
+    const cropX = clamp(crop.x, 0, 0.9, 0);
+    const cropY = clamp(crop.y, 0, 0.9, 0);
+    return {
+        ...settings,
+        useIpCamera: !!settings.useIpCamera,
+        ipCameraAddress: (settings.ipCameraAddress || "").trim(),
+        ipCameraMode: settings.ipCameraMode === "snapshot" ? "snapshot" : "mjpeg",
+        snapshotFps: Math.round(clamp(settings.snapshotFps, 1, 15, d.snapshotFps)),
+        sendFps: Math.round(clamp(settings.sendFps, 1, 30, d.sendFps)),
+        jpegQuality: clamp(settings.jpegQuality, 0.1, 1, d.jpegQuality),
+        outputWidth: Math.round(clamp(settings.outputWidth, 160, 1920, d.outputWidth)),
+        outputHeight: Math.round(clamp(settings.outputHeight, 120, 1080, d.outputHeight)),
+        crop: {
+            x: cropX,
+            y: cropY,
+            width: clamp(crop.width, 0.1, 1 - cropX, 1 - cropX),
+            height: clamp(crop.height, 0.1, 1 - cropY, 1 - cropY),
+        },
+        zoom: clamp(settings.zoom, 1, 5, d.zoom),
+        rotate: Math.round(clamp(settings.rotate, 0, 360, d.rotate)),
+    };
+}
+
+/**
+ * Loads the camera settings saved for a game
+ * @param {string} gameId
+ * @param {Object} [defaults] - Game specific defaults and extra fields
+ * @returns {Object}
+ */
+export function loadCameraSettings(gameId, defaults = {}) {
+    const base = { ...DEFAULT_CAMERA_SETTINGS, ...defaults };
+    if (typeof window === "undefined") return base;
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + gameId) || "null");
+        const saved = stored
+            ? migrateCameraSettings(stored.version || 0, stored.settings || {})
+            : migrateCameraSettings(0, readLegacySettings(gameId));
+        return normalizeCameraSettings({ ...base, ...saved });
+    } catch (e) {
+        console.warn(`Ignoring unreadable camera settings for ${gameId}:`, e);
+        return base;
+    }
+}
+
+/**
+ * Saves the camera settings for a game
+ * @param {string} gameId
+ * @param {Object} settings
+ */
+export function saveCameraSettings(gameId, settings) {
+    localStorage.setItem(STORAGE_PREFIX + gameId, JSON.stringify({
+        version: CAMERA_SETTINGS_VERSION,
+        settings: normalizeCameraSettings(settings),
+    }));
+}
+
+/**
+ * Whether the settings select an IP camera polled for snapshots
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+export function isSnapshotCamera(settings) {
+    return settings.useIpCamera && settings.ipCameraMode === "snapshot";
+}
+
+/**
+ * React hook holding the camera settings of a game page. Settings are loaded once on
+ * the client and saved whenever they are applied.
+ * @param {string} gameId
+ * @param {Object} [defaults] - Game specific defaults and extra fields
+ * @returns {{settings: Object, applySettings: Function}}
+ */
+export function useCameraSettings(gameId, defaults = {}) {
+    const defaultsRef = useRef(defaults);
+    const [settings, setSettings] = useClientValue(
+        () => loadCameraSettings(gameId, defaultsRef.current),
+        () => normalizeCameraSettings({ ...DEFAULT_CAMERA_SETTINGS, ...defaults }),
+        gameId
+    );
+    const settingsRef = useRef(settings);
+    settingsRef.current = settings;
+
+    // Accepts a partial update, e.g. { zoom: 2 } from a live slider
+    const applySettings = useCallback((changes) => {
+        const next = normalizeCameraSettings({ ...settingsRef.current, ...changes });
+        settingsRef.current = next;
+        setSettings(next);
+        saveCameraSettings(gameId, next);
+    }, [gameId, setSettings]);
+
+    return { settings, applySettings };
+}
@@ -1,9 +1,95 @@
 // utils/cameraUtils.js
 
+// Resolutions offered by the device picker; null lets the browser choose
+export const RESOLUTION_PRESETS = [
+    { label: "Auto (up to 1280x720)", width: null, height: null },
+    { label: "320x240", width: 320, height: 240 },
+    { label: "640x480", width: 640, height: 480 },
+    { label: "1280x720", width: 1280, height: 720 },
+    { label: "1920x1080", width: 1920, height: 1080 },
+];
+
+export const FRAME_RATE_OPTIONS = [null, 5, 10, 15, 24, 30];
+
+// deviceId "" means the browser's default camera
+export const DEFAULT_CAMERA_CHOICE = {
+    deviceId: "",
+    width: null,
+    height: null,
+    frameRate: null,
+};
+
+/**
+ * Lists the connected video input devices. Labels stay empty until the page has
+ * been granted camera access once.
+ * @returns {Promise<Array<{deviceId: string, label: string, groupId: string}>>}
+ */
+export async function listVideoDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter((device) => device.kind === "videoinput")
+        .map((device) => ({
+            deviceId: device.deviceId,
+            label: device.label,
+            groupId: device.groupId,
+        }));
+}
+
+/**
+ * Calls `callback` with the updated device list whenever a camera is plugged in or removed
+ * @param {Function} callback - Receives the device list
+ * @returns {Function} - Unsubscribes
+ */
+export function watchVideoDevices(callback) {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices) return () => {};
+
+    let active = true;
+    const handleChange = () => {
+        listVideoDevices()
+            .then((devices) => { if (active) callback(devices); })
+            .catch((err) => console.warn("Could not enumerate cameras:", err));
+    };
+    mediaDevices.addEventListener("devicechange", handleChange);
+    return () => {
+        active = false;
+        mediaDevices.removeEventListener("devicechange", handleChange);
+    };
+}
+
+/**
+ * Whether the camera stream on a video element has stopped delivering frames,
+ * e.g. because the camera was unplugged
+ * @param {HTMLVideoElement} videoElement
+ * @returns {boolean}
+ */
+export function hasEndedVideoTrack(videoElement) {
+    const track = videoElement?.srcObject?.getVideoTracks?.()[0];
+    return !track || track.readyState === "ended";
+}
+
+/**
+ * Builds getUserMedia video constraints from a camera choice. A chosen device is
+ * required exactly; resolution and frame rate are only preferences.
+ * @param {Object} settings - `{ deviceId, width, height, frameRate }`
+ * @returns {MediaTrackConstraints}
+ */
+export function buildVideoConstraints(settings = {}) {
+    const video = {
+        width: { ideal: settings.width || 1280 },
+        height: { ideal: settings.height || 720 },
+    };
+    if (settings.frameRate) video.frameRate = { ideal: settings.frameRate };
+    if (settings.deviceId) video.deviceId = { exact: settings.deviceId };
+    return video;
+}
+
 /**
  * Initializes a video source for the specified video element
  * @param {HTMLVideoElement} videoElement - The video element to initialize
- * @param {Object} settings - Camera settings object
+ * @param {Object} settings - Camera settings object, may hold a camera choice
+ *        (`deviceId`, `width`, `height`, `frameRate`)
  * @returns {Promise<boolean>} - Returns true if initialization was successful
  */
 export async function initializeVideoSource(videoElement, settings = {}) {
@@ -28,14 +114,10 @@ export async function initializeVideoSource(videoElement, settings = {}) {
     // This function now only handles device cameras
 
     try {
-        // First try with ideal constraints: HD and prefer front camera for ease of use
+        // First try with the chosen camera, resolution and frame rate (HD by default)
         const constraints = {
             audio: false,
-            video: {
-                width: {ideal: 1280},
-                height: {ideal: 720},
-                // facingMode: {ideal: "environment"} // Prefer back camera for cube scanning
-            }
+            video: buildVideoConstraints(settings),
         };
 
         console.log("Requesting camera with constraints:", constraints);
@@ -56,7 +138,7 @@ export async function initializeVideoSource(videoElement, settings = {}) {
         console.warn("Failed to get camera with ideal constraints:", firstError);
 
         try {
-            // Fallback to basic constraints
+            // Fallback to basic constraints, e.g. when the chosen camera was unplugged
             console.log("Trying fallback camera constraints");
             const fallbackConstraints = {
                 audio: false,
@@ -93,23 +175,307 @@ export async function initializeVideoSource(videoElement, settings = {}) {
     }
 }
 
+const STREAMABLE_PROTOCOLS = ["http:", "https:"];
+
 /**
- * Initialize device camera
- * @param {HTMLVideoElement} videoElement
- * @returns {Promise<boolean>}
+ * Checks that an IP camera URL is something a browser can display
+ * @param {string} url
+ * @returns {{ok: boolean, error?: string, warning?: string}}
  */
-async function initDeviceCamera(videoElement) {
+export function validateCameraUrl(url) {
+    const trimmed = (url || "").trim();
+    if (!trimmed) return { ok: false, error: "Enter the camera URL." };
+
+    let parsed;
     try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: {facingMode: {ideal: "environment"}},
+        parsed = new URL(trimmed);
+    } catch {
+        return { ok: false, error: "Not a valid URL. Include the scheme, e.g. http://192.168.1.100:8080/video" };
+    }
+    if (!STREAMABLE_PROTOCOLS.includes(parsed.protocol)) {
+        return {
+            ok: false,
+            error: `${parsed.protocol.replace(":", "").toUpperCase()} streams can't be played in a browser. ` +
+                "Use the camera's HTTP MJPEG or snapshot URL (e.g. /video or /shot.jpg).",
+        };
+    }
+    if (typeof window !== "undefined" && window.location.protocol === "https:" && parsed.protocol === "http:") {
+        return {
+            ok: true,
+            warning: "This page uses HTTPS, so the browser may block an http:// camera (mixed content).",
+        };
+    }
+    return { ok: true };
+}
+
+/**
+ * Loads an image URL once
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(url, crossOrigin, timeout) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const timer = setTimeout(() => {
+            img.src = "";
+            reject(new Error("timeout"));
+        }, timeout);
+        if (crossOrigin) img.crossOrigin = "anonymous";
+        img.onload = () => {
+            clearTimeout(timer);
+            resolve(img);
+        };
+        img.onerror = () => {
+            clearTimeout(timer);
+            reject(new Error("load failed"));
+        };
+        img.src = url;
+    });
+}
+
+function withCacheBuster(url) {
+    return `${url}${url.includes("?") ? "&" : "?"}_=${Date.now()}`;
+}
+
+/**
+ * Reads the response headers and, for MJPEG, counts frames for `sampleMs`.
+ * Only works when the camera sends CORS headers.
+ * @returns {Promise<{kind: string, fps: number|null}|null>} - null if the camera can't be fetched
+ */
+async function inspectStream(url, sampleMs, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        const res = await fetch(url, { signal: controller.signal, cache: "no-store" });
+        const contentType = res.headers.get("content-type") || "";
+        if (!res.ok) return { kind: "error", status: res.status };
+        if (contentType.startsWith("image/")) return { kind: "snapshot", fps: null };
+        if (!contentType.startsWith("multipart/x-mixed-replace") || !res.body) {
+            return { kind: "unsupported", contentType };
+        }
+
+        // Count JPEG start-of-image markers (FF D8 FF) arriving during the sample window;
+        // the last two bytes of each chunk are carried over for markers split across chunks
+        const reader = res.body.getReader();
+        const started = performance.now();
+        let frames = 0;
+        let carry = new Uint8Array(0);
+        while (performance.now() - started < sampleMs) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            const bytes = new Uint8Array(carry.length + value.length);
+            bytes.set(carry);
+            bytes.set(value, carry.length);
+            for (let i = 0; i < bytes.length - 2; i++) {
+                if (bytes[i] === 0xff && bytes[i + 1] === 0xd8 && bytes[i + 2] === 0xff) frames++;
+            }
+            carry = bytes.slice(-2);
+        }
+        const elapsed = (performance.now() - started) / 1000;
+        controller.abort();
+        return { kind: "mjpeg", fps: elapsed > 0 ? frames / elapsed : null };
+    } catch {
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Probes an IP camera URL: checks the scheme, loads a frame, detects MJPEG vs snapshot,
+ * measures the frame rate and checks that frames can be captured (CORS / tainted canvas)
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout=5000] - ms to wait for the first frame
+ * @param {number} [options.sampleMs=2000] - ms used to measure the frame rate
+ * @returns {Promise<{ok: boolean, kind: string|null, width: number|null, height: number|null,
+ *          fps: number|null, problems: string[], warnings: string[]}>}
+ */
+export async function probeCameraUrl(url, { timeout = 5000, sampleMs = 2000 } = {}) {
+    const result = { ok: false, kind: null, width: null, height: null, fps: null, problems: [], warnings: [] };
+    const validation = validateCameraUrl(url);
+    if (!validation.ok) {
+        result.problems.push(validation.error);
+        return result;
+    }
+    if (validation.warning) result.warnings.push(validation.warning);
+    const target = url.trim();
+
+    // Frames can only be captured if the image loads with CORS
+    let img;
+    try {
+        img = await loadImage(target, true, timeout);
+    } catch {
+        try {
+            img = await loadImage(target, false, timeout);
+            result.width = img.naturalWidth;
+            result.height = img.naturalHeight;
+            result.problems.push(
+                "The camera answers but does not allow cross-origin access (CORS), so frames can't be " +
+                "captured. Enable CORS on the camera or serve it through a proxy."
+            );
+        } catch (e) {
+            result.problems.push(
+                e.message === "timeout"
+                    ? "No frame received in time. Check the URL and that the camera is on the same network."
+                    : "Could not load an image from this URL. Check the address and path."
+            );
+        }
+        return result;
+    }
+    result.width = img.naturalWidth;
+    result.height = img.naturalHeight;
+
+    try {
+        const canvas = document.createElement("canvas");
+        canvas.width = 1;
+        canvas.height = 1;
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(img, 0, 0, 1, 1);
+        ctx.getImageData(0, 0, 1, 1);
+    } catch {
+        result.problems.push("Frames taint the canvas (CORS), so they can't be sent to the backend.");
+    } finally {
+        img.src = ""; // Closes an MJPEG connection
+    }
+
+    const stream = await inspectStream(target, sampleMs, timeout + sampleMs);
+    if (stream?.kind === "unsupported") {
+        result.problems.push(`Unsupported content type "${stream.contentType}". Expected MJPEG or a JPEG snapshot.`);
+    } else if (stream?.kind === "error") {
+        result.problems.push(`The camera answered with HTTP ${stream.status}.`);
+    } else if (stream) {
+        result.kind = stream.kind;
+        result.fps = stream.fps;
+    }
+
+    // Snapshot URLs: the frame rate is how fast consecutive snapshots can be loaded
+    if (result.kind === "snapshot") {
+        const started = performance.now();
+        let loaded = 0;
+        try {
+            while (performance.now() - started < sampleMs) {
+                await loadImage(withCacheBuster(target), true, timeout);
+                loaded++;
+            }
+        } catch {
+            result.warnings.push("Some snapshots failed to load while measuring the frame rate.");
+        }
+        result.fps = loaded / ((performance.now() - started) / 1000);
+    }
+
+    result.ok = result.problems.length === 0;
+    return result;
+}
+
+/**
+ * Frame source for IP cameras that only serve single JPEG snapshots (e.g. `/shot.jpg`).
+ * Polls the URL at `fps` and double-buffers: the next snapshot is fetched and decoded
+ * into the back buffer while the front buffer stays drawable. Snapshots are fetched
+ * as blobs, so the camera must allow CORS, but the decoded frames never taint a canvas.
+ */
+export class SnapshotSource {
+    /**
+     * @param {string} url - Snapshot URL
+     * @param {Object} [options]
+     * @param {number} [options.fps=5] - Polling rate
+     * @param {number} [options.timeout=5000] - ms before a snapshot request is abandoned
+     * @param {Function} [options.onFrame] - Called with an object URL of each new frame
+     * @param {Function} [options.onError] - Called with a message when polling starts failing
+     */
+    constructor(url, { fps = 5, timeout = 5000, onFrame, onError } = {}) {
+        this.url = url;
+        this.fps = fps;
+        this.timeout = timeout;
+        this.onFrame = onFrame || (() => {});
+        this.onError = onError || (() => {});
+        this.front = null;
+        this.back = null;
+        this.hasFrame = false;
+        this.running = false;
+        this.failing = false;
+        this.timer = null;
+        this.controller = null;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.front = new Image();
+        this.back = new Image();
+        this.poll();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        if (this.controller) this.controller.abort();
+        [this.front, this.back].forEach((img) => {
+            if (img?.src) URL.revokeObjectURL(img.src);
         });
-        console.log("[initDeviceCamera] getUserMedia success. Stream ID:", stream?.id); // Log stream
-        videoElement.srcObject = stream;
-        // *** ADD THIS LOG ***
-        console.log("[initDeviceCamera] Assigned srcObject. Value just before return:", videoElement.srcObject ? `Stream ID ${videoElement.srcObject.id}` : 'null');
-        return true;
-    } catch (error) {
-        console.error("[initDeviceCamera] Error accessing device camera:", error.name, error.message); // Add name/message
-        return false;
+        this.front = null;
+        this.back = null;
+        this.hasFrame = false;
+    }
+
+    isReady() {
+        return this.hasFrame;
+    }
+
+    getSize() {
+        return { width: this.front.naturalWidth, height: this.front.naturalHeight };
+    }
+
+    getDrawable() {
+        return this.front;
+    }
+
+    async poll() {
+        while (this.running) {
+            const started = performance.now();
+            try {
+                await this.loadNext();
+                this.failing = false;
+            } catch (e) {
+                if (!this.running) return;
+                if (!this.failing) {
+                    console.warn("[SnapshotSource] Snapshot failed:", e);
+                    this.onError(e.name === "AbortError"
+                        ? "Snapshot request timed out."
+                        : `Could not load a snapshot (${e.message}). Check the URL and CORS.`);
+                }
+                this.failing = true;
+            }
+            const wait = Math.max(0, 1000 / this.fps - (performance.now() - started));
+            await new Promise((resolve) => { this.timer = setTimeout(resolve, wait); });
+        }
+    }
+
+    async loadNext() {
+        this.controller = new AbortController();
+        const timer = setTimeout(() => this.controller.abort(), this.timeout);
+        try {
+            const separator = this.url.includes("?") ? "&" : "?";
+            const res = await fetch(`${this.url}${separator}_=${Date.now()}`, {
+                cache: "no-store",
+                signal: this.controller.signal,
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const blob = await res.blob();
+            if (!this.running) return;
+
+            // The back buffer is not on screen, so its previous frame can be released
+            const back = this.back;
+            if (back.src) URL.revokeObjectURL(back.src);
+            back.src = URL.createObjectURL(blob);
+            await back.decode();
+            if (!this.running) return;
+
+            this.back = this.front;
+            this.front = back;
+            this.hasFrame = true;
+            this.onFrame(back.src);
+        } finally {
+            clearTimeout(timer);
+        }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,23 @@
+// utils/clientState.js
+// State read from browser-only APIs such as localStorage. Pages are rendered on the server
+// first, so such a value starts from a default and is read once the component is mounted.
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * React hook holding a value that can only be read in the browser
+ * @param {Function} read - Returns the value; called after mounting and when `key` changes
+ * @param {*} initial - Used for the server render and the first client render
+ * @param {string} [key] - What `read` reads, e.g. a game id
+ * @returns {[*, Function]} - The value and its setter, like useState
+ */
+export function useClientValue(read, initial, key) {
+    const [value, setValue] = useState(initial);
+    const readRef = useRef(read);
+    readRef.current = read;
+
+    useEffect(() => {
+        setValue(readRef.current());
+    }, [key]);
+
+    return [value, setValue];
+}
@@ -0,0 +1,113 @@
+// utils/emergencyStop.js
+// Global emergency stop, engaged from components/EmergencyStop.js in the root layout. It
+// halts every GameSocket of the page: the game's stop command is sent, then the socket is
+// closed, which ends the backend session so no further arm, shooter or cube commands go out.
+// The arm games pass the stop on to the ESP32, which cuts the arm mid-move.
+// The stop stays engaged, across reloads and tabs, until an operator resets it; sockets
+// don't connect in the meantime.
+import { useEffect } from "react";
+import { useClientValue } from "./clientState";
+
+const STORAGE_KEY = "emergencyStop";
+
+export const EMERGENCY_STOP_REASON = "Emergency stop";
+
+// Keyed by backend game id
+export const STOP_COMMANDS = {
+    "tic-tac-toe": { action: "emergency_stop" },
+    color: { action: "emergency_stop" },
+    yolo: { action: "emergency_stop" },
+    "shell-game": { action: "emergency_stop" },
+    "target-shooter": { action: "emergency_stop" },
+    rubiks: { action: "stop_operation" },
+};
+
+// GameSockets that are connected or about to reconnect
+const activeSockets = new Set();
+
+// Hooks to refresh when the stop is engaged or reset in this tab
+const listeners = new Set();
+
+export function trackSocket(socket) {
+    activeSockets.add(socket);
+}
+
+export function untrackSocket(socket) {
+    activeSockets.delete(socket);
+}
+
+/**
+ * @returns {{engagedAt: number, stopped: string[]}|null} - null when not engaged
+ */
+export function getEmergencyStop() {
+    if (typeof localStorage === "undefined") return null;
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+export function isEmergencyStopEngaged() {
+    return !!getEmergencyStop();
+}
+
+/**
+ * Halts the sockets of this tab
+ * @returns {string[]} - Game ids of the halted sockets
+ */
+function haltSockets() {
+    const stopped = [];
+    [...activeSockets].forEach((socket) => {
+        stopped.push(socket.gameId);
+        socket.halt();
+    });
+    return stopped;
+}
+
+/**
+ * Halts every socket and keeps new ones from connecting until resetEmergencyStop()
+ * @returns {{engagedAt: number, stopped: string[]}}
+ */
+export function engageEmergencyStop() {
+    const stopped = haltSockets();
+    const previous = getEmergencyStop();
+    const state = {
+        engagedAt: previous?.engagedAt ?? Date.now(),
+        stopped: [...new Set([...(previous?.stopped || []), ...stopped])],
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    listeners.forEach((listener) => listener());
+    return state;
+}
+
+export function resetEmergencyStop() {
+    localStorage.removeItem(STORAGE_KEY);
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * React hook following the emergency stop. Engaging it in another tab halts this tab's
+ * sockets too.
+ * @returns {{state: Object|null, engaged: boolean, engage: Function, reset: Function}}
+ */
+export function useEmergencyStop() {
+    const [state, setState] = useClientValue(getEmergencyStop, null);
+
+    useEffect(() => {
+        const update = () => setState(getEmergencyStop());
+        const handleStorage = (e) => {
+            if (e.key !== STORAGE_KEY) return;
+            if (e.newValue) haltSockets();
+            update();
+        };
+        listeners.add(update);
+        window.addEventListener("storage", handleStorage);
+        return () => {
+            listeners.delete(update);
+            window.removeEventListener("storage", handleStorage);
+        };
+    }, [setState]);
+
+    return { state, engaged: !!state, engage: engageEmergencyStop, reset: resetEmergencyStop };
+}
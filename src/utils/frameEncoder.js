@@ -0,0 +1,143 @@
+// utils/frameEncoder.js
+// Scales, crops, rotates and JPEG encodes camera frames for FrameSender. The work runs in
+// a worker on an OffscreenCanvas, fed with ImageBitmaps, so streaming large frames doesn't
+// stall the page; browsers without OffscreenCanvas encoding, or a worker that fails to
+// start, fall back to a canvas on the main thread.
+import { drawFrame } from "./frameTransform";
+
+export const ENCODER_MODES = {
+    WORKER: "worker",
+    MAIN_THREAD: "main-thread",
+};
+
+/**
+ * Promise wrapper around canvas.toBlob
+ * @returns {Promise<Blob|null>}
+ */
+export function encodeCanvas(canvas, mimeType = "image/jpeg", quality = 0.7) {
+    return new Promise((resolve) => canvas.toBlob(resolve, mimeType, quality));
+}
+
+/**
+ * Whether frames can be encoded in a worker in this browser
+ * @returns {boolean}
+ */
+export function canEncodeInWorker() {
+    return typeof Worker !== "undefined"
+        && typeof OffscreenCanvas !== "undefined"
+        && typeof OffscreenCanvas.prototype.convertToBlob === "function"
+        && typeof createImageBitmap === "function";
+}
+
+// The worker itself broke, as opposed to one frame failing to encode
+class WorkerFailure extends Error {}
+
+/**
+ * Encodes frames from a frame source ({ isReady, getSize, getDrawable }, see utils/framePipeline.js)
+ */
+export class FrameEncoder {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.useWorker=true] - False always encodes on the main thread
+     */
+    constructor({ useWorker = true } = {}) {
+        this.mode = useWorker && canEncodeInWorker() ? ENCODER_MODES.WORKER : ENCODER_MODES.MAIN_THREAD;
+        this.worker = null;
+        this.pending = new Map(); // id -> { resolve, reject }
+        this.nextId = 1;
+        this.canvas = null;
+    }
+
+    /**
+     * @param {Object} source - Frame source
+     * @param {Object} transform - `{ crop, zoom, rotate }`
+     * @param {number|null} width - Output width before rotation, null keeps the source size
+     * @param {number|null} height
+     * @param {string} mimeType
+     * @param {number} quality - 0..1
+     * @returns {Promise<Blob|null>}
+     */
+    async encode(source, transform, width, height, mimeType, quality) {
+        if (this.mode === ENCODER_MODES.WORKER) {
+            try {
+                return await this.encodeInWorker(source, transform, width, height, mimeType, quality);
+            } catch (e) {
+                if (!(e instanceof WorkerFailure)) throw e;
+                this.fallBack(e.message);
+            }
+        }
+        this.canvas = this.canvas || document.createElement("canvas");
+        drawFrame(this.canvas, source, transform, width, height);
+        return encodeCanvas(this.canvas, mimeType, quality);
+    }
+
+    async encodeInWorker(source, transform, width, height, mimeType, quality) {
+        if (!this.worker) this.startWorker();
+        const bitmap = await createImageBitmap(source.getDrawable());
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            try {
+                this.worker.postMessage({ id, bitmap, transform, width, height, mimeType, quality }, [bitmap]);
+            } catch (e) {
+                this.pending.delete(id);
+                bitmap.close();
+                reject(new WorkerFailure(`Could not post a frame to the encoder worker: ${e.message}`));
+            }
+        });
+    }
+
+    startWorker() {
+        try {
+            this.worker = new Worker(new URL("./frameEncoder.worker.js", import.meta.url));
+        } catch (e) {
+            throw new WorkerFailure(`Could not start the encoder worker: ${e.message}`);
+        }
+        this.worker.onmessage = (event) => {
+            const { id, blob, error } = event.data;
+            const request = this.pending.get(id);
+            if (!request) return;
+            this.pending.delete(id);
+            if (!error) {
+                request.resolve(blob);
+                return;
+            }
+            const e = new Error(error.message);
+            e.name = error.name;
+            request.reject(e);
+        };
+        this.worker.onerror = (event) => {
+            event.preventDefault?.();
+            this.rejectPending(new WorkerFailure(`Encoder worker error: ${event.message || "failed to load"}`));
+            this.fallBack(event.message || "failed to load");
+        };
+    }
+
+    // Frames from now on are encoded on the main thread
+    fallBack(reason) {
+        if (this.mode === ENCODER_MODES.MAIN_THREAD) return;
+        console.warn(`[FrameEncoder] Encoding on the main thread: ${reason}`);
+        this.mode = ENCODER_MODES.MAIN_THREAD;
+        this.stopWorker();
+    }
+
+    rejectPending(error) {
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+    }
+
+    stopWorker() {
+        if (!this.worker) return;
+        this.worker.onmessage = null;
+        this.worker.onerror = null;
+        this.worker.terminate();
+        this.worker = null;
+    }
+
+    dispose() {
+        this.stopWorker();
+        const error = new Error("Encoder disposed");
+        error.name = "AbortError";
+        this.rejectPending(error);
+    }
+}
@@ -0,0 +1,26 @@
+// utils/frameEncoder.worker.js
+// Transforms and encodes camera frames off the main thread, see utils/frameEncoder.js.
+// Receives `{ id, bitmap, transform, width, height, mimeType, quality }` with the
+// ImageBitmap transferred, answers `{ id, blob }` or `{ id, error: { name, message } }`.
+import { drawFrame } from "./frameTransform";
+
+let canvas = null;
+
+self.onmessage = async (event) => {
+    const { id, bitmap, transform, width, height, mimeType, quality } = event.data;
+    try {
+        canvas = canvas || new OffscreenCanvas(1, 1);
+        const source = {
+            getSize: () => ({ width: bitmap.width, height: bitmap.height }),
+            getDrawable: () => bitmap,
+        };
+        drawFrame(canvas, source, transform, width, height);
+        const blob = await canvas.convertToBlob({ type: mimeType, quality });
+        self.postMessage({ id, blob });
+    } catch (e) {
+        // e.g. a SecurityError for frames of an IP camera without CORS headers
+        self.postMessage({ id, error: { name: e.name, message: e.message } });
+    } finally {
+        bitmap.close();
+    }
+};
@@ -0,0 +1,316 @@
+// utils/framePipeline.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { SnapshotSource } from "./cameraUtils";
+import { IDENTITY_TRANSFORM, getSourceRect, drawFrame } from "./frameTransform";
+import { FrameEncoder, encodeCanvas } from "./frameEncoder";
+
+export { IDENTITY_TRANSFORM, getSourceRect, drawFrame, encodeCanvas };
+
+const DEFAULT_SENDER_OPTIONS = {
+    fps: 10,
+    quality: 0.7,
+    width: null, // null keeps the source size
+    height: null,
+    maxInFlight: 1, // frames awaiting a backend reply; 0 disables backpressure
+    ackTimeout: 3000, // ms before an unanswered frame stops blocking the next one
+    mimeType: "image/jpeg",
+    useWorker: true, // encode in a worker where the browser supports it
+};
+
+/**
+ * Wraps a <video> or <img> element as a frame source
+ * @param {HTMLVideoElement|HTMLImageElement} element
+ * @returns {{isReady: Function, getSize: Function, getDrawable: Function}}
+ */
+export function createElementSource(element) {
+    return {
+        isReady: () => {
+            if (element.tagName === "VIDEO") return element.readyState >= 2 && element.videoWidth > 0;
+            return element.complete && element.naturalWidth > 0 && element.naturalHeight > 0;
+        },
+        getSize: () => ({
+            width: element.videoWidth || element.naturalWidth,
+            height: element.videoHeight || element.naturalHeight,
+        }),
+        getDrawable: () => element,
+    };
+}
+
+/**
+ * Accepts either a frame source or a bare <video>/<img> element
+ * @returns {Object|null}
+ */
+function toFrameSource(sourceOrElement) {
+    if (!sourceOrElement) return null;
+    if (typeof sourceOrElement.isReady === "function") return sourceOrElement;
+    if (sourceOrElement.tagName === "VIDEO" || sourceOrElement.tagName === "IMG") {
+        return createElementSource(sourceOrElement);
+    }
+    return null;
+}
+
+/**
+ * Draws the current frame of a source the way it would be sent, for stills such as the
+ * tic-tac-toe board calibration
+ * @param {Object|HTMLVideoElement|HTMLImageElement|null} sourceOrElement
+ * @param {Object} transform - `{ crop, zoom, rotate }`
+ * @param {number|null} width - Output width before rotation, null keeps the source size
+ * @param {number|null} height
+ * @returns {HTMLCanvasElement|null} - Null while the source has no frame
+ */
+export function captureStill(sourceOrElement, transform, width, height) {
+    const source = toFrameSource(sourceOrElement);
+    if (!source || !source.isReady()) return null;
+    const canvas = document.createElement("canvas");
+    drawFrame(canvas, source, transform, width, height);
+    return canvas;
+}
+
+/**
+ * Turns a capture exception into a message for the operator
+ * @param {Error} error
+ * @returns {string}
+ */
+export function describeCaptureError(error) {
+    if (error.name === "SecurityError") {
+        return "Camera frames can't be captured: the IP camera does not allow cross-origin access (CORS).";
+    }
+    return `Could not capture a camera frame: ${error.message}`;
+}
+
+/**
+ * Captures frames from a source, transforms and encodes them and hands them to `send`,
+ * limited to `fps` and to `maxInFlight` frames awaiting a backend reply (see `ack`).
+ * With an `adaptive` controller (utils/adaptiveStreaming.js) the rate, size and quality
+ * are lowered from the configured values when the backend falls behind.
+ */
+export class FrameSender {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getSource - Returns the current frame source or <video>/<img> element
+     * @param {Function} options.send - Called with each encoded Blob, returns false if it was not sent
+     * @param {Function} [options.canSend] - Frames are skipped while this returns false
+     * @param {Function} [options.getTransform] - Returns `{ crop, zoom, rotate }` for the next frame
+     * @param {Function} [options.onFrameSent] - Called with each Blob that was sent
+     * @param {Function} [options.onError] - Called with a capture error, e.g. a tainted canvas,
+     *        once per kind of error until a frame is captured again
+     * @param {number} [options.fps=10]
+     * @param {number} [options.quality=0.7] - JPEG quality (0..1)
+     * @param {number} [options.width] - Output width, defaults to the source size
+     * @param {number} [options.height] - Output height, defaults to the source size
+     * @param {number} [options.maxInFlight=1] - 0 disables backpressure
+     * @param {number} [options.ackTimeout=3000] - ms
+     * @param {AdaptiveController} [options.adaptive] - Fed with the round trip of acked frames
+     * @param {Function} [options.getBufferedAmount] - Returns the bytes queued in the socket
+     * @param {boolean} [options.useWorker=true] - Encode in a worker (utils/frameEncoder.js)
+     * @param {PerfStats} [options.stats] - Receives capture, send and round trip measurements
+     */
+    constructor(options) {
+        this.options = { ...DEFAULT_SENDER_OPTIONS, ...options };
+        this.encoder = null;
+        this.running = false;
+        this.handle = null;
+        this.encoding = false;
+        this.lastSentAt = 0;
+        this.inFlight = []; // send timestamps of frames awaiting an ack
+        this.acked = false; // whether the backend answers frames at all
+        this.lastError = null;
+        this.tick = this.tick.bind(this);
+    }
+
+    update(options) {
+        Object.assign(this.options, options);
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.encoder = new FrameEncoder({ useWorker: this.options.useWorker });
+        this.lastSentAt = 0;
+        this.inFlight = [];
+        this.handle = requestAnimationFrame(this.tick);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.handle) cancelAnimationFrame(this.handle);
+        this.handle = null;
+        this.inFlight = [];
+        if (this.encoder) this.encoder.dispose();
+        this.encoder = null;
+    }
+
+    /**
+     * The backend answered the oldest frame in flight
+     * @param {number} [processingMs] - Processing time the backend reported for it
+     */
+    ack(processingMs) {
+        const { adaptive, stats } = this.options;
+        const sentAt = this.inFlight.shift();
+        this.acked = true;
+        if (sentAt === undefined) return;
+        const roundTrip = performance.now() - sentAt;
+        if (adaptive) adaptive.recordRoundTrip(roundTrip, processingMs);
+        if (stats) stats.recordRoundTrip(roundTrip, processingMs);
+    }
+
+    // Forget frames in flight, e.g. after a reconnect where their replies will never come
+    reset() {
+        this.inFlight = [];
+    }
+
+    hasCapacity(now) {
+        const { maxInFlight, ackTimeout } = this.options;
+        // Frames are tracked without backpressure too, their acks give the round trip
+        while (this.inFlight.length && now - this.inFlight[0] > ackTimeout) {
+            this.inFlight.shift();
+            if (this.acked && this.options.stats) this.options.stats.recordDropped("no reply");
+        }
+        if (maxInFlight <= 0) return true;
+        return this.inFlight.length < maxInFlight;
+    }
+
+    // The configured fps and quality, lowered by the adaptive controller if there is one
+    getSettings() {
+        const { fps, quality, adaptive } = this.options;
+        return adaptive ? adaptive.apply({ fps, quality }) : { fps, quality, scale: 1 };
+    }
+
+    tick() {
+        if (!this.running) return;
+        this.handle = requestAnimationFrame(this.tick);
+
+        const now = performance.now();
+        const { getSource, canSend } = this.options;
+        const { fps } = this.getSettings();
+        if (this.encoding || now - this.lastSentAt < 1000 / fps) return;
+        if (!this.hasCapacity(now) || (canSend && !canSend())) return;
+
+        const source = toFrameSource(getSource());
+        if (!source || !source.isReady()) return;
+
+        this.lastSentAt = now;
+        this.captureAndSend(source);
+    }
+
+    async captureAndSend(source) {
+        const {
+            getTransform, width, height, mimeType, send, onFrameSent, onError, adaptive, getBufferedAmount, stats,
+        } = this.options;
+        const { quality, scale } = this.getSettings();
+        this.encoding = true;
+        try {
+            const transform = getTransform ? getTransform() : IDENTITY_TRANSFORM;
+            const rect = getSourceRect(source.getSize(), transform);
+            const outWidth = Math.max(1, Math.round((width || rect.width) * scale));
+            const outHeight = Math.max(1, Math.round((height || rect.height) * scale));
+            const startedAt = performance.now();
+            const blob = await this.encoder.encode(source, transform, outWidth, outHeight, mimeType, quality);
+            this.lastError = null;
+            if (!this.running) return;
+            if (!blob) {
+                if (stats) stats.recordDropped("encoding failed");
+                return;
+            }
+            if (stats) {
+                const sideways = transform.rotate === 90 || transform.rotate === 270;
+                stats.recordCapture({
+                    encodeMs: performance.now() - startedAt,
+                    bytes: blob.size,
+                    width: sideways ? outHeight : outWidth,
+                    height: sideways ? outWidth : outHeight,
+                    encoderMode: this.encoder.mode,
+                });
+            }
+            if (!send(blob)) {
+                if (stats) stats.recordDropped("socket not open");
+                return;
+            }
+            this.inFlight.push(performance.now());
+            if (stats) stats.recordSent();
+            if (adaptive) adaptive.recordSent(blob.size, getBufferedAmount ? getBufferedAmount() : 0);
+            if (onFrameSent) onFrameSent(blob);
+        } catch (e) {
+            if (!this.running) return; // Stopped while encoding
+            // e.g. a tainted canvas from an IP camera without CORS headers
+            if (this.lastError === e.name) return;
+            this.lastError = e.name;
+            console.error("[FrameSender] Error capturing or sending frame:", e);
+            if (onError) onError(describeCaptureError(e));
+        } finally {
+            this.encoding = false;
+        }
+    }
+}
+
+/**
+ * React hook running a FrameSender while `enabled` is true. Options are read on every
+ * frame, so changing fps, quality or size does not restart the loop.
+ * @param {Object} options - FrameSender options plus `enabled`
+ * @returns {{ack: Function, reset: Function}} - `ack(processingMs)` as FrameSender.ack
+ */
+export function useFrameSender(options) {
+    const { enabled, ...senderOptions } = options;
+    const senderRef = useRef(null);
+    const optionsRef = useRef(senderOptions);
+
+    useEffect(() => {
+        optionsRef.current = senderOptions;
+        if (senderRef.current) senderRef.current.update(senderOptions);
+    });
+
+    useEffect(() => {
+        if (!enabled) return;
+        const sender = new FrameSender(optionsRef.current);
+        senderRef.current = sender;
+        sender.start();
+        return () => {
+            sender.stop();
+            senderRef.current = null;
+        };
+    }, [enabled]);
+
+    const ack = useCallback((processingMs) => senderRef.current?.ack(processingMs), []);
+    const reset = useCallback(() => senderRef.current?.reset(), []);
+
+    return { ack, reset };
+}
+
+/**
+ * React hook polling a snapshot URL while `enabled` is true
+ * @param {string} url - Snapshot URL
+ * @param {Object} options
+ * @param {boolean} [options.enabled=true]
+ * @param {number} [options.fps=5] - Polling rate
+ * @returns {{getSource: Function, frameUrl: string|null, error: string|null}} - `getSource`
+ *          returns the SnapshotSource for useFrameSender, `frameUrl` is the latest frame for previews
+ */
+export function useSnapshotSource(url, { enabled = true, fps = 5 } = {}) {
+    const sourceRef = useRef(null);
+    const [frameUrl, setFrameUrl] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!enabled || !url) return;
+        const source = new SnapshotSource(url, {
+            fps,
+            onFrame: (objectUrl) => {
+                setFrameUrl(objectUrl);
+                setError(null);
+            },
+            onError: setError,
+        });
+        sourceRef.current = source;
+        source.start();
+        return () => {
+            source.stop();
+            sourceRef.current = null;
+            setFrameUrl(null);
+            setError(null);
+        };
+    }, [url, enabled, fps]);
+
+    const getSource = useCallback(() => sourceRef.current, []);
+
+    return { getSource, frameUrl, error };
+}
@@ -0,0 +1,68 @@
+// utils/frameTransform.js
+// Crop, zoom and rotation of camera frames. Kept free of DOM and React imports so the
+// frame encoder worker (utils/frameEncoder.worker.js) can use it too.
+
+export const IDENTITY_TRANSFORM = {
+    crop: { x: 0, y: 0, width: 1, height: 1 },
+    zoom: 1,
+    rotate: 0,
+};
+
+/**
+ * Computes the region of the source that ends up in the frame: the relative crop
+ * rectangle, then a centered zoom inside it
+ * @param {{width: number, height: number}} size - Source size in px
+ * @param {Object} transform - `{ crop, zoom }`, crop values relative (0..1)
+ * @returns {{x: number, y: number, width: number, height: number}} - In source px
+ */
+export function getSourceRect(size, transform = IDENTITY_TRANSFORM) {
+    const crop = transform.crop || IDENTITY_TRANSFORM.crop;
+    const zoom = transform.zoom || 1;
+    const cropX = crop.x * size.width;
+    const cropY = crop.y * size.height;
+    const cropW = crop.width * size.width;
+    const cropH = crop.height * size.height;
+    const width = cropW / zoom;
+    const height = cropH / zoom;
+    return {
+        x: cropX + (cropW - width) / 2,
+        y: cropY + (cropH - height) / 2,
+        width,
+        height,
+    };
+}
+
+/**
+ * Draws the transformed source into the canvas, resizing the canvas to the output size
+ * (width and height swap for 90°/270° rotations)
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} source - Frame source
+ * @param {Object} transform - `{ crop, zoom, rotate }`
+ * @param {number|null} outWidth - Output width before rotation
+ * @param {number|null} outHeight - Output height before rotation
+ */
+export function drawFrame(canvas, source, transform, outWidth, outHeight) {
+    const size = source.getSize();
+    const rect = getSourceRect(size, transform);
+    const width = outWidth || Math.round(rect.width);
+    const height = outHeight || Math.round(rect.height);
+    const rotate = transform.rotate || 0;
+    const isSideways = rotate === 90 || rotate === 270;
+
+    canvas.width = isSideways ? height : width;
+    canvas.height = isSideways ? width : height;
+
+    const ctx = canvas.getContext("2d", { alpha: false });
+    ctx.save();
+    try {
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.rotate((rotate * Math.PI) / 180);
+        ctx.drawImage(
+            source.getDrawable(),
+            rect.x, rect.y, rect.width, rect.height,
+            -width / 2, -height / 2, width, height
+        );
+    } finally {
+        ctx.restore();
+    }
+}
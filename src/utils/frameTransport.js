@@ -0,0 +1,162 @@
+// utils/frameTransport.js
+// Camera frames sent by the backend. With `?frames=binary` on the socket URL the backend sends
+// each frame as its own binary message:
+//   byte 0        format version (1)
+//   byte 1        length N of the view id
+//   bytes 2..N+1  view id, ASCII ("processed", "raw", "bird_view", "transformed", "frame", "livefeed")
+//   rest          JPEG
+// followed by the JSON state, whose `frames` field lists the views that were sent with it.
+// Older backends embed the frames as base64 fields instead; extractFrames() turns both into views.
+import { useCallback, useRef, useState } from "react";
+
+export const FRAME_FORMAT_VERSION = 1;
+
+// JSON field -> view id, for the legacy base64 format
+export const FRAME_FIELD_VIEWS = {
+    processed_frame: "processed",
+    raw_frame: "raw",
+    bird_view_frame: "bird_view",
+    transformed_frame: "transformed",
+    frame: "frame", // memory matching frame_update
+};
+
+/**
+ * Decodes a base64 JPEG, as sent by older backends, into a Blob
+ * @param {string} base64
+ * @returns {Blob}
+ */
+export function base64ToBlob(base64, type = "image/jpeg") {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+}
+
+/**
+ * Parses a binary frame message
+ * @param {ArrayBuffer} buffer
+ * @returns {{view: string, blob: Blob}|null} - Null if the header is not understood
+ */
+export function parseBinaryFrame(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < 2 || bytes[0] !== FRAME_FORMAT_VERSION) return null;
+    const viewLength = bytes[1];
+    const view = String.fromCharCode(...bytes.subarray(2, 2 + viewLength));
+    return { view, blob: new Blob([bytes.subarray(2 + viewLength)], { type: "image/jpeg" }) };
+}
+
+// Moves the base64 frame fields of an object into `frames`
+function takeFrameFields(object, frames) {
+    const rest = {};
+    Object.entries(object).forEach(([key, value]) => {
+        if (key in FRAME_FIELD_VIEWS) {
+            if (typeof value === "string" && value) frames.push({ view: FRAME_FIELD_VIEWS[key], base64: value });
+        } else {
+            rest[key] = value;
+        }
+    });
+    return rest;
+}
+
+/**
+ * Separates the frames from a parsed JSON message
+ * @param {*} data - Parsed message
+ * @returns {{frames: Array<{view: string, base64: string}>, views: string[], data: *}} -
+ *          `frames` are base64 frames found in the message (legacy format), `views` every view
+ *          delivered with the message and `data` the message without frames, or null when the
+ *          message carried nothing but frames (shell livefeed, memory frame_update)
+ */
+export function extractFrames(data) {
+    const frames = [];
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+        return { frames, views: [], data };
+    }
+
+    const { frames: binaryViews, ...message } = data;
+    let rest;
+    if (message.type === "livefeed") {
+        if (typeof message.payload === "string" && message.payload) {
+            frames.push({ view: "livefeed", base64: message.payload });
+        }
+        rest = null;
+    } else if (typeof message.type === "string" && message.payload && typeof message.payload === "object"
+        && !Array.isArray(message.payload)) {
+        const payload = takeFrameFields(message.payload, frames);
+        rest = frames.length && !Object.keys(payload).length ? null : { ...message, payload };
+    } else {
+        rest = takeFrameFields(message, frames);
+    }
+
+    const views = [...(Array.isArray(binaryViews) ? binaryViews : []), ...frames.map((f) => f.view)];
+    return { frames, views, data: rest };
+}
+
+/**
+ * React hook drawing received frames into one canvas per view, without putting the
+ * frames in React state
+ * @returns {{canvasRef: Function, showFrame: Function, clearFrame: Function, clearAll: Function,
+ *          hasFrame: Object<string, boolean>}} - `canvasRef(view)` is a ref callback for the
+ *          view's <canvas>, `hasFrame[view]` tells whether it shows a frame (for placeholders)
+ */
+export function useFrameViews() {
+    const canvasesRef = useRef({});
+    const refCallbacksRef = useRef({});
+    const sequenceRef = useRef({});
+    const shownRef = useRef({});
+    const [hasFrame, setHasFrame] = useState({});
+
+    const setShown = useCallback((view, shown) => {
+        if (!!shownRef.current[view] === shown) return;
+        shownRef.current = { ...shownRef.current, [view]: shown };
+        setHasFrame(shownRef.current);
+    }, []);
+
+    // Stable per view, so React doesn't detach and reattach the canvas on every render
+    const canvasRef = useCallback((view) => {
+        if (!refCallbacksRef.current[view]) {
+            refCallbacksRef.current[view] = (canvas) => {
+                canvasesRef.current[view] = canvas;
+            };
+        }
+        return refCallbacksRef.current[view];
+    }, []);
+
+    /**
+     * @param {string} view
+     * @param {Blob|string} frame - JPEG Blob or base64 JPEG
+     */
+    const showFrame = useCallback(async (view, frame) => {
+        // Frames decode out of order when they arrive quickly; only the newest is drawn
+        const sequence = (sequenceRef.current[view] || 0) + 1;
+        sequenceRef.current[view] = sequence;
+        const blob = typeof frame === "string" ? base64ToBlob(frame) : frame;
+        try {
+            const bitmap = await createImageBitmap(blob);
+            const canvas = canvasesRef.current[view];
+            if (sequence !== sequenceRef.current[view] || !canvas) {
+                bitmap.close();
+                return;
+            }
+            if (canvas.width !== bitmap.width) canvas.width = bitmap.width;
+            if (canvas.height !== bitmap.height) canvas.height = bitmap.height;
+            canvas.getContext("2d").drawImage(bitmap, 0, 0);
+            bitmap.close();
+            setShown(view, true);
+        } catch (e) {
+            console.warn(`[FrameViews] Could not decode a ${view} frame:`, e);
+        }
+    }, [setShown]);
+
+    const clearFrame = useCallback((view) => {
+        sequenceRef.current[view] = (sequenceRef.current[view] || 0) + 1; // Drop decodes in progress
+        const canvas = canvasesRef.current[view];
+        if (canvas) canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+        setShown(view, false);
+    }, [setShown]);
+
+    const clearAll = useCallback(() => {
+        Object.keys({ ...canvasesRef.current, ...shownRef.current }).forEach(clearFrame);
+    }, [clearFrame]);
+
+    return { canvasRef, showFrame, clearFrame, clearAll, hasFrame };
+}
@@ -0,0 +1,385 @@
+// utils/gameSocket.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getBackendWsUrl } from "./backendConfig";
+import { checkMessage } from "./protocol";
+import { base64ToBlob, extractFrames, parseBinaryFrame } from "./frameTransport";
+import {
+    EMERGENCY_STOP_REASON,
+    STOP_COMMANDS,
+    isEmergencyStopEngaged,
+    trackSocket,
+    untrackSocket,
+} from "./emergencyStop";
+
+export const SOCKET_STATUS = {
+    IDLE: "idle",
+    CONNECTING: "connecting",
+    OPEN: "open",
+    RECONNECTING: "reconnecting",
+    CLOSED: "closed",
+    ERROR: "error",
+};
+
+// Labels used by the status badges on the game pages
+export const SOCKET_STATUS_LABELS = {
+    [SOCKET_STATUS.IDLE]: "Disconnected",
+    [SOCKET_STATUS.CONNECTING]: "Connecting...",
+    [SOCKET_STATUS.OPEN]: "Connected",
+    [SOCKET_STATUS.RECONNECTING]: "Reconnecting...",
+    [SOCKET_STATUS.CLOSED]: "Disconnected",
+    [SOCKET_STATUS.ERROR]: "Error",
+};
+
+// Close codes where retrying cannot help: normal closure, unsupported data
+// (unknown game) and policy violation (bad initial config)
+const NON_RETRYABLE_CLOSE_CODES = new Set([1000, 1003, 1008]);
+
+// Message types whose latest payload is replayed to the page after a reconnect
+const DEFAULT_RESUME_TYPES = ["state", "game_state"];
+
+export const DEFAULT_RECONNECT_OPTIONS = {
+    initialDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: 0.2,
+    maxAttempts: 10,
+};
+
+/**
+ * Computes the exponential backoff delay for a reconnect attempt
+ * @param {number} attempt - 1-based attempt number
+ * @param {Object} options - See DEFAULT_RECONNECT_OPTIONS
+ * @returns {number} - Delay in ms
+ */
+export function getReconnectDelay(attempt, options = DEFAULT_RECONNECT_OPTIONS) {
+    const base = Math.min(options.maxDelay, options.initialDelay * options.factor ** (attempt - 1));
+    const jitter = base * options.jitter * (Math.random() * 2 - 1);
+    return Math.round(base + jitter);
+}
+
+/**
+ * Normalizes the different message shapes sent by the backend games into
+ * `{ type, payload, data }`:
+ * - `{ type, payload }` envelopes (memory matching, shell livefeed) keep their type
+ * - `{ status: "error", message }` becomes an `error` message
+ * - any other flat object (tic-tac-toe, rubiks, target shooter) becomes `state`
+ * - text that is not JSON becomes `text`
+ * @param {string} raw - Raw text received on the socket
+ * @returns {{type: string, payload: *, data: *}}
+ */
+export function normalizeMessage(raw) {
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch {
+        return { type: "text", payload: raw, data: raw };
+    }
+    return normalizeData(data);
+}
+
+/**
+ * Same as normalizeMessage, for a message that is already parsed
+ * @param {*} data
+ * @returns {{type: string, payload: *, data: *}}
+ */
+export function normalizeData(data) {
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+        return { type: "text", payload: data, data };
+    }
+    if (typeof data.type === "string") {
+        return { type: data.type, payload: data.payload, data };
+    }
+    if (data.status === "error") {
+        return { type: "error", payload: data.message ?? data.error_message, data };
+    }
+    return { type: "state", payload: data, data };
+}
+
+/**
+ * Thin wrapper around a browser WebSocket for one game endpoint (`/ws/{gameId}`).
+ * Sends the initial config on open and dispatches normalized messages. Camera frames are
+ * taken out of the messages and handed to `onFrame` as JPEG Blobs, whether the backend sent
+ * them as binary frames or as base64 fields (see utils/frameTransport.js); each message lists
+ * the views that came with it in `frames`. In development, messages that don't match
+ * utils/protocol.js are reported in the console. While the emergency stop is engaged
+ * (utils/emergencyStop.js) the socket doesn't connect.
+ */
+export class GameSocket {
+    /**
+     * @param {string} gameId - Backend game id, e.g. "tic-tac-toe", "rubiks", "color"
+     * @param {Object} options
+     * @param {string} [options.url] - Full WebSocket URL, defaults to the backend's `/ws/{gameId}`
+     * @param {Object|Function|null} [options.initialConfig] - Sent as JSON once the socket opens
+     * @param {Function} [options.onMessage] - Called with every normalized message
+     * @param {Function} [options.onFrame] - Called with (view, blob) for every received frame
+     * @param {boolean} [options.binaryFrames=true] - Ask the backend for binary frames
+     * @param {PerfStats} [options.stats] - Counts received frames and messages (utils/perfStats.js)
+     * @param {Function} [options.onStatusChange] - Called with (status, event); for
+     *        `reconnecting` the event is `{ attempt, delay }`
+     * @param {Object|false} [options.reconnect] - Backoff overrides, or false to disable reconnecting
+     * @param {string[]} [options.resumeTypes] - Message types replayed to the page after a reconnect
+     */
+    constructor(gameId, options = {}) {
+        this.gameId = gameId;
+        this.url = options.url || getBackendWsUrl(`/ws/${gameId}`);
+        if (options.binaryFrames !== false) {
+            // Backends without binary support ignore the parameter and keep sending base64
+            const url = new URL(this.url);
+            url.searchParams.set("frames", "binary");
+            this.url = url.toString();
+        }
+        this.initialConfig = options.initialConfig ?? null;
+        this.onMessage = options.onMessage || (() => {});
+        this.onFrame = options.onFrame || (() => {});
+        this.stats = options.stats || null;
+        this.onStatusChange = options.onStatusChange || (() => {});
+        this.reconnectOptions = options.reconnect === false
+            ? null
+            : { ...DEFAULT_RECONNECT_OPTIONS, ...options.reconnect };
+        this.resumeTypes = options.resumeTypes || DEFAULT_RESUME_TYPES;
+        this.lastMessages = new Map();
+        this.ws = null;
+        this.status = SOCKET_STATUS.IDLE;
+        this.attempt = 0;
+        this.reconnectTimer = null;
+        this.handleOnline = () => this.retryNow();
+    }
+
+    setStatus(status, event) {
+        this.status = status;
+        this.onStatusChange(status, event);
+    }
+
+    connect() {
+        if (this.ws) return;
+        if (isEmergencyStopEngaged()) {
+            console.warn(`[GameSocket] Not connecting to ${this.gameId}: emergency stop engaged`);
+            untrackSocket(this);
+            this.setStatus(SOCKET_STATUS.CLOSED, { code: 1000, reason: EMERGENCY_STOP_REASON });
+            return;
+        }
+
+        console.log(`[GameSocket] Connecting to ${this.url}`);
+        const ws = new WebSocket(this.url);
+        ws.binaryType = "arraybuffer";
+        this.ws = ws;
+        trackSocket(this);
+        if (this.attempt === 0) this.setStatus(SOCKET_STATUS.CONNECTING);
+
+        ws.onopen = (event) => {
+            const resumed = this.attempt > 0;
+            this.attempt = 0;
+            // Re-sent on every (re)connect: the backend starts a fresh session per socket. Sent
+            // before the status changes so `open` listeners can follow up with commands.
+            const config = typeof this.initialConfig === "function"
+                ? this.initialConfig()
+                : this.initialConfig;
+            if (config) this.send(config);
+            this.setStatus(SOCKET_STATUS.OPEN, event);
+            if (resumed) {
+                this.lastMessages.forEach((message) => this.onMessage({ ...message, resumed: true }));
+            }
+        };
+        ws.onmessage = (event) => {
+            if (event.data instanceof ArrayBuffer) {
+                const frame = parseBinaryFrame(event.data);
+                if (frame) {
+                    this.stats?.recordFrameReceived();
+                    this.onFrame(frame.view, frame.blob);
+                }
+                else console.warn(`[GameSocket] Unknown binary message on ${this.gameId}`);
+                return;
+            }
+
+            let message = { ...normalizeMessage(event.data), frames: [] };
+            if (message.type !== "text") {
+                const { frames, views, data } = extractFrames(message.data);
+                frames.forEach(({ view, base64 }) => {
+                    this.stats?.recordFrameReceived();
+                    this.onFrame(view, base64ToBlob(base64));
+                });
+                if (data === null) return; // Nothing but frames
+                message = { ...normalizeData(data), frames: views };
+            }
+            this.stats?.recordMessageReceived();
+            checkMessage(this.gameId, "inbound", message);
+            if (this.resumeTypes.includes(message.type)) this.lastMessages.set(message.type, message);
+            this.onMessage(message);
+        };
+        ws.onerror = (event) => {
+            console.error(`[GameSocket] Error on ${this.gameId}:`, event);
+            if (this.attempt === 0) this.setStatus(SOCKET_STATUS.ERROR, event);
+        };
+        ws.onclose = (event) => {
+            console.log(`[GameSocket] ${this.gameId} closed: Code=${event.code}, Reason=${event.reason}`);
+            this.ws = null;
+            if (this.scheduleReconnect(event)) return;
+            untrackSocket(this);
+            this.setStatus(SOCKET_STATUS.CLOSED, event);
+        };
+    }
+
+    /**
+     * Schedules the next reconnect attempt after an unexpected close
+     * @returns {boolean} - False if the socket should stay closed
+     */
+    scheduleReconnect(event) {
+        const options = this.reconnectOptions;
+        if (!options || NON_RETRYABLE_CLOSE_CODES.has(event.code)) return false;
+        if (this.attempt >= options.maxAttempts) {
+            console.warn(`[GameSocket] Giving up on ${this.gameId} after ${this.attempt} attempts`);
+            return false;
+        }
+
+        this.attempt += 1;
+        const delay = getReconnectDelay(this.attempt, options);
+        console.log(`[GameSocket] Reconnecting to ${this.gameId} in ${delay}ms (attempt ${this.attempt})`);
+        this.setStatus(SOCKET_STATUS.RECONNECTING, { attempt: this.attempt, delay });
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+        window.addEventListener("online", this.handleOnline);
+        return true;
+    }
+
+    // Skips the remaining backoff, e.g. when the browser comes back online
+    retryNow() {
+        window.removeEventListener("online", this.handleOnline);
+        if (!this.reconnectTimer) return;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.connect();
+    }
+
+    isOpen() {
+        return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    // Bytes queued by send() that have not reached the network yet
+    getBufferedAmount() {
+        return this.ws ? this.ws.bufferedAmount : 0;
+    }
+
+    /**
+     * Sends a message; plain objects are JSON encoded, strings/Blobs/ArrayBuffers are sent as-is
+     * @returns {boolean} - False if the socket is not open
+     */
+    send(data) {
+        if (!this.isOpen()) return false;
+        const isRaw = typeof data === "string" || data instanceof Blob
+            || data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+        if (!isRaw) checkMessage(this.gameId, "outbound", data);
+        this.ws.send(isRaw ? data : JSON.stringify(data));
+        return true;
+    }
+
+    close(code = 1000, reason = "Client closed") {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        window.removeEventListener("online", this.handleOnline);
+        untrackSocket(this);
+        this.attempt = 0;
+        this.lastMessages.clear();
+
+        const ws = this.ws;
+        if (!ws) {
+            if (this.status !== SOCKET_STATUS.IDLE) this.setStatus(SOCKET_STATUS.IDLE);
+            return;
+        }
+        this.ws = null;
+        ws.onopen = null;
+        ws.onmessage = null;
+        ws.onerror = null;
+        ws.onclose = null;
+        ws.close(code, reason);
+        this.setStatus(SOCKET_STATUS.IDLE);
+    }
+
+    /**
+     * Emergency stop: sends the game's stop command, if it has one, and closes the socket for
+     * good. Ends in `closed` rather than `idle` so the page treats it like the backend ending
+     * the session.
+     */
+    halt() {
+        const command = STOP_COMMANDS[this.gameId];
+        if (command) this.send(command);
+        this.close(1000, EMERGENCY_STOP_REASON);
+        this.setStatus(SOCKET_STATUS.CLOSED, { code: 1000, reason: EMERGENCY_STOP_REASON });
+    }
+}
+
+/**
+ * React hook owning a GameSocket for the lifetime of a game session.
+ * The socket is (re)opened when `gameId`, `enabled` or the serialized
+ * `initialConfig` change, and closed on unmount. Dropped connections are
+ * retried with exponential backoff; `onClose` only fires once retrying stops.
+ * @param {string|null} gameId - Backend game id; falsy keeps the socket closed
+ * @param {Object} options
+ * @param {boolean} [options.enabled=true] - Whether the socket should be connected
+ * @param {Object|null} [options.initialConfig] - First message sent after connecting
+ * @param {Object<string, Function>} [options.handlers] - Message handlers keyed by type ("*" for all)
+ * @param {Function} [options.onFrame] - Called with (view, blob) for every received frame
+ * @param {PerfStats} [options.stats] - Counts received frames and messages
+ * @param {Function} [options.onOpen] - Called when the socket opens, after the initial config was sent
+ * @param {Function} [options.onClose] - Called with the CloseEvent when the backend closes the socket
+ * @param {Object|false} [options.reconnect] - Backoff overrides, or false to disable reconnecting
+ * @param {string[]} [options.resumeTypes] - Message types replayed to the handlers after a reconnect
+ * @returns {{status: string, send: Function, isOpen: Function, getBufferedAmount: Function,
+ *          reconnectAttempt: number}}
+ */
+export function useGameSocket(gameId, options = {}) {
+    const { enabled = true, initialConfig = null } = options;
+    const [status, setStatus] = useState(SOCKET_STATUS.IDLE);
+    const [reconnectAttempt, setReconnectAttempt] = useState(0);
+    const socketRef = useRef(null);
+    const optionsRef = useRef(options);
+    const configRef = useRef(initialConfig);
+
+    useEffect(() => {
+        optionsRef.current = options;
+        configRef.current = initialConfig;
+    });
+
+    const configKey = JSON.stringify(initialConfig ?? null);
+
+    useEffect(() => {
+        if (!enabled || !gameId) return;
+
+        const socket = new GameSocket(gameId, {
+            initialConfig: () => configRef.current,
+            reconnect: optionsRef.current.reconnect,
+            resumeTypes: optionsRef.current.resumeTypes,
+            onFrame: (view, blob) => optionsRef.current.onFrame?.(view, blob),
+            stats: optionsRef.current.stats,
+            onStatusChange: (nextStatus, event) => {
+                setStatus(nextStatus);
+                setReconnectAttempt(nextStatus === SOCKET_STATUS.RECONNECTING ? event.attempt : 0);
+                if (nextStatus === SOCKET_STATUS.OPEN) optionsRef.current.onOpen?.(event);
+                if (nextStatus === SOCKET_STATUS.CLOSED) optionsRef.current.onClose?.(event);
+            },
+            onMessage: (message) => {
+                const handlers = optionsRef.current.handlers || {};
+                handlers[message.type]?.(message.payload, message);
+                handlers["*"]?.(message.payload, message);
+            },
+        });
+        socketRef.current = socket;
+        socket.connect();
+
+        return () => {
+            socket.close(1000, "Client changing config or unmounting");
+            socketRef.current = null;
+            setStatus(SOCKET_STATUS.IDLE);
+            setReconnectAttempt(0);
+        };
+    }, [gameId, enabled, configKey]);
+
+    const send = useCallback((data) => socketRef.current?.send(data) ?? false, []);
+    const isOpen = useCallback(() => socketRef.current?.isOpen() ?? false, []);
+    const getBufferedAmount = useCallback(() => socketRef.current?.getBufferedAmount() ?? 0, []);
+
+    return { status, send, isOpen, getBufferedAmount, reconnectAttempt };
+}
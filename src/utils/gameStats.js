@@ -0,0 +1,242 @@
+// utils/gameStats.js
+// History of played games, kept in IndexedDB so it survives reloads. Each game page records
+// one entry per game with useGameStats(); the /stats page reads them back with
+// useStatsHistory() and exports them as JSON or CSV.
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+const DB_NAME = "game-stats";
+const DB_VERSION = 1;
+const STORE = "sessions";
+
+// Tells open /stats pages in other tabs that the history changed
+const CHANNEL_NAME = "game-stats";
+
+export const STATS_OUTCOME = {
+    WIN: "win",
+    LOSS: "loss",
+    DRAW: "draw",
+    COMPLETED: "completed",
+    TIMEOUT: "timeout",
+    STOPPED: "stopped", // Ended before the game did: Stop button, closed socket, left the page
+};
+
+/**
+ * @typedef {Object} StatsSession
+ * @property {number} id
+ * @property {string} gameId - Registry id (games/registry.js)
+ * @property {string} startedAt - ISO timestamp
+ * @property {string} endedAt - ISO timestamp
+ * @property {number} durationMs
+ * @property {string} outcome - One of STATS_OUTCOME
+ * @property {Object<string, number|string>} metrics - Game specific, see `metrics` in the registry
+ */
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+                store.createIndex("gameId", "gameId");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again, e.g. after the user allowed storage
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+// Runs `fn(store)` in a transaction and resolves with the result of the request it returns
+async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function notifyChange() {
+    if (typeof BroadcastChannel === "undefined") return;
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.postMessage("changed");
+    channel.close();
+}
+
+/**
+ * @param {Omit<StatsSession, "id">} session
+ * @returns {Promise<number>} - Id of the stored session
+ */
+export async function addSession(session) {
+    const id = await withStore("readwrite", (store) => store.add(session));
+    notifyChange();
+    return id;
+}
+
+/**
+ * @param {string} [gameId] - Only the sessions of this game
+ * @returns {Promise<StatsSession[]>} - Oldest first
+ */
+export function listSessions(gameId) {
+    return withStore("readonly", (store) =>
+        gameId ? store.index("gameId").getAll(gameId) : store.getAll()
+    ).then((sessions) => sessions.sort((a, b) => a.startedAt.localeCompare(b.startedAt)));
+}
+
+/**
+ * @param {string} [gameId] - Only the sessions of this game
+ */
+export async function clearSessions(gameId) {
+    if (!gameId) {
+        await withStore("readwrite", (store) => store.clear());
+    } else {
+        const ids = (await listSessions(gameId)).map((session) => session.id);
+        await withStore("readwrite", (store) => {
+            ids.forEach((id) => store.delete(id));
+        });
+    }
+    notifyChange();
+}
+
+/**
+ * Totals for a list of sessions
+ * @param {StatsSession[]} sessions
+ * @returns {{count: number, totalMs: number, averageMs: number, outcomes: Object<string, number>}}
+ */
+export function summarizeSessions(sessions) {
+    const outcomes = {};
+    let totalMs = 0;
+    sessions.forEach((session) => {
+        outcomes[session.outcome] = (outcomes[session.outcome] || 0) + 1;
+        totalMs += session.durationMs;
+    });
+    return {
+        count: sessions.length,
+        totalMs,
+        averageMs: sessions.length ? totalMs / sessions.length : 0,
+        outcomes,
+    };
+}
+
+/**
+ * @param {StatsSession[]} sessions
+ * @returns {Blob} - `{ exportedAt, sessions }`
+ */
+export function exportJson(sessions) {
+    const data = { exportedAt: new Date().toISOString(), sessions };
+    return new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+}
+
+const csvCell = (value) => {
+    if (value === undefined || value === null) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One row per session; every metric any session has gets its own column
+ * @param {StatsSession[]} sessions
+ * @returns {Blob}
+ */
+export function exportCsv(sessions) {
+    const metricKeys = [...new Set(sessions.flatMap((session) => Object.keys(session.metrics || {})))];
+    const header = ["id", "gameId", "startedAt", "endedAt", "durationMs", "outcome", ...metricKeys];
+    const rows = sessions.map((session) => [
+        session.id,
+        session.gameId,
+        session.startedAt,
+        session.endedAt,
+        session.durationMs,
+        session.outcome,
+        ...metricKeys.map((key) => session.metrics?.[key]),
+    ]);
+    const text = [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n");
+    return new Blob([text + "\r\n"], { type: "text/csv" });
+}
+
+/**
+ * React hook recording the games played on a page. `start()` opens a session (no-op while
+ * one is open), `update()` merges metrics into it and `finish()` stores it (no-op without
+ * one), so pages can call them from effects without tracking the session themselves. A
+ * session still open when the page unmounts or is closed is stored as STOPPED.
+ * @param {string} gameId - Registry id
+ * @returns {{start: Function, update: Function, finish: Function}} - Stable between renders
+ */
+export function useGameStats(gameId) {
+    const sessionRef = useRef(null);
+
+    const start = useCallback((metrics = {}) => {
+        if (sessionRef.current) return;
+        sessionRef.current = { startedAt: Date.now(), metrics: { ...metrics } };
+    }, []);
+
+    const update = useCallback((metrics) => {
+        if (!sessionRef.current) return;
+        Object.assign(sessionRef.current.metrics, metrics);
+    }, []);
+
+    const finish = useCallback((outcome, metrics = {}) => {
+        const session = sessionRef.current;
+        if (!session) return;
+        sessionRef.current = null;
+        const endedAt = Date.now();
+        addSession({
+            gameId,
+            startedAt: new Date(session.startedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            durationMs: endedAt - session.startedAt,
+            outcome,
+            metrics: { ...session.metrics, ...metrics },
+        }).catch((e) => console.warn("[gameStats] Could not store the session:", e));
+    }, [gameId]);
+
+    useEffect(() => {
+        const stop = () => finish(STATS_OUTCOME.STOPPED);
+        window.addEventListener("pagehide", stop);
+        return () => {
+            window.removeEventListener("pagehide", stop);
+            stop();
+        };
+    }, [finish]);
+
+    return useMemo(() => ({ start, update, finish }), [start, update, finish]);
+}
+
+/**
+ * React hook listing the stored sessions; reloads when another tab records or clears some
+ * @returns {{sessions: StatsSession[], loading: boolean, error: string|null, reload: Function}}
+ */
+export function useStatsHistory() {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const reload = useCallback(async () => {
+        try {
+            setSessions(await listSessions());
+            setError(null);
+        } catch (e) {
+            setError(e?.message || "IndexedDB is not available.");
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        reload();
+        if (typeof BroadcastChannel === "undefined") return;
+        const channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = reload;
+        return () => channel.close();
+    }, [reload]);
+
+    return { sessions, loading, error, reload };
+}
@@ -0,0 +1,148 @@
+// utils/perfStats.js
+// Counters behind the performance HUD (components/PerfHud.js). FrameSender reports the
+// frames it captures and sends, GameSocket what it receives; snapshot() turns them into
+// rates over the last few seconds.
+import { useCallback, useEffect, useRef } from "react";
+import { smooth } from "./adaptiveStreaming";
+import { useClientValue } from "./clientState";
+
+const STORAGE_KEY = "perfHudVisible";
+
+// Rates are averaged over this window
+const WINDOW_MS = 2000;
+
+// Weight of a new sample in the HUD's averages, which favour steady readings
+const SMOOTHING = 0.2;
+
+export class PerfStats {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.events = { capture: [], send: [], frameIn: [], messageIn: [] };
+        this.encodeMs = null;
+        this.frameBytes = null;
+        this.frameSize = null; // { width, height } of the last encoded frame
+        this.encoderMode = null;
+        this.roundTrip = null;
+        this.processing = null;
+        this.dropped = 0;
+        this.droppedReasons = {};
+    }
+
+    mark(kind, now = performance.now()) {
+        const list = this.events[kind];
+        list.push(now);
+        while (list.length && now - list[0] > WINDOW_MS) list.shift();
+    }
+
+    rate(kind, now) {
+        const list = this.events[kind];
+        while (list.length && now - list[0] > WINDOW_MS) list.shift();
+        return (list.length * 1000) / WINDOW_MS;
+    }
+
+    /**
+     * A frame was captured from the source and encoded
+     * @param {Object} frame
+     * @param {number} frame.encodeMs - Capture and encode time
+     * @param {number} frame.bytes
+     * @param {number} [frame.width]
+     * @param {number} [frame.height]
+     * @param {string} [frame.encoderMode] - See ENCODER_MODES in utils/frameEncoder.js
+     */
+    recordCapture({ encodeMs, bytes, width, height, encoderMode }) {
+        this.mark("capture");
+        this.encodeMs = smooth(this.encodeMs, encodeMs, SMOOTHING);
+        this.frameBytes = smooth(this.frameBytes, bytes, SMOOTHING);
+        if (width && height) this.frameSize = { width, height };
+        if (encoderMode) this.encoderMode = encoderMode;
+    }
+
+    recordSent() {
+        this.mark("send");
+    }
+
+    /**
+     * A captured frame never reached the backend or was never answered
+     * @param {string} reason - e.g. "socket closed", "no reply"
+     */
+    recordDropped(reason) {
+        this.dropped += 1;
+        this.droppedReasons[reason] = (this.droppedReasons[reason] || 0) + 1;
+    }
+
+    /**
+     * @param {number} roundTrip - ms from sending a frame to its reply
+     * @param {number} [processingMs] - Processing time reported by the backend
+     */
+    recordRoundTrip(roundTrip, processingMs) {
+        this.roundTrip = smooth(this.roundTrip, roundTrip, SMOOTHING);
+        if (typeof processingMs === "number") this.processing = smooth(this.processing, processingMs, SMOOTHING);
+    }
+
+    recordFrameReceived() {
+        this.mark("frameIn");
+    }
+
+    recordMessageReceived() {
+        this.mark("messageIn");
+    }
+
+    /**
+     * @returns {Object} - Current rates and averages, null where nothing was measured
+     */
+    snapshot() {
+        const now = performance.now();
+        const round = (value) => (value === null ? null : Math.round(value));
+        return {
+            captureFps: this.rate("capture", now),
+            sendFps: this.rate("send", now),
+            frameInFps: this.rate("frameIn", now),
+            messageInRate: this.rate("messageIn", now),
+            encodeMs: round(this.encodeMs),
+            frameBytes: round(this.frameBytes),
+            frameSize: this.frameSize,
+            encoderMode: this.encoderMode,
+            roundTrip: round(this.roundTrip),
+            processing: round(this.processing),
+            dropped: this.dropped,
+            droppedReasons: { ...this.droppedReasons },
+        };
+    }
+}
+
+/**
+ * React hook owning the PerfStats of a game page and whether the HUD is shown. The
+ * choice is shared by all game pages; Alt+Shift+P toggles it.
+ * @returns {{stats: PerfStats, visible: boolean, toggle: Function}}
+ */
+export function usePerfStats() {
+    const statsRef = useRef(null);
+    if (!statsRef.current) statsRef.current = new PerfStats();
+    const [visible, setVisible] = useClientValue(() => localStorage.getItem(STORAGE_KEY) === "true", false);
+
+    const visibleRef = useRef(visible);
+    visibleRef.current = visible;
+
+    const toggle = useCallback(() => {
+        const next = !visibleRef.current;
+        localStorage.setItem(STORAGE_KEY, String(next));
+        setVisible(next);
+    }, [setVisible]);
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            // e.code, since Alt changes e.key on macOS
+            if (e.altKey && e.shiftKey && e.code === "KeyP") {
+                e.preventDefault();
+                toggle();
+            }
+        };
+        window.addEventListener("keydown", handleKey);
+        return () => window.removeEventListener("keydown", handleKey);
+    }, [toggle]);
+
+    return { stats: statsRef.current, visible, toggle };
+}
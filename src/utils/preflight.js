@@ -0,0 +1,296 @@
+// utils/preflight.js
+// Checks run before a game starts, on the /preflight page and before /games/[gameId] shows a
+// game: camera access, backend reachability, the ESP32 connection reported by the backend,
+// each game WebSocket and the MJPEG streams. Every check resolves to
+// `{ status, detail, hint?, link? }`, where `hint` says how to fix a failure and `link`
+// points to the page to fix it on.
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getBackendHttpUrl, getBackendWsUrl, getStreamUrl } from "./backendConfig";
+import { buildVideoConstraints, probeCameraUrl } from "./cameraUtils";
+import { loadCameraSettings } from "./cameraSettings";
+import { HARDWARE } from "../games/registry";
+
+export const CHECK_STATUS = {
+    RUNNING: "running",
+    PASS: "pass",
+    WARN: "warn",
+    FAIL: "fail",
+    SKIP: "skip",
+};
+
+const TIMEOUT_MS = 4000;
+
+// Connecting to an ESP32 that is off takes the websockets library's 10s open timeout
+const ESP32_CONNECT_TIMEOUT_MS = 15000;
+
+const SETTINGS_LINK = { href: "/settings", label: "Backend settings" };
+const HARDWARE_LINK = { href: "/hardware", label: "Hardware console" };
+
+const pass = (detail) => ({ status: CHECK_STATUS.PASS, detail });
+const warn = (detail, hint, link) => ({ status: CHECK_STATUS.WARN, detail, hint, link });
+const fail = (detail, hint, link) => ({ status: CHECK_STATUS.FAIL, detail, hint, link });
+const skip = (detail) => ({ status: CHECK_STATUS.SKIP, detail });
+
+async function fetchWithTimeout(url, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        return await fetch(url, { signal: controller.signal, cache: "no-store" });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// The backend's /status; `context.backendOk` tells later checks whether to bother
+async function checkBackend(context) {
+    const url = getBackendHttpUrl();
+    try {
+        const res = await fetchWithTimeout(getBackendHttpUrl("/status"), TIMEOUT_MS);
+        context.backendOk = true;
+        if (res.status === 404) {
+            return warn(`${url} answers but has no /status endpoint.`, "Update the backend, the ESP32 check needs it.");
+        }
+        if (!res.ok) return fail(`${url} answered with HTTP ${res.status}.`, "Check the backend console for errors.");
+        return pass(`Backend at ${url} is up.`);
+    } catch {
+        context.backendOk = false;
+        return fail(
+            `No answer from ${url}.`,
+            "Start the backend (python main.py in backend/) or the mock backend (npm run mock-backend), "
+                + "and check the host and port.",
+            SETTINGS_LINK
+        );
+    }
+}
+
+// Reports the backend's current ESP32 connection; only a retry asked for by the operator
+// (`context.connectEsp32`) has the backend try to connect first
+async function checkEsp32(context) {
+    if (!context.backendOk) return skip("Needs the backend.");
+    try {
+        const res = context.connectEsp32
+            ? await fetchWithTimeout(getBackendHttpUrl("/status?connect_esp32=true"), ESP32_CONNECT_TIMEOUT_MS)
+            : await fetchWithTimeout(getBackendHttpUrl("/status"), TIMEOUT_MS);
+        if (!res.ok) return skip("The backend doesn't report the ESP32 status.");
+        const { esp32 } = await res.json();
+        if (esp32.connected) return pass(`Backend connected to the ESP32 at ${esp32.uri}.`);
+        return fail(
+            context.connectEsp32
+                ? `The backend can't reach the ESP32 at ${esp32.uri}.`
+                : `The backend is not connected to the ESP32 at ${esp32.uri}.`,
+            "Power the ESP32 and check it is on the backend's network at that address (set in "
+                + "backend/utils/esp32_client.py), then retry to have the backend connect. Arm, shooter "
+                + "and cube commands fail until it connects.",
+            HARDWARE_LINK
+        );
+    } catch {
+        return fail("The backend did not report the ESP32 status in time.", "Check the backend console for errors.");
+    }
+}
+
+const CAMERA_ERROR_HINTS = {
+    NotAllowedError: "Allow camera access for this site (camera icon in the address bar), then retry.",
+    NotFoundError: "No camera found. Plug one in, or choose an IP camera in the game's camera settings.",
+    NotReadableError: "The camera is in use by another application or tab. Close it and retry.",
+    OverconstrainedError: "The saved camera is not available. Pick another one in the game's camera settings.",
+};
+
+/**
+ * @param {string} settingsId - Key of the camera settings
+ * @param {boolean} [backendCamera] - The backend opens the camera, not the browser
+ */
+async function checkCamera(settingsId, backendCamera = false) {
+    const settings = loadCameraSettings(settingsId);
+    if (settings.useIpCamera) {
+        const result = await probeCameraUrl(settings.ipCameraAddress, { sampleMs: 500 });
+        if (!result.ok) {
+            return fail(`IP camera ${settings.ipCameraAddress || "(no address)"}: ${result.problems.join(" ")}`,
+                "Fix the address in the game's camera settings, or switch to a local camera.");
+        }
+        const detail = `IP camera ${settings.ipCameraAddress}, ${result.width}×${result.height}`
+            + (result.fps ? `, ${Math.round(result.fps)} FPS` : "");
+        return result.warnings.length ? warn(detail, result.warnings.join(" ")) : pass(detail);
+    }
+    if (backendCamera) return skip("The backend opens its own camera.");
+
+    if (!window.isSecureContext) {
+        return fail("Browsers only give camera access to secure pages.",
+            "Open the frontend over HTTPS (npm run dev:https) or on localhost.");
+    }
+    if (!navigator.mediaDevices?.getUserMedia) {
+        return fail("This browser has no camera API.", "Use a recent Chrome, Edge, Firefox or Safari.");
+    }
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: false, video: buildVideoConstraints(settings) });
+        const [track] = stream.getVideoTracks();
+        const { width, height } = track.getSettings();
+        stream.getTracks().forEach((t) => t.stop());
+        return pass(`${track.label || "Camera"}, ${width}×${height}`);
+    } catch (e) {
+        return fail(`Camera not available: ${e.message || e.name}`,
+            CAMERA_ERROR_HINTS[e.name] || "Check the camera and retry.");
+    }
+}
+
+/**
+ * Opens `/ws/{game}?preflight=1`, which the backend answers with `{ status: "preflight" }`
+ * and closes without starting a game session
+ * @param {string} path - e.g. "/ws/tic-tac-toe"
+ * @returns {Promise<Object>} - Check result
+ */
+function checkWebSocket(path) {
+    return new Promise((resolve) => {
+        const url = new URL(getBackendWsUrl(path));
+        url.searchParams.set("preflight", "1");
+        let ws;
+        try {
+            ws = new WebSocket(url.toString());
+        } catch (e) {
+            // e.g. a ws:// URL from an https:// page
+            resolve(fail(`Can't open ${url.origin}: ${e.message}`,
+                "On an HTTPS page the backend must be reached over wss://; set the protocol.", SETTINGS_LINK));
+            return;
+        }
+        const finish = (result) => {
+            clearTimeout(timer);
+            ws.onmessage = null;
+            ws.onclose = null;
+            ws.close();
+            resolve(result);
+        };
+        const timer = setTimeout(() => finish(fail(`No answer on ${path}.`,
+            "Check that the backend is running and that nothing between it and this browser blocks WebSockets.")), TIMEOUT_MS);
+        ws.onmessage = (event) => {
+            let data = null;
+            try {
+                data = JSON.parse(event.data);
+            } catch {
+                // Handled below as an unexpected answer
+            }
+            if (data?.status === "preflight") finish(pass(`${path} accepts connections.`));
+            else if (data?.status === "error") {
+                finish(fail(`${path}: ${data.message}`, "The backend doesn't know this game; update it."));
+            } else {
+                finish(warn(`${path} answered, but started a game session.`,
+                    "The backend predates preflight checks; update it."));
+            }
+        };
+        ws.onclose = (event) => finish(fail(`${path} closed the connection (code ${event.code}).`,
+            "Check the backend console for errors.", SETTINGS_LINK));
+    });
+}
+
+async function checkStream(name) {
+    const path = `/stream/${name}`;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+        const res = await fetch(getStreamUrl(name), { signal: controller.signal, cache: "no-store" });
+        const contentType = res.headers.get("content-type") || "";
+        if (!res.ok) return fail(`${path} answered with HTTP ${res.status}.`, "Update the backend.");
+        if (!contentType.startsWith("multipart/x-mixed-replace")) {
+            return fail(`${path} is not an MJPEG stream ("${contentType}").`, "Update the backend.");
+        }
+        return pass(`${path} serves MJPEG.`);
+    } catch {
+        return fail(`No answer on ${path}.`, "Check that the backend is running and reachable.", SETTINGS_LINK);
+    } finally {
+        clearTimeout(timer);
+        controller.abort(); // Only the headers were needed
+    }
+}
+
+/**
+ * The checks for some games; checks they share run once
+ * @param {Game[]} games - From games/registry.js
+ * @returns {Array<{id: string, label: string, run: Function}>}
+ */
+export function buildChecks(games) {
+    const checks = [{ id: "backend", label: "Backend reachable", run: checkBackend }];
+    const needsEsp32 = games.some((game) => game.hardware.some((key) => HARDWARE[key].esp32Game));
+    if (needsEsp32) checks.push({ id: "esp32", label: "ESP32 connected", run: checkEsp32 });
+
+    const seen = new Set(checks.map((check) => check.id));
+    const add = (check) => {
+        if (seen.has(check.id)) return;
+        seen.add(check.id);
+        checks.push(check);
+    };
+    games.forEach((game) => {
+        if (game.cameraSettingsId) {
+            add({ id: `camera:${game.cameraSettingsId}`, label: `Camera (${game.name})`, run: () => checkCamera(game.cameraSettingsId) });
+        }
+        if (game.ipCameraSettingsId) {
+            add({ id: `camera:${game.ipCameraSettingsId}`, label: `Camera (${game.name})`, run: () => checkCamera(game.ipCameraSettingsId, true) });
+        }
+    });
+    games.forEach((game) => {
+        game.endpoints.forEach((path) => add({ id: `ws:${path}`, label: `WebSocket ${path}`, run: () => checkWebSocket(path) }));
+    });
+    games.forEach((game) => {
+        (game.streams || []).forEach((name) => add({ id: `stream:${name}`, label: `Stream /stream/${name}`, run: () => checkStream(name) }));
+    });
+    return checks;
+}
+
+/**
+ * Runs the backend check, then the others in parallel
+ * @param {Array} checks - From buildChecks
+ * @param {Function} onResult - Called with (checkId, result) as results come in
+ * @param {Object} [options]
+ * @param {boolean} [options.connectEsp32] - Have the backend try to reach the ESP32 first
+ */
+export async function runChecks(checks, onResult, { connectEsp32 = false } = {}) {
+    const context = { connectEsp32 };
+    const runOne = async (check) => {
+        let result;
+        try {
+            result = await check.run(context);
+        } catch (e) {
+            result = fail(`The check failed: ${e.message}`, "Retry; report it if it keeps failing.");
+        }
+        onResult(check.id, result);
+    };
+    const [first, ...rest] = checks;
+    await runOne(first);
+    await Promise.all(rest.map(runOne));
+}
+
+/**
+ * React hook running the checks for some games when mounted and on `run()`. Pass
+ * `run({ connectEsp32: true })` when the operator retries, to reconnect the ESP32.
+ * @param {Game[]} games - Keep the array stable between renders
+ * @returns {{checks: Array, results: Object<string, Object>, running: boolean, passed: boolean,
+ *          run: Function}} - `passed` once every check passed, warned or was skipped
+ */
+export function usePreflight(games) {
+    const [checks, setChecks] = useState([]);
+    const [results, setResults] = useState({});
+    const [running, setRunning] = useState(false);
+    const runIdRef = useRef(0);
+
+    const run = useCallback(async (options) => {
+        const runId = ++runIdRef.current;
+        const nextChecks = buildChecks(games);
+        setChecks(nextChecks);
+        setResults(Object.fromEntries(nextChecks.map((check) => [check.id, { status: CHECK_STATUS.RUNNING }])));
+        setRunning(true);
+        await runChecks(nextChecks, (id, result) => {
+            if (runIdRef.current === runId) setResults((prev) => ({ ...prev, [id]: result }));
+        }, options);
+        if (runIdRef.current === runId) setRunning(false);
+    }, [games]);
+
+    useEffect(() => {
+        run();
+        // Results of a run that outlives the component are dropped
+        return () => {
+            runIdRef.current += 1;
+        };
+    }, [run]);
+
+    const passed = !running && checks.length > 0
+        && checks.every((check) => results[check.id]?.status !== CHECK_STATUS.FAIL);
+
+    return { checks, results, running, passed, run };
+}
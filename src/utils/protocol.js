@@ -0,0 +1,406 @@
+// utils/protocol.js
+// Message definitions for every game channel (`/ws/{gameId}`) and a small runtime validator.
+// Inbound messages are keyed by the type normalizeMessage() gives them (utils/gameSocket.js)
+// and checked after GameSocket took the camera frames out of them (utils/frameTransport.js), so
+// frame fields are not listed. Outbound messages are listed as alternatives, binary camera
+// frames are not checked.
+// In development GameSocket warns about every message that does not match.
+
+// --- Schema builders ---
+
+export const t = {
+    string: () => ({ kind: "string" }),
+    number: () => ({ kind: "number" }),
+    boolean: () => ({ kind: "boolean" }),
+    any: () => ({ kind: "any" }),
+    /** One of the given literal values */
+    oneOf: (...values) => ({ kind: "enum", values }),
+    nullable: (schema) => ({ ...schema, nullable: true }),
+    optional: (schema) => ({ ...schema, optional: true }),
+    array: (items) => ({ kind: "array", items }),
+    /** Object with known fields; fields not listed are allowed */
+    object: (fields) => ({ kind: "object", fields }),
+    /** Object used as a map, e.g. card states keyed by card id */
+    record: (values) => ({ kind: "record", values }),
+    union: (...schemas) => ({ kind: "union", schemas }),
+};
+
+const describe = (value) => {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+};
+
+const describeSchema = (schema) => {
+    if (schema.kind === "enum") return schema.values.map((v) => JSON.stringify(v)).join(" | ");
+    if (schema.kind === "union") return schema.schemas.map(describeSchema).join(" | ");
+    return schema.kind;
+};
+
+/**
+ * Checks a value against a schema
+ * @param {Object} schema - Built with `t`
+ * @param {*} value
+ * @param {string} [path] - Prefix for the error messages
+ * @returns {string[]} - One message per mismatch, empty if the value matches
+ */
+export function validate(schema, value, path = "") {
+    const at = path || "message";
+    if (value === undefined) return schema.optional ? [] : [`${at}: missing`];
+    if (value === null) return schema.nullable || schema.kind === "any" ? [] : [`${at}: expected ${describeSchema(schema)}, got null`];
+
+    switch (schema.kind) {
+        case "any":
+            return [];
+        case "string":
+        case "number":
+        case "boolean":
+            return typeof value === schema.kind ? [] : [`${at}: expected ${schema.kind}, got ${describe(value)}`];
+        case "enum":
+            return schema.values.includes(value) ? [] : [`${at}: expected ${describeSchema(schema)}, got ${JSON.stringify(value)}`];
+        case "array":
+            if (!Array.isArray(value)) return [`${at}: expected array, got ${describe(value)}`];
+            return value.flatMap((item, i) => validate(schema.items, item, `${at}[${i}]`));
+        case "object":
+            if (describe(value) !== "object") return [`${at}: expected object, got ${describe(value)}`];
+            return Object.entries(schema.fields).flatMap(([key, field]) =>
+                validate(field, value[key], path ? `${path}.${key}` : key)
+            );
+        case "record":
+            if (describe(value) !== "object") return [`${at}: expected object, got ${describe(value)}`];
+            return Object.entries(value).flatMap(([key, item]) => validate(schema.values, item, `${at}.${key}`));
+        case "union": {
+            // Report the alternative that came closest
+            let best = null;
+            for (const alternative of schema.schemas) {
+                const errors = validate(alternative, value, path);
+                if (!errors.length) return [];
+                if (!best || errors.length < best.length) best = errors;
+            }
+            return best;
+        }
+        default:
+            return [`${at}: unknown schema kind ${schema.kind}`];
+    }
+}
+
+// --- Shared pieces ---
+
+// `{ status: "error", message }`, sent by main.py (unknown game, failed initialization) and
+// by the games for frames or commands they can't handle
+const BACKEND_ERROR = t.object({ status: t.oneOf("error"), message: t.string() });
+
+// `{ type, payload }`, the shape of typed messages
+const envelope = (type, payload) => t.object({ type: t.oneOf(type), payload });
+
+// --- Tic-tac-toe (backend/games/tic-tac-toe/tictactoe.py) ---
+
+const TTT_CELL = t.nullable(t.oneOf("X", "O"));
+
+const TTT_GAME_STATE = t.object({
+    board: t.array(TTT_CELL),
+    paper_detected: t.boolean(),
+    status_text: t.string(),
+    board_status: t.oneOf("waiting", "complete"),
+    debug: t.string(),
+    winner: t.nullable(t.oneOf("X", "O")),
+    last_robot_move: t.optional(t.nullable(t.number())),
+    // Cell the AI picked while the arm is still playing it
+    ai_considering: t.optional(t.nullable(t.number())),
+    // Corrected cells the camera doesn't agree with yet
+    locked_cells: t.optional(t.array(t.number())),
+});
+
+const TIC_TAC_TOE = {
+    inbound: {
+        state: t.object({
+            status: t.oneOf("ok"),
+            processing_ms: t.optional(t.number()),
+            game_state: TTT_GAME_STATE,
+        }),
+        // Reply to correct_board; `ai_move` is the AI's answer when the correction was a missed X
+        board_corrected: envelope("board_corrected", t.object({
+            correction: t.object({
+                time: t.string(),
+                cell: t.number(),
+                previous: TTT_CELL,
+                detected: TTT_CELL,
+                value: TTT_CELL,
+                image: t.nullable(t.string()),
+            }),
+            ai_move: t.nullable(t.number()),
+            game_state: TTT_GAME_STATE,
+        })),
+        // Reply to calibrate; `homography` maps the relative frame coordinates to the unit square
+        calibration: envelope("calibration", t.object({
+            corners: t.nullable(t.array(t.array(t.number()))),
+            homography: t.nullable(t.array(t.array(t.number()))),
+        })),
+        // Reply to emergency_stop
+        stopped: envelope("stopped", t.string()),
+        error: BACKEND_ERROR,
+    },
+    outbound: [
+        // Initial config
+        t.object({
+            model: t.string(),
+            zoom: t.number(),
+            check_interval: t.number(),
+        }),
+        // Operator override of a misdetected cell
+        t.object({
+            action: t.oneOf("correct_board"),
+            cell: t.number(),
+            value: TTT_CELL,
+        }),
+        // Board corners set on the calibration panel (games/tic-tac-toe/calibration.js), null
+        // to go back to the automatic paper detection
+        t.object({
+            action: t.oneOf("calibrate"),
+            corners: t.nullable(t.array(t.array(t.number()))),
+        }),
+        // Sent by the emergency stop (utils/emergencyStop.js); the robot plays no further moves
+        t.object({ action: t.oneOf("emergency_stop") }),
+    ],
+};
+
+// --- Rubik's cube (backend/games/rubiks_cube_game.py, get_state) ---
+
+const RUBIKS_MODE = t.oneOf("idle", "calibrating", "scanning", "solving", "scrambling", "error");
+
+const RUBIKS = {
+    inbound: {
+        state: t.union(
+            t.object({
+                mode: RUBIKS_MODE,
+                status_message: t.nullable(t.string()),
+                error_message: t.nullable(t.string()),
+                calibration_step: t.number(),
+                current_color_calibrating: t.nullable(t.string()),
+                scan_index: t.number(),
+                solve_move_index: t.number(),
+                total_solve_moves: t.number(),
+                solution_preview: t.nullable(t.string()),
+                serial_connected: t.boolean(),
+                // Only on replies to frames
+                processing_ms: t.optional(t.number()),
+            }),
+            // Reply to a command that was not JSON
+            t.object({ error_message: t.string(), mode: t.string() })
+        ),
+        error: BACKEND_ERROR,
+    },
+    outbound: [
+        // Initial config
+        t.object({
+            serial_port: t.nullable(t.string()),
+            serial_baudrate: t.number(),
+            video_source: t.string(),
+        }),
+        t.object({ mode: RUBIKS_MODE }),
+        t.object({
+            action: t.oneOf("calibrate", "calibrate_color", "scramble_cube", "stop", "stop_operation", "scan"),
+        }),
+    ],
+};
+
+// --- Shell game (backend/games/shellGame.py) ---
+
+const SHELL_CUP = t.object({
+    center: t.array(t.number()),
+    axes: t.array(t.number()),
+    angle: t.number(),
+});
+
+const SHELL_GAME = {
+    inbound: {
+        state: t.union(
+            t.object({ status: t.oneOf("connected"), message: t.string() }),
+            t.object({
+                status: t.oneOf("waiting"),
+                message: t.string(),
+            }),
+            t.object({
+                status: t.oneOf("ok", "ended"),
+                ball_position: t.nullable(t.array(t.number())),
+                ball_under_cup: t.nullable(t.number()),
+                cups: t.array(SHELL_CUP),
+                cup_name_result: t.nullable(t.oneOf("left", "middle", "right")),
+            }),
+            // The camera could not be read
+            t.object({ error: t.string() })
+        ),
+        // Reply to emergency_stop
+        stopped: envelope("stopped", t.string()),
+        error: BACKEND_ERROR,
+    },
+    outbound: [
+        t.object({
+            ip_camera_url: t.nullable(t.string()),
+            frame_source: t.oneOf("camera", "client"),
+        }),
+        t.object({ action: t.oneOf("emergency_stop") }),
+    ],
+};
+
+// --- Memory matching, color and yolo (backend/games/memory_matching_backend.py) ---
+
+const CARD_STATE = t.object({
+    isFlippedBefore: t.boolean(),
+    object: t.nullable(t.string()),
+    isMatched: t.boolean(),
+});
+
+const MEMORY_MATCHING = {
+    inbound: {
+        game_state: envelope("game_state", t.object({
+            card_states: t.record(CARD_STATE),
+            pairs_found: t.number(),
+            // The first update calls it current_flipped_cards
+            current_flipped: t.optional(t.array(t.number())),
+            current_flipped_cards: t.optional(t.array(t.number())),
+        })),
+        arm_status: envelope("arm_status", t.object({
+            status: t.string(),
+            success: t.boolean(),
+            action: t.string(),
+            card_id: t.number(),
+        })),
+        cards_hidden: envelope("cards_hidden", t.array(t.number())),
+        message: envelope("message", t.string()),
+        game_over: envelope("game_over", t.string()),
+        // Reply to emergency_stop, the game is over
+        stopped: envelope("stopped", t.string()),
+        error: t.union(envelope("error", t.string()), BACKEND_ERROR),
+    },
+    outbound: [
+        t.object({ mode: t.oneOf("color", "yolo") }),
+        t.object({ action: t.oneOf("emergency_stop") }),
+    ],
+};
+
+// --- Target shooter (backend/games/target_shooter_game.py) ---
+
+const SHOOTER_STATE = t.object({
+    pan: t.number(),
+    tilt: t.number(),
+    depth_cm: t.nullable(t.number()),
+    target_color: t.string(),
+    shot_angles_count: t.number(),
+    game_over_timeout: t.boolean(),
+    game_requested_stop: t.boolean(),
+    kp_x: t.number(),
+    kp_y: t.number(),
+    no_balloon_timeout_setting: t.number(),
+});
+
+const SHOOTER_PARAMS = {
+    focal_length: t.optional(t.number()),
+    laser_offset_cm_x: t.optional(t.number()),
+    laser_offset_cm_y: t.optional(t.number()),
+    target_color: t.optional(t.string()),
+    no_balloon_timeout: t.optional(t.number()),
+    kp_x: t.optional(t.number()),
+    kp_y: t.optional(t.number()),
+};
+
+const TARGET_SHOOTER = {
+    inbound: {
+        state: t.object({
+            status: t.oneOf("ok", "ended", "command_processed"),
+            message: t.string(),
+            game_state: SHOOTER_STATE,
+        }),
+        error: BACKEND_ERROR,
+    },
+    outbound: [
+        t.object({ action: t.oneOf("initial_config", "update_params"), ...SHOOTER_PARAMS }),
+        t.object({ action: t.oneOf("reset_shot_angles", "end_game", "emergency_stop") }),
+    ],
+};
+
+// --- Hardware console (/ws/hardware in backend/main.py) ---
+
+const ESP32_GAME = t.oneOf("ARM", "SHOOTER", "RUBIK");
+
+// A command as esp32_webserver.ino takes it: "a1,a2,a3,magnet,pick" for the arm,
+// "pan tilt" or "shoot" for the shooter, a move sequence for the Rubik rig
+const ESP32_REQUEST = t.union(
+    t.object({ action: t.oneOf("switch"), game: ESP32_GAME }),
+    t.object({ action: t.oneOf("command"), command: t.string() })
+);
+
+const HARDWARE = {
+    inbound: {
+        esp32_status: envelope("esp32_status", t.object({ connected: t.boolean(), uri: t.string() })),
+        // Every reply of the ESP32, including those to commands sent by running games
+        esp32_reply: envelope("esp32_reply", t.object({ success: t.boolean(), message: t.string() })),
+        // Sent once the ESP32 client is done with a request; `sent` is false when the ESP32 is unreachable
+        command_sent: envelope("command_sent", t.object({ request: ESP32_REQUEST, sent: t.boolean() })),
+        error: envelope("error", t.string()),
+    },
+    outbound: [ESP32_REQUEST],
+};
+
+// Keyed by backend game id (GAME_MODULES in backend/main.py)
+export const GAME_PROTOCOLS = {
+    hardware: HARDWARE,
+    "tic-tac-toe": TIC_TAC_TOE,
+    rubiks: RUBIKS,
+    "shell-game": SHELL_GAME,
+    color: MEMORY_MATCHING,
+    yolo: MEMORY_MATCHING,
+    "target-shooter": TARGET_SHOOTER,
+};
+
+/**
+ * Validates a normalized inbound message against the game's protocol
+ * @param {string} gameId
+ * @param {{type: string, data: *}} message - From normalizeMessage
+ * @returns {string[]} - Mismatches, empty if the message is valid or the game has no protocol
+ */
+export function validateInbound(gameId, message) {
+    const protocol = GAME_PROTOCOLS[gameId];
+    if (!protocol) return [];
+    const schema = protocol.inbound[message.type];
+    if (!schema) return [`unexpected message type "${message.type}"`];
+    return validate(schema, message.data);
+}
+
+/**
+ * Validates a JSON message before it is sent to the game
+ * @param {string} gameId
+ * @param {Object} data
+ * @returns {string[]}
+ */
+export function validateOutbound(gameId, data) {
+    const protocol = GAME_PROTOCOLS[gameId];
+    if (!protocol) return [];
+    return validate(t.union(...protocol.outbound), data);
+}
+
+// Each distinct problem is reported once, frames arrive many times per second
+const reported = new Set();
+
+const isDevelopment = process.env.NODE_ENV !== "production";
+
+/**
+ * Warns in development when a message does not match the protocol
+ * @param {string} gameId
+ * @param {"inbound"|"outbound"} direction
+ * @param {*} message - Normalized inbound message or outbound data
+ */
+export function checkMessage(gameId, direction, message) {
+    if (!isDevelopment) return;
+    const errors = direction === "inbound" ? validateInbound(gameId, message) : validateOutbound(gameId, message);
+    if (!errors.length) return;
+
+    const key = `${gameId}|${direction}|${errors.join("|")}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    console.warn(
+        `[protocol] ${direction === "inbound" ? "Received" : "Sending"} a ${gameId} message that does not match the protocol:\n`
+            + errors.map((e) => `  - ${e}`).join("\n"),
+        direction === "inbound" ? message.data : message
+    );
+}
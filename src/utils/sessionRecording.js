@@ -0,0 +1,351 @@
+// utils/sessionRecording.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createZip, readZip } from "./zipArchive";
+import { base64ToBlob } from "./frameTransport";
+
+export const SESSION_FORMAT_VERSION = 1;
+
+const MANIFEST_NAME = "session.json";
+
+const DEFAULT_RECORDER_LIMITS = {
+    maxFrames: 3000, // ~5 minutes at 10 FPS
+    maxMessages: 5000,
+};
+
+const frameFileName = (index) => `frames/${String(index + 1).padStart(6, "0")}.jpg`;
+
+/**
+ * Records the frames a game page sends and the messages it receives, with timestamps
+ * relative to the start of the recording, and exports them as a ZIP archive:
+ * `session.json` (metadata, frame index and messages) plus `frames/NNNNNN.jpg`.
+ */
+export class SessionRecorder {
+    /**
+     * @param {string} gameId
+     * @param {Object} [limits] - `{ maxFrames, maxMessages }`; recording stops when one is reached
+     */
+    constructor(gameId, limits = {}) {
+        this.gameId = gameId;
+        this.limits = { ...DEFAULT_RECORDER_LIMITS, ...limits };
+        this.clear();
+    }
+
+    clear() {
+        this.recording = false;
+        this.startedAt = null;
+        this.startTime = 0;
+        this.duration = 0;
+        this.meta = {};
+        this.frames = [];
+        this.messages = [];
+    }
+
+    /**
+     * Starts a new recording, dropping the previous one
+     * @param {Object} [meta] - Saved in the manifest, e.g. the camera settings and game config
+     */
+    start(meta = {}) {
+        this.clear();
+        this.meta = meta;
+        this.recording = true;
+        this.startedAt = new Date().toISOString();
+        this.startTime = performance.now();
+    }
+
+    stop() {
+        if (!this.recording) return;
+        this.recording = false;
+        this.duration = Math.round(performance.now() - this.startTime);
+    }
+
+    isFull() {
+        return this.frames.length >= this.limits.maxFrames
+            || this.messages.length >= this.limits.maxMessages;
+    }
+
+    now() {
+        return Math.round(performance.now() - this.startTime);
+    }
+
+    /**
+     * @param {Blob|string} frame - JPEG Blob, or base64 JPEG from a backend message
+     * @returns {boolean} - False if not recording or the recording is full
+     */
+    recordFrame(frame) {
+        if (!this.recording) return false;
+        if (this.isFull()) {
+            this.stop();
+            return false;
+        }
+        this.frames.push({ t: this.now(), blob: typeof frame === "string" ? base64ToBlob(frame) : frame });
+        return true;
+    }
+
+    /**
+     * @param {{type: string, data: *}} message - Normalized message from the game socket
+     * @returns {boolean} - False if not recording or the recording is full
+     */
+    recordMessage(message) {
+        if (!this.recording) return false;
+        if (this.isFull()) {
+            this.stop();
+            return false;
+        }
+        this.messages.push({ t: this.now(), type: message.type, data: message.data });
+        return true;
+    }
+
+    /**
+     * @returns {Promise<Blob>} - ZIP archive of the recording
+     */
+    async exportArchive() {
+        const manifest = {
+            version: SESSION_FORMAT_VERSION,
+            gameId: this.gameId,
+            startedAt: this.startedAt,
+            duration: this.recording ? this.now() : this.duration,
+            meta: this.meta,
+            frames: this.frames.map((frame, index) => ({ t: frame.t, file: frameFileName(index) })),
+            messages: this.messages,
+        };
+        return createZip([
+            { name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) },
+            ...this.frames.map((frame, index) => ({ name: frameFileName(index), data: frame.blob })),
+        ]);
+    }
+}
+
+/**
+ * Reads a recording exported by SessionRecorder
+ * @param {Blob|File} file
+ * @returns {Promise<{gameId: string, startedAt: string, duration: number, meta: Object,
+ *          frames: Array<{t: number, blob: Blob}>, messages: Array}>}
+ */
+export async function loadSessionArchive(file) {
+    const entries = await readZip(file);
+    const manifestBytes = entries.get(MANIFEST_NAME);
+    if (!manifestBytes) throw new Error(`Not a session recording: ${MANIFEST_NAME} is missing.`);
+
+    const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+    if (manifest.version > SESSION_FORMAT_VERSION) {
+        throw new Error(`Recording format ${manifest.version} is newer than this app supports.`);
+    }
+    const frames = (manifest.frames || []).map(({ t, file: name }) => {
+        const data = entries.get(name);
+        if (!data) throw new Error(`Recording is missing ${name}.`);
+        return { t, blob: new Blob([data], { type: "image/jpeg" }) };
+    });
+    if (!frames.length) throw new Error("Recording contains no frames.");
+
+    return { ...manifest, frames, messages: manifest.messages || [] };
+}
+
+/**
+ * Plays the frames of a recording back at their recorded pace. Implements the frame
+ * source interface of utils/framePipeline.js, so a game page can send it instead of
+ * a live camera.
+ */
+export class ReplaySource {
+    /**
+     * @param {Object} session - From loadSessionArchive
+     * @param {Object} [options]
+     * @param {boolean} [options.loop=false] - Start over after the last frame
+     * @param {number} [options.speed=1] - Playback rate
+     * @param {Function} [options.onFrame] - Called with (objectUrl, index) of each frame shown
+     * @param {Function} [options.onEnd] - Called after the last frame when not looping
+     */
+    constructor(session, { loop = false, speed = 1, onFrame, onEnd } = {}) {
+        this.session = session;
+        this.loop = loop;
+        this.speed = speed;
+        this.onFrame = onFrame || (() => {});
+        this.onEnd = onEnd || (() => {});
+        this.front = null;
+        this.back = null;
+        this.hasFrame = false;
+        this.running = false;
+        this.timer = null;
+        this.index = 0;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.front = new Image();
+        this.back = new Image();
+        this.index = 0;
+        this.play();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        [this.front, this.back].forEach((img) => {
+            if (img?.src) URL.revokeObjectURL(img.src);
+        });
+        this.front = null;
+        this.back = null;
+        this.hasFrame = false;
+    }
+
+    isReady() {
+        return this.hasFrame;
+    }
+
+    getSize() {
+        return { width: this.front.naturalWidth, height: this.front.naturalHeight };
+    }
+
+    getDrawable() {
+        return this.front;
+    }
+
+    async play() {
+        const { frames } = this.session;
+        let startedAt = performance.now() - frames[0].t / this.speed;
+        while (this.running) {
+            if (this.index >= frames.length) {
+                if (!this.loop) {
+                    this.onEnd();
+                    return;
+                }
+                this.index = 0;
+                startedAt = performance.now() - frames[0].t / this.speed;
+            }
+
+            const frame = frames[this.index];
+            const wait = startedAt + frame.t / this.speed - performance.now();
+            if (wait > 0) await new Promise((resolve) => { this.timer = setTimeout(resolve, wait); });
+            if (!this.running) return;
+
+            try {
+                await this.show(frame.blob);
+                if (!this.running) return;
+                this.onFrame(this.front.src, this.index);
+            } catch (e) {
+                console.warn(`[ReplaySource] Skipping undecodable frame ${this.index + 1}:`, e);
+            }
+            this.index += 1;
+        }
+    }
+
+    // Same double buffering as SnapshotSource: the frame on screen is never replaced mid-draw
+    async show(blob) {
+        const back = this.back;
+        if (back.src) URL.revokeObjectURL(back.src);
+        back.src = URL.createObjectURL(blob);
+        await back.decode();
+        if (!this.running) return;
+        this.back = this.front;
+        this.front = back;
+        this.hasFrame = true;
+    }
+}
+
+/**
+ * React hook owning a SessionRecorder for a game page
+ * @param {string} gameId
+ * @returns {{recording: boolean, frameCount: number, messageCount: number, start: Function,
+ *          stop: Function, recordFrame: Function, recordMessage: Function, download: Function}}
+ */
+export function useSessionRecorder(gameId) {
+    const recorderRef = useRef(null);
+    if (!recorderRef.current) recorderRef.current = new SessionRecorder(gameId);
+    const [recording, setRecording] = useState(false);
+    const [counts, setCounts] = useState({ frames: 0, messages: 0 });
+
+    const sync = useCallback(() => {
+        const recorder = recorderRef.current;
+        setRecording(recorder.recording);
+        setCounts({ frames: recorder.frames.length, messages: recorder.messages.length });
+    }, []);
+
+    const start = useCallback((meta) => {
+        recorderRef.current.start(meta);
+        sync();
+    }, [sync]);
+
+    const stop = useCallback(() => {
+        recorderRef.current.stop();
+        sync();
+    }, [sync]);
+
+    // Both are no-ops while not recording, so pages can call them unconditionally
+    const recordFrame = useCallback((frame) => {
+        const recorder = recorderRef.current;
+        if (!recorder.recording) return;
+        recorder.recordFrame(frame);
+        sync();
+    }, [sync]);
+
+    const recordMessage = useCallback((message) => {
+        const recorder = recorderRef.current;
+        if (!recorder.recording) return;
+        recorder.recordMessage(message);
+        sync();
+    }, [sync]);
+
+    const download = useCallback(async () => {
+        const recorder = recorderRef.current;
+        const blob = await recorder.exportArchive();
+        const stamp = (recorder.startedAt || new Date().toISOString()).replace(/[:.]/g, "-");
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${gameId}-session-${stamp}.zip`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }, [gameId]);
+
+    return {
+        recording,
+        frameCount: counts.frames,
+        messageCount: counts.messages,
+        start,
+        stop,
+        recordFrame,
+        recordMessage,
+        download,
+    };
+}
+
+/**
+ * React hook playing a loaded recording while `enabled` is true
+ * @param {Object|null} session - From loadSessionArchive
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true]
+ * @param {boolean} [options.loop=false]
+ * @returns {{getSource: Function, frameUrl: string|null, position: number, ended: boolean}} -
+ *          `getSource` returns the ReplaySource for useFrameSender, `position` the index of the frame shown
+ */
+export function useReplaySource(session, { enabled = true, loop = false } = {}) {
+    const sourceRef = useRef(null);
+    const [frameUrl, setFrameUrl] = useState(null);
+    const [position, setPosition] = useState(0);
+    const [ended, setEnded] = useState(false);
+
+    useEffect(() => {
+        if (!enabled || !session) return;
+        const source = new ReplaySource(session, {
+            loop,
+            onFrame: (objectUrl, index) => {
+                setFrameUrl(objectUrl);
+                setPosition(index);
+            },
+            onEnd: () => setEnded(true),
+        });
+        sourceRef.current = source;
+        setEnded(false);
+        source.start();
+        return () => {
+            source.stop();
+            sourceRef.current = null;
+            setFrameUrl(null);
+            setPosition(0);
+        };
+    }, [session, enabled, loop]);
+
+    const getSource = useCallback(() => sourceRef.current, []);
+
+    return { getSource, frameUrl, position, ended };
+}
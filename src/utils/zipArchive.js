@@ -0,0 +1,140 @@
+// utils/zipArchive.js
+// Minimal ZIP support for session recordings: entries are stored uncompressed (JPEGs
+// don't compress anyway), which any unzip tool can open.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, as used in ZIP headers
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Builds a ZIP archive
+ * @param {Array<{name: string, data: Blob|ArrayBuffer|Uint8Array|string}>} entries
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(entries) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const data = typeof entry.data === "string"
+            ? encoder.encode(entry.data)
+            : entry.data instanceof Blob
+                ? new Uint8Array(await entry.data.arrayBuffer())
+                : new Uint8Array(entry.data);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, data);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, CENTRAL_HEADER, true);
+        header.setUint16(4, 20, true); // version made by
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, date, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.length, true);
+        header.setUint32(24, data.length, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);
+        central.push(header, name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: "application/zip" });
+}
+
+/**
+ * Reads the entries of a ZIP archive written by createZip (or any archive whose
+ * entries are stored uncompressed)
+ * @param {Blob|ArrayBuffer} archive
+ * @returns {Promise<Map<string, Uint8Array>>} - Entry data by name
+ */
+export async function readZip(archive) {
+    const buffer = archive instanceof Blob ? await archive.arrayBuffer() : archive;
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end record sits at the very end, followed by a comment of up to 64KB
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error("Not a ZIP archive.");
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(pos, true) !== CENTRAL_HEADER) throw new Error("Corrupt ZIP archive.");
+        const method = view.getUint16(pos + 10, true);
+        const size = view.getUint32(pos + 20, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+        if (method !== 0) {
+            throw new Error(`"${name}" is compressed; only archives with stored entries can be read.`);
+        }
+
+        const dataStart = localOffset + 30
+            + view.getUint16(localOffset + 26, true)
+            + view.getUint16(localOffset + 28, true);
+        entries.set(name, new Uint8Array(buffer, dataStart, size));
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
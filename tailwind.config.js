@@ -5,13 +5,17 @@ module.exports = {
         // Or if using `src` directory:
         "./src/**/*.{js,ts,jsx,tsx,mdx}",], theme: {
         extend: {
-            // Optional custom extensions
-            // keyframes: {
-            //    flip: { /* ... */ }
-            // },
-            // animation: {
-            //    flip: 'flip 0.6s ease-in-out',
-            // },
+            keyframes: {
+                // A tic-tac-toe mark appearing or changing
+                "cell-pop": {
+                    "0%": {transform: "scale(0.3)", opacity: "0"},
+                    "70%": {transform: "scale(1.15)", opacity: "1"},
+                    "100%": {transform: "scale(1)"},
+                },
+            },
+            animation: {
+                "cell-pop": "cell-pop 0.4s ease-out",
+            },
         },
     }, // Dynamically generate grid columns based on constant
     // Note: Tailwind JIT might handle this automatically if used directly in className,